@@ -0,0 +1,86 @@
+'use strict';
+
+const { DecryptionError } = require('./errors');
+const { hasProp, isBranch } = require('./util');
+
+
+/*
+  The prefix of encrypted values.
+*/
+const prefix = 'enc:';
+
+
+/*
+  Determines if a value is a valid decryptor, which is either a function or an
+  object with a decrypt() method.
+*/
+const isDecryptor = value => typeof value === 'function'
+  || (typeof value === 'object'
+    && value !== null
+    && typeof value.decrypt === 'function');
+
+
+/*
+  Decrypts an encrypted value of the form "enc:<name>:<payload>" using the
+  decryptor registered under the given name.  If the value cannot be
+  decrypted, throw a DecryptionError naming the given path.
+*/
+const decryptValue = (str, path, decryptors) => {
+  const body = str.slice(prefix.length);
+  const index = body.indexOf(':');
+  const name = (index === -1) ? body : body.slice(0, index);
+
+  if (index === -1 || !hasProp(decryptors, name)) {
+    throw new DecryptionError(path, new Error(`Unknown decryptor "${name}"`));
+  }
+
+  const decryptor = decryptors[name];
+  const payload = body.slice(index + 1);
+  let result;
+
+  try {
+    result = (typeof decryptor === 'function')
+      ? decryptor(payload)
+      : decryptor.decrypt(payload);
+  } catch (err) {
+    throw new DecryptionError(path, err);
+  }
+
+  if (typeof result !== 'string') {
+    throw new DecryptionError(path, new Error('Decryptor must return a string'));
+  }
+
+  return result;
+};
+
+
+/*
+  Decrypts every encrypted string within an object, using the given decryptors
+  keyed by name.  Objects and arrays are updated in place.  Returns the paths of
+  the decrypted values, each as a list of keys.
+*/
+const decrypt = (obj, decryptors) => {
+  const decrypted = [];
+
+  const visit = (node, keys) => {
+    const target = node;
+
+    Object.keys(target).forEach((key) => {
+      const value = target[key];
+      const valueKeys = keys.concat(key);
+
+      if (typeof value === 'string' && value.indexOf(prefix) === 0) {
+        target[key] = decryptValue(value, valueKeys.join('.'), decryptors);
+        decrypted.push(valueKeys);
+      } else if (isBranch(value)) {
+        visit(value, valueKeys);
+      }
+    });
+  };
+
+  visit(obj, []);
+  return decrypted;
+};
+
+
+module.exports = { decrypt, isDecryptor };
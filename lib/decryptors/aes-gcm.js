@@ -0,0 +1,175 @@
+'use strict';
+
+const crypto = require('crypto');
+const elv = require('elv');
+const fs = require('fs');
+
+const { isPojo } = require('../util');
+
+
+/*
+  Messages used for errors.
+*/
+const msg = {
+  optionsObj: 'Invalid options: must be an object',
+  keyOne: 'Invalid options: exactly one of key, keyFile, or keyEnv is required',
+  keyBuf: 'Invalid options: key must be a Buffer or a base64 string',
+  keyFileStr: 'Invalid options: keyFile must be a non-empty string',
+  keyEnvStr: 'Invalid options: keyEnv must be a non-empty string',
+  envObj: 'Invalid options: env must be an object when keyEnv is given',
+  keyLength: 'Key must be 32 bytes',
+  keyEnvUnset: 'Environment variable is not set: ',
+  payload: 'Payload is too short',
+};
+
+
+/*
+  The name of the cipher used.
+*/
+const algorithm = 'aes-256-gcm';
+
+
+/*
+  The number of bytes in keys, initialization vectors, and authentication
+  tags.
+*/
+const keyLength = 32;
+const ivLength = 12;
+const tagLength = 16;
+
+
+/*
+  Determines if a value is a non-empty string.
+*/
+const isStr = value => typeof value === 'string' && value.length > 0;
+
+
+/*
+  Asserts that the options given to the AesGcmDecryptor constructor are valid.
+*/
+const assertOptions = (options) => {
+  if (!isPojo(options)) throw new TypeError(msg.optionsObj);
+
+  const {
+    key,
+    keyFile,
+    keyEnv,
+    env,
+  } = options;
+
+  if ([key, keyFile, keyEnv].filter(x => elv(x)).length !== 1) {
+    throw new TypeError(msg.keyOne);
+  }
+
+  if (elv(key) && !Buffer.isBuffer(key) && !isStr(key)) {
+    throw new TypeError(msg.keyBuf);
+  }
+
+  if (elv(keyFile) && !isStr(keyFile)) throw new TypeError(msg.keyFileStr);
+  if (elv(keyEnv) && !isStr(keyEnv)) throw new TypeError(msg.keyEnvStr);
+  if (elv(keyEnv) && !isPojo(env)) throw new TypeError(msg.envObj);
+};
+
+
+/**
+ * A decryptor for values encrypted with AES-256-GCM.  Payloads are base64
+ * strings holding a 12-byte initialization vector, a 16-byte authentication
+ * tag, and the ciphertext, in that order.
+ */
+class AesGcmDecryptor {
+
+  /**
+   * Creates an instance of AesGcmDecryptor.  Exactly one of the "key",
+   * "keyFile", or "keyEnv" options is required.  Keys given as strings, in
+   * files, or in environment variables are base64-encoded.
+   *
+   * @param {object} options
+   * @param {Buffer|string} [options.key] - The 32-byte key.
+   * @param {string} [options.keyFile] - The path of a file holding the key.
+   *   The file is read when the key is first needed.
+   * @param {string} [options.keyEnv] - The name of an environment variable
+   *   holding the key.  The variable is read when the key is first needed.
+   * @param {object} [options.env] - The variables in which "keyEnv" is found,
+   *   such as the environment of the current process.  Required with
+   *   "keyEnv".
+   */
+  constructor(options) {
+    assertOptions(options);
+
+    this.keyFile = options.keyFile;
+    this.keyEnv = options.keyEnv;
+    this._env = options.env;
+    this._key = options.key;
+  }
+
+
+  /*
+    Gets the key as a Buffer, reading it from its file or environment variable
+    if needed.  If the key is not 32 bytes, throw an Error.
+  */
+  _getKey() {
+    if (!Buffer.isBuffer(this._key)) {
+      let text = this._key;
+
+      if (elv(this.keyFile)) text = fs.readFileSync(this.keyFile, 'utf8');
+
+      if (elv(this.keyEnv)) {
+        text = this._env[this.keyEnv];
+        if (!elv(text)) throw new Error(msg.keyEnvUnset + this.keyEnv);
+      }
+
+      this._key = Buffer.from(text.trim(), 'base64');
+    }
+
+    if (this._key.length !== keyLength) throw new Error(msg.keyLength);
+    return this._key;
+  }
+
+
+  /**
+   * Decrypts a payload.
+   *
+   * @param {string} payload
+   *
+   * @returns {string}
+   */
+  decrypt(payload) {
+    const data = Buffer.from(payload, 'base64');
+    if (data.length < ivLength + tagLength) throw new Error(msg.payload);
+
+    const decipher = crypto.createDecipheriv(
+      algorithm,
+      this._getKey(),
+      data.slice(0, ivLength)
+    );
+
+    decipher.setAuthTag(data.slice(ivLength, ivLength + tagLength));
+
+    return decipher.update(data.slice(ivLength + tagLength), null, 'utf8')
+      + decipher.final('utf8');
+  }
+
+
+  /**
+   * Encrypts a string into a payload which can be decrypted by decrypt().
+   *
+   * @param {string} plaintext
+   *
+   * @returns {string}
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(ivLength);
+    const cipher = crypto.createCipheriv(algorithm, this._getKey(), iv);
+    const ciphertext = Buffer.concat([
+      cipher.update(String(plaintext), 'utf8'),
+      cipher.final(),
+    ]);
+
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext])
+      .toString('base64');
+  }
+
+}
+
+
+module.exports = AesGcmDecryptor;
@@ -0,0 +1,103 @@
+'use strict';
+
+const { deepEqual, hasProp, isPojo } = require('./util');
+
+
+/*
+  Compares two objects, and pushes the paths of keys which differ, given as
+  lists of keys, onto the given lists of changes.  Plain objects are compared
+  key by key, while arrays, Dates, and other values are compared as a whole.
+*/
+const compare = (previous, next, path, changes) => {
+  const prevKeys = Object.keys(previous);
+  const nextKeys = Object.keys(next);
+
+  for (let i = 0; i < prevKeys.length; i++) {
+    const key = prevKeys[i];
+    if (!hasProp(next, key)) changes.removed.push(path.concat(key));
+  }
+
+  for (let i = 0; i < nextKeys.length; i++) {
+    const key = nextKeys[i];
+    const keyPath = path.concat(key);
+
+    if (!hasProp(previous, key)) {
+      changes.added.push(keyPath);
+      continue;
+    }
+
+    const a = previous[key];
+    const b = next[key];
+
+    if (isPojo(a) && isPojo(b)) {
+      compare(a, b, keyPath, changes);
+    } else if (!deepEqual(a, b)) {
+      changes.modified.push(keyPath);
+    }
+  }
+};
+
+
+/*
+  Computes the structural difference between two configuration objects.
+  Returns an object with "added", "removed", and "modified" lists of paths,
+  each given as a list of keys.  Paths point to the outermost key which
+  differs, so a new object is reported as a single added path rather than a
+  path for each of its keys.
+*/
+const diffKeys = (previous, next) => {
+  const changes = { added: [], removed: [], modified: [] };
+  compare(previous, next, [], changes);
+  return changes;
+};
+
+
+/*
+  Computes the structural difference between two configuration objects, as
+  diffKeys() does, but gives each path as a dotted string.
+*/
+const diff = (previous, next) => {
+  const changes = diffKeys(previous, next);
+  const join = paths => paths.map(x => x.join('.'));
+
+  return {
+    added: join(changes.added),
+    removed: join(changes.removed),
+    modified: join(changes.modified),
+  };
+};
+
+
+/*
+  Determines if a list of changes is empty.
+*/
+const isEmpty = changes => changes.added.length === 0
+  && changes.removed.length === 0
+  && changes.modified.length === 0;
+
+
+/*
+  Determines if two dotted paths are the same, or one contains the other.
+*/
+const overlaps = (a, b) => a === b
+  || a.indexOf(b + '.') === 0
+  || b.indexOf(a + '.') === 0;
+
+
+/*
+  Filters a list of changes down to those which affect the value at a given
+  dotted path.  A change affects a path if it is at, within, or contains it.
+*/
+const scope = (changes, path) => ({
+  added: changes.added.filter(x => overlaps(x, path)),
+  removed: changes.removed.filter(x => overlaps(x, path)),
+  modified: changes.modified.filter(x => overlaps(x, path)),
+});
+
+
+module.exports = {
+  diff,
+  diffKeys,
+  isEmpty,
+  scope,
+};
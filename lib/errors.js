@@ -0,0 +1,259 @@
+'use strict';
+
+const elv = require('elv');
+
+
+/*
+  Gets a description of the underlying cause of an error.
+*/
+const reasonOf = cause => ((elv(cause) && elv(cause.message))
+  ? cause.message
+  : String(cause));
+
+
+/**
+ * Base class for errors raised by Kibbutz.
+ */
+class KibbutzError extends Error {
+
+  /**
+   * Creates an instance of KibbutzError.
+   *
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+
+}
+
+
+/**
+ * Raised when loading is cancelled via an AbortSignal.
+ */
+class AbortError extends KibbutzError {
+
+  /**
+   * Creates an instance of AbortError.
+   */
+  constructor() {
+    super('Loading was aborted');
+  }
+
+}
+
+
+/**
+ * Raised when a configuration value contains a reference to itself.
+ */
+class CircularReferenceError extends KibbutzError {
+
+  /**
+   * Creates an instance of CircularReferenceError.
+   *
+   * @param {string} path - The dot-delimited path of the reference.
+   */
+  constructor(path) {
+    super(`Configuration contains a circular reference at "${path}"`);
+    this.path = path;
+  }
+
+}
+
+
+/**
+ * Raised when an encrypted configuration value cannot be decrypted.
+ */
+class DecryptionError extends KibbutzError {
+
+  /**
+   * Creates an instance of DecryptionError.
+   *
+   * @param {string} path - The dot-delimited path of the encrypted value.
+   * @param {*} cause - The underlying error.
+   */
+  constructor(path, cause) {
+    super(`Failed to decrypt "${path}": ${reasonOf(cause)}`);
+    this.path = path;
+    this.cause = cause;
+  }
+
+}
+
+
+/**
+ * Raised when a reference within a configuration value cannot be resolved.
+ */
+class InterpolationError extends KibbutzError {
+
+  /**
+   * Creates an instance of InterpolationError.
+   *
+   * @param {string} path - The dot-delimited path of the value containing the
+   *   reference.
+   * @param {string} reason - Describes why the reference cannot be resolved.
+   */
+  constructor(path, reason) {
+    super(`Failed to interpolate "${path}": ${reason}`);
+    this.path = path;
+  }
+
+}
+
+
+/**
+ * Raised when a configuration fragment exceeds a depth or size limit.
+ */
+class LimitError extends KibbutzError {
+
+  /**
+   * Creates an instance of LimitError.
+   *
+   * @param {string} path - The dot-delimited path at which the limit was
+   *   exceeded.
+   * @param {string} limit - The name of the limit, e.g. "maxDepth".
+   * @param {number} max - The value of the limit.
+   */
+  constructor(path, limit, max) {
+    super(`Configuration exceeds ${limit} of ${max} at "${path}"`);
+    this.path = path;
+    this.limit = limit;
+    this.max = max;
+  }
+
+}
+
+
+/**
+ * Raised when a required configuration path does not exist.
+ */
+class MissingPathError extends KibbutzError {
+
+  /**
+   * Creates an instance of MissingPathError.
+   *
+   * @param {string} path - The dot-delimited path which does not exist.
+   */
+  constructor(path) {
+    super(`Configuration path "${path}" is missing`);
+    this.path = path;
+  }
+
+}
+
+
+/**
+ * Raised when code attempts to modify the configuration value while mutations
+ * are guarded.
+ */
+class MutationError extends KibbutzError {
+
+  /**
+   * Creates an instance of MutationError.
+   *
+   * @param {string} path - The dot-delimited path which code attempted to
+   *   modify.
+   */
+  constructor(path) {
+    super(`Configuration path "${path}" is read-only`);
+    this.path = path;
+  }
+
+}
+
+
+/**
+ * Raised when configuration text cannot be parsed.
+ */
+class ParseError extends KibbutzError {
+
+  /**
+   * Creates an instance of ParseError.
+   *
+   * @param {string} path - The path of the file which failed to parse, or the
+   *   name of the append() call given the text.
+   * @param {Error} cause - The underlying error.
+   */
+  constructor(path, cause) {
+    super(`Failed to parse configuration "${path}": ${cause.message}`);
+    this.path = path;
+    this.cause = cause;
+  }
+
+}
+
+
+/**
+ * Raised when a provider fails to load.
+ */
+class ProviderError extends KibbutzError {
+
+  /**
+   * Creates an instance of ProviderError.
+   *
+   * @param {string} provider - The name of the provider which failed.
+   * @param {*} cause - The underlying error.
+   */
+  constructor(provider, cause) {
+    super(`Provider "${provider}" failed to load: ${reasonOf(cause)}`);
+    this.provider = provider;
+    this.cause = cause;
+  }
+
+}
+
+
+/**
+ * Raised when a provider takes too long to load.
+ */
+class TimeoutError extends ProviderError {
+
+  /**
+   * Creates an instance of TimeoutError.
+   *
+   * @param {string} provider - The name of the provider which timed out.
+   * @param {number} timeout - The number of milliseconds waited.
+   */
+  constructor(provider, timeout) {
+    super(provider, new Error(`Timed out after ${timeout}ms`));
+    this.timeout = timeout;
+  }
+
+}
+
+
+/**
+ * Raised when configuration does not satisfy its schema.
+ */
+class ValidationError extends KibbutzError {
+
+  /**
+   * Creates an instance of ValidationError.
+   *
+   * @param {object[]} errors - The violations found, each with a "path" and
+   *   "message" property.
+   */
+  constructor(errors) {
+    const lines = errors.map(x => `  ${x.path || '(root)'}: ${x.message}`);
+    super('Configuration is invalid:\n' + lines.join('\n'));
+    this.errors = errors;
+  }
+
+}
+
+
+module.exports = {
+  AbortError,
+  CircularReferenceError,
+  DecryptionError,
+  InterpolationError,
+  KibbutzError,
+  LimitError,
+  MissingPathError,
+  MutationError,
+  ParseError,
+  ProviderError,
+  TimeoutError,
+  ValidationError,
+};
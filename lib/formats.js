@@ -0,0 +1,118 @@
+'use strict';
+
+const dotenv = require('dotenv');
+const elv = require('elv');
+const ini = require('ini');
+const path = require('path');
+const toml = require('toml');
+const yaml = require('js-yaml');
+
+const { hasProp, isPojo, isSafeKey } = require('./util');
+
+
+/*
+  Messages used for errors.
+*/
+const msg = {
+  formatName: 'Unknown format: ',
+  textStr: 'Text to parse must be a string',
+  fragmentObj: 'Parsed text must be an object',
+};
+
+
+/*
+  Parsers for each supported format.  Each takes text, and returns the value
+  it describes.
+*/
+const parsers = {
+  dotenv: text => dotenv.parse(text),
+  ini: text => ini.parse(text),
+  json: text => JSON.parse(text),
+  toml: text => toml.parse(text),
+  yaml: text => yaml.safeLoad(text),
+};
+
+
+/*
+  The format of each supported file extension.
+*/
+const extensions = {
+  '.env': 'dotenv',
+  '.ini': 'ini',
+  '.json': 'json',
+  '.toml': 'toml',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+};
+
+
+/*
+  Converts a parsed value into plain objects and arrays.  Some parsers create
+  objects without prototypes, which are copied into plain objects.  Unsafe
+  keys, such as "__proto__", are skipped.
+*/
+const toPlain = (value) => {
+  if (typeof value !== 'object' || value === null || value instanceof Date) {
+    return value;
+  }
+
+  if (Array.isArray(value)) return value.map(toPlain);
+
+  const result = {};
+  Object.keys(value).filter(isSafeKey).forEach((key) => {
+    result[key] = toPlain(value[key]);
+  });
+
+  return result;
+};
+
+
+/*
+  Determines if a format is supported.
+*/
+const isFormat = format => typeof format === 'string' && hasProp(parsers, format);
+
+
+/*
+  Asserts that a format is supported.  If not, throw a TypeError.
+*/
+const assertFormat = (format) => {
+  if (!isFormat(format)) throw new TypeError(msg.formatName + format);
+};
+
+
+/*
+  Gets the format of a file from its extension.  Files named only by an
+  extension, such as ".env", are also recognized.  Returns undefined if the
+  format is not supported.
+*/
+const formatOf = (filePath) => {
+  const base = path.basename(filePath);
+  const ext = (path.extname(base) || base).toLowerCase();
+  return (hasProp(extensions, ext)) ? extensions[ext] : undefined;
+};
+
+
+/*
+  Parses text in the given format into a configuration fragment.  Empty
+  documents produce an empty fragment.  If the text cannot be parsed, or does
+  not describe an object, throw an Error.
+*/
+const parse = (text, format) => {
+  assertFormat(format);
+  if (typeof text !== 'string') throw new TypeError(msg.textStr);
+
+  const result = parsers[format](text);
+  if (!elv(result)) return {};
+  if (!isPojo(result)) throw new TypeError(msg.fragmentObj);
+
+  return toPlain(result);
+};
+
+
+module.exports = {
+  assertFormat,
+  formatOf,
+  isFormat,
+  parse,
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+const { MutationError } = require('./errors');
+const { displayPath } = require('./path');
+const { deepFreeze, isBranch, isCollection } = require('./util');
+
+
+/*
+  Wraps an object or array in a Proxy which throws a MutationError naming the
+  path of any property code attempts to set, define, or delete.  Objects and
+  arrays nested within it are wrapped as they are read, such that every read
+  of the same object returns the same Proxy.  The value itself is not frozen,
+  so it must not be shared.  Maps, Sets, and Dates cannot be wrapped, so they
+  are deep-frozen instead.  Other values are returned as-is.
+*/
+const guard = (value) => {
+  const proxies = new WeakMap();
+
+  const wrap = (node, keys) => {
+    if (isCollection(node) || node instanceof Date) return deepFreeze(node);
+    if (!isBranch(node)) return node;
+    if (proxies.has(node)) return proxies.get(node);
+
+    const fail = (key) => {
+      throw new MutationError(displayPath(keys.concat(String(key)).join('.')));
+    };
+
+    const proxy = new Proxy(node, {
+      get: (target, key) => wrap(target[key], keys.concat(String(key))),
+      set: (target, key) => fail(key),
+      defineProperty: (target, key) => fail(key),
+      deleteProperty: (target, key) => fail(key),
+      setPrototypeOf: () => {
+        throw new MutationError(displayPath(keys.join('.')));
+      },
+    });
+
+    proxies.set(node, proxy);
+    return proxy;
+  };
+
+  return wrap(value, []);
+};
+
+
+module.exports = { guard };
@@ -0,0 +1,167 @@
+'use strict';
+
+const elv = require('elv');
+
+const { InterpolationError } = require('./errors');
+const { deepCopy } = require('./merge');
+const { displayPath, lookup, toKeys } = require('./path');
+const { hasProp, isBranch } = require('./util');
+
+
+/*
+  Matches references, such as "${db.host}", within a string.  A reference
+  preceded by an extra "$", such as "$${db.host}", is escaped.
+*/
+const referencePattern = /\$(\$)?\{([^}]*)\}/g;
+
+
+/*
+  Matches a string which consists of a single reference.
+*/
+const wholePattern = /^\$\{([^}]*)\}$/;
+
+
+/*
+  The prefix of references to environment variables.
+*/
+const envPrefix = 'env:';
+
+
+/*
+  Determines if a value can be embedded within a string.
+*/
+const isScalar = value => typeof value === 'string'
+  || typeof value === 'number'
+  || typeof value === 'boolean';
+
+
+/*
+  Resolves the references within the string values of an object.  A reference
+  to a path is replaced by the value at that path, which is resolved first.  A
+  reference to an environment variable, such as "${env:HOME}", is replaced by
+  the variable's value within the given environment.  A string consisting of a
+  single reference takes on the referenced value, whatever its type.  Otherwise,
+  referenced values must be strings, numbers, or Booleans.  Objects and arrays
+  are updated in place.  Returns the resolved value.  The following options
+  are supported:
+
+    * "onReference": a function called with the keys of each value containing
+      a reference to a path, the keys of the referenced path, and whether or
+      not the value consists of the single reference.
+    * "partial": when true, references to paths which do not exist are left in
+      place, so that they may be resolved once the paths are loaded.
+
+  If a reference cannot be resolved, or references are circular, throw an
+  InterpolationError.
+*/
+const interpolate = (value, env, options) => {
+  const { onReference, partial } = elv.coalesce(options, {});
+  const root = { value };
+  const resolved = new Set();
+  const resolving = [];
+
+  const fail = (path, reason) => {
+    throw new InterpolationError(displayPath(path), reason);
+  };
+
+  let resolve;
+
+  const reference = (ref, from, whole) => {
+    const path = from.join('.');
+
+    if (ref.indexOf(envPrefix) === 0) {
+      const name = ref.slice(envPrefix.length);
+
+      if (!hasProp(env, name) || typeof env[name] !== 'string') {
+        fail(path, `environment variable "${name}" is not set`);
+      }
+
+      return env[name];
+    }
+
+    let keys;
+
+    try {
+      keys = toKeys(ref);
+    } catch (err) {
+      fail(path, `invalid reference "\${${ref}}"`);
+    }
+
+    if (!lookup(root.value, keys).found) {
+      fail(path, `unresolved reference "\${${ref}}"`);
+    }
+
+    const result = resolve(keys);
+    if (elv(onReference)) onReference(from, keys, whole);
+
+    return (typeof result === 'object' && result !== null)
+      ? deepCopy(result)
+      : result;
+  };
+
+  const isDeferred = (ref) => {
+    if (partial !== true || ref.indexOf(envPrefix) === 0) return false;
+
+    try {
+      return !lookup(root.value, toKeys(ref)).found;
+    } catch (err) {
+      return false;
+    }
+  };
+
+  const resolveString = (str, keys) => {
+    const whole = str.match(wholePattern);
+
+    if (elv(whole)) {
+      return (isDeferred(whole[1])) ? str : reference(whole[1], keys, true);
+    }
+
+    return str.replace(referencePattern, (match, escape, ref) => {
+      if (elv(escape)) return match.slice(1);
+      if (isDeferred(ref)) return match;
+
+      const result = reference(ref, keys, false);
+
+      if (!isScalar(result)) {
+        fail(keys.join('.'), `reference "\${${ref}}" must be a string, number, or `
+          + 'Boolean to be embedded in a string');
+      }
+
+      return String(result);
+    });
+  };
+
+  resolve = (keys) => {
+    const path = keys.join('.');
+    const node = lookup(root, ['value'].concat(keys)).value;
+    if (resolved.has(path)) return node;
+
+    if (resolving.indexOf(path) !== -1) {
+      const chain = resolving.slice(resolving.indexOf(path)).concat(path);
+      fail(resolving[resolving.length - 1], 'circular reference '
+        + chain.map(displayPath).join(' -> '));
+    }
+
+    resolving.push(path);
+    let result = node;
+
+    if (typeof node === 'string') {
+      result = resolveString(node, keys);
+    } else if (isBranch(node)) {
+      Object.keys(node).forEach((key) => { resolve(keys.concat(key)); });
+    }
+
+    resolving.pop();
+    resolved.add(path);
+
+    const fullKeys = ['value'].concat(keys);
+    const parent = lookup(root, fullKeys.slice(0, -1)).value;
+    parent[fullKeys[fullKeys.length - 1]] = result;
+    return result;
+  };
+
+  return resolve([]);
+};
+
+
+module.exports = { interpolate };
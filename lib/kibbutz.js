@@ -2,7 +2,49 @@
 
 const elv = require('elv');
 const { EventEmitter } = require('events');
-const Promise = require('bluebird');
+const { inspect } = require('util');
+
+const AesGcmDecryptor = require('./decryptors/aes-gcm');
+const ArgvProvider = require('./providers/argv');
+const EnvProvider = require('./providers/env');
+const { decrypt, isDecryptor } = require('./decrypt');
+const { diff, isEmpty, scope } = require('./diff');
+const errors = require('./errors');
+const FileProvider = require('./providers/file');
+const formats = require('./formats');
+const { guard } = require('./guard');
+const {
+  compileRules,
+  deepCopy,
+  merge,
+  resolveStrategy,
+  strategies,
+} = require('./merge');
+const { interpolate } = require('./interpolate');
+const { assertLimits } = require('./limits');
+const { lookup, toKeys } = require('./path');
+const { applyProfiles, assertProfile } = require('./profiles');
+const {
+  eachLeaf,
+  findSource,
+  ownerOf,
+  trace,
+} = require('./provenance');
+const {
+  assertProvider,
+  fetchFragment,
+  isOptional,
+  nameOf,
+  subscribe,
+} = require('./provider');
+const { assertSchema, normalize, validate } = require('./schema');
+const {
+  compileSecrets,
+  derivedSecrets,
+  redact,
+  within,
+} = require('./secrets');
+const { deepFreeze, hasProp, isPojo } = require('./util');
 
 
 /*
@@ -12,27 +54,60 @@ const msg = {
   optionsRequired: 'Arg "options" is required',
   optionsObj: 'Invalid options: must be an object',
   optionsValueObj: 'Invalid options: value must be an object',
+  interpolate: 'Invalid options: interpolate must be a Boolean or an object',
+  interpolateEnv: 'Invalid options: interpolate.env must be an object',
+  guardMutationsBool: 'Invalid options: guardMutations must be a Boolean',
+  decryptors: 'Invalid options: decryptors must be an object whose values are '
+    + 'functions or objects with a "decrypt" method',
+  loadOptionsObj: 'Arg "options" must be an object',
+  appendOptionsObj: 'Arg "options" must be an object when appending an array',
+  optionUnknown: 'Arg "options" has an unknown key: ',
+  concurrency: 'Option "concurrency" must be a positive integer or Infinity',
+  timeout: 'Option "timeout" must be a positive number',
+  signal: 'Option "signal" must be an AbortSignal',
   callback: 'Invalid argument: callback must be a function.',
   providersArray: 'Arg "providers" must be an array',
-  providerLoad: 'Providers must be an object with a "load" method',
   eventNameStr: 'Arg "eventName" must be a non-empty string',
   listenerFunc: 'Arg "listener" must be a function',
   unknownEventName: 'Arg "eventName" referenes an unknown event: ',
   appendNothing: 'No arguments were supplied to append',
+  appendFormat: 'Option "format" is required when appending text',
   sharedKibbutz: 'Property "shared" must be an instance of Kibbutz or null',
+  nameStr: 'Arg "name" must be a non-empty string',
+  instanceKibbutz: 'Arg "instance" must be an instance of Kibbutz',
 };
 
 
-const hasProp = (obj, prop) => Object.prototype.hasOwnProperty.call(obj, prop);
+/*
+  The names of events raised by Kibbutz.
+*/
+const events = ['change', 'config', 'done', 'error'];
+
+
+/*
+  Asserts that the "interpolate" option passed to the Kibbutz constructor is
+  valid.
+*/
+const assertInterpolate = (option) => {
+  if (!elv(option) || typeof option === 'boolean') return;
+  if (!isPojo(option)) throw new TypeError(msg.interpolate);
+
+  const { env } = option;
+  if (elv(env) && !isPojo(env)) throw new TypeError(msg.interpolateEnv);
+};
 
 
 /*
-  Is Plain Old JSON Object.  Returns true if value is an object, and is not an
-  Array or Date.  Otherwise false.
+  Asserts that the "decryptors" option passed to the Kibbutz constructor is
+  valid.
 */
-const isPojo = value => typeof value === 'object'
-  && !Array.isArray(value)
-  && !(value instanceof Date);
+const assertDecryptors = (decryptors) => {
+  if (!elv(decryptors)) return;
+
+  if (!isPojo(decryptors)
+      || !Object.keys(decryptors).every(x => isDecryptor(decryptors[x]))
+  ) { throw new TypeError(msg.decryptors); }
+};
 
 
 /*
@@ -51,6 +126,55 @@ const assertOptions = (options) => {
       throw new TypeError(msg.optionsValueObj);
     }
   }
+
+  resolveStrategy(options.mergeStrategy);
+  compileRules(options.mergeRules);
+
+  if (elv(options.schema)) assertSchema(options.schema);
+
+  assertInterpolate(options.interpolate);
+  assertProfile(options.profile);
+
+  if (elv(options.guardMutations) && typeof options.guardMutations !== 'boolean') {
+    throw new TypeError(msg.guardMutationsBool);
+  }
+  assertDecryptors(options.decryptors);
+  compileSecrets(options.secrets);
+};
+
+
+/*
+  The keys of the options objects accepted by load(), by append() given an
+  array, and by append() given text.
+*/
+const callKeys = {
+  load: ['mergeStrategy', 'mergeRules', 'concurrency', 'timeout', 'limits', 'signal'],
+  array: ['mergeStrategy', 'mergeRules'],
+  text: ['mergeStrategy', 'mergeRules', 'format'],
+};
+
+
+/*
+  Asserts that the options object passed to load() or append() is valid, and
+  returns the options to use when merging.  Keys other than the given ones are
+  rejected, so that a fragment mistaken for options is not silently dropped.
+  Falls back to the strategy given to the constructor when the options do not
+  specify one.  Merge rules given in the options take precedence over those
+  given to the constructor.
+*/
+const assertCallOptions = (options, defaults, message, keys) => {
+  if (!elv(options)) return defaults;
+  if (!isPojo(options)) throw new TypeError(message);
+
+  const unknown = Object.keys(options).filter(x => keys.indexOf(x) === -1);
+  if (unknown.length > 0) throw new TypeError(msg.optionUnknown + unknown[0]);
+
+  return {
+    strategy: (elv(options.mergeStrategy))
+      ? resolveStrategy(options.mergeStrategy)
+      : defaults.strategy,
+    rules: compileRules(defaults.ruleSet, options.mergeRules),
+  };
 };
 
 
@@ -72,141 +196,280 @@ const assertProviders = (providers) => {
 
 
 /*
-  Validates a provider object to ensure it is an object with a load() method.
-  If not, throw a TypeError.  This helper is called prior to to the call to
-  load() in the default module function.
+  Asserts that the concurrency option given to load() is valid, and returns it.
+  Providers are loaded serially by default.
 */
-const assertProvider = (provider) => {
-  if (!elv(provider)
-      || typeof provider.load !== 'function'
-  ) { throw new TypeError(msg.providerLoad); }
+const assertConcurrency = (options) => {
+  if (!elv(options) || !elv(options.concurrency)) return 1;
+
+  const { concurrency } = options;
+
+  if (concurrency !== Infinity
+      && (!Number.isInteger(concurrency) || concurrency < 1)
+  ) { throw new TypeError(msg.concurrency); }
+
+  return concurrency;
 };
 
 
 /*
-  Merges b into a, and returns a.  The merge is first-one-in wins.  Keys will
-  not be over-written.  If matching keys are both an object, the objects are
-  merged (this includes arrays).  All objects are deep-copied.
+  Asserts that the timeout option given to load() is valid, and returns it.
+  By default, providers without their own timeout are given as long as they
+  need.
 */
-const merge = (a, b) => {
-  if (typeof a !== 'object'
-      || a instanceof Date
-      || typeof b !== 'object'
-      || b instanceof Date
-  ) return a;
-
-  if (Array.isArray(a)) {
-    if (!Array.isArray(b)) return a;
-    Array.prototype.push.apply(a, b);
-    return a;
-  }
-
-  const val = a;
-  const bkeys = Object.keys(b);
-
-  for (let i = 0; i < bkeys.length; i++) {
-    const key = bkeys[i];
-    const bval = b[key];
-    const isBObj = (typeof bval === 'object' && !(bval instanceof Date));
-
-    if (!hasProp(val, key)) {
-      if (!isBObj) {
-        val[key] = bval;
-      } else {
-        val[key] = (Array.isArray(bval)) ? [] : {};
-        merge(val[key], bval);
-      }
-      continue;
-    }
+const assertTimeout = (options) => {
+  if (!elv(options) || !elv(options.timeout)) return undefined;
 
-    const aval = val[key];
-    if (typeof aval !== 'object' || aval instanceof Date || !isBObj) continue;
-    merge(aval, bval);
+  const { timeout } = options;
+
+  if (typeof timeout !== 'number' || !(timeout > 0)) {
+    throw new TypeError(msg.timeout);
   }
 
-  return val;
+  return timeout;
 };
 
 
 /*
-  Makes a deep copy of an object.  If the object is undefined, an empty object
-  is returned.
+  Asserts that the limits option given to load() is valid, and returns it.
+  By default, providers without their own limits may give fragments of any
+  depth and size.
 */
-const deepCopy = (obj) => {
-  if (!elv(obj)) return {};
-  if (typeof obj !== 'object' || obj instanceof Date) return obj;
-
-  if (Array.isArray(obj)) {
-    const copiedArray = [];
-
-    for (let i = 0; i < obj.length; i++) {
-      const aval = obj[i];
-      copiedArray.push((typeof aval === 'object')
-        ? deepCopy(aval)
-        : aval);
-    }
+const assertLoadLimits = (options) => {
+  if (!elv(options)) return undefined;
 
-    return copiedArray;
-  }
+  assertLimits(options.limits, 'Option');
+  return options.limits;
+};
 
-  const copiedObj = {};
-  const keys = Object.keys(obj);
 
-  for (let i = 0; i < keys.length; i++) {
-    const key = keys[i];
-    const val = obj[key];
-    copiedObj[key] = (typeof val === 'object')
-      ? deepCopy(val)
-      : val;
-  }
+/*
+  Asserts that the signal option given to load() is an AbortSignal, or
+  something which looks like one, and returns it.
+*/
+const assertSignal = (options) => {
+  if (!elv(options) || !elv(options.signal)) return undefined;
+
+  const { signal } = options;
+
+  if (typeof signal !== 'object'
+      || typeof signal.aborted !== 'boolean'
+      || typeof signal.addEventListener !== 'function'
+      || typeof signal.removeEventListener !== 'function'
+  ) { throw new TypeError(msg.signal); }
 
-  return copiedObj;
+  return signal;
 };
 
 
 /*
-  Recurse through a list of providers, and call their load() method serialy.
+  Loads the fragment of each provider in a list, running at most "concurrency"
+  providers at a time.  The "config" event is raised for each fragment in the
+  order of the providers array regardless of the order in which they finish
+  loading, and is given the name of the provider.  Once a required provider
+  fails, no succeeding providers are started, and the Promise is rejected with
+  a ProviderError.  Failures of optional providers are given to the "report"
+  option, and their fragments are skipped.  If the "signal" option is aborted,
+  no more providers are started, and the Promise is rejected with an
+  AbortError.  Returns a Promise which resolves with the list of fragments.
 */
-const load = (value, providers, emitter, i, callback) => {
-  if (i === providers.length) {
-    callback(undefined, value);
-    return;
-  }
+const load = (providers, emitter, options) => new Promise((resolve, reject) => {
+  const fragments = new Array(providers.length);
+  const loaded = new Array(providers.length);
+  const skipped = new Array(providers.length);
+  let started = 0;
+  let emitted = 0;
+  let running = 0;
+  let settled = false;
+  let onAbort;
+
+  const { signal } = options;
+
+  const settle = () => {
+    settled = true;
+    if (elv(signal)) signal.removeEventListener('abort', onAbort);
+  };
+
+  const fail = (err) => {
+    settle();
+    reject(err);
+  };
+
+  const drain = () => {
+    while (emitted < providers.length && loaded[emitted]) {
+      if (!skipped[emitted]) {
+        emitter.emit('config', options.names[emitted], fragments[emitted]);
+      }
 
-  const val = value;
-  const p = providers;
-  const events = emitter;
-  const next = i + 1;
-  const cb = callback;
-  const provider = p[i];
-  assertProvider(provider);
+      emitted++;
+    }
 
-  provider.load((err, fragment) => {
-    if (elv(err)) {
-      cb(err);
+    if (emitted < providers.length) return;
+
+    settle();
+    resolve(fragments);
+  };
+
+  let start;
+
+  const run = (i) => {
+    const provider = providers[i];
+    running++;
+
+    fetchFragment(provider, options.names[i], options)
+      .then(fragment => ({ fragment }), (err) => {
+        if (!isOptional(provider)) throw err;
+        return { error: err };
+      })
+      .then((result) => {
+        running--;
+        if (settled) return;
+
+        if (elv(result.error)) {
+          skipped[i] = true;
+          options.report(result.error);
+        }
+
+        fragments[i] = result.fragment;
+        loaded[i] = true;
+        drain();
+        start();
+      })
+      .catch(fail);
+  };
+
+  start = () => {
+    while (!settled
+        && running < options.concurrency
+        && started < providers.length
+    ) { run(started++); }
+  };
+
+  onAbort = () => fail(new errors.AbortError());
+
+  if (elv(signal)) {
+    if (signal.aborted) {
+      onAbort();
       return;
     }
-    events.emit('config', fragment);
-    merge(val, fragment);
-    load(val, p, events, next, (e, res) => {
-      cb(e, res);
-    });
-  });
+
+    signal.addEventListener('abort', onAbort);
+  }
+
+  if (providers.length === 0) {
+    drain();
+    return;
+  }
+
+  start();
+});
+
+
+/*
+  Makes a deep-frozen copy of a configuration value for use outside of Kibbutz.
+  Scalar values are returned as-is.
+*/
+const snapshot = value => ((typeof value === 'object' && value !== null)
+  ? deepFreeze(deepCopy(value))
+  : value);
+
+
+/*
+  Gives a configuration value toJSON() and inspect methods which redact its
+  secret values, so that serializing or logging the value, such as within
+  "done" listeners, does not reveal them.  The methods are not enumerable, so
+  they are not part of the configuration.  Returns the value.
+*/
+const masked = (value, isSecret) => {
+  const redacted = () => redact(value, [], isSecret);
+
+  Object.defineProperty(value, 'toJSON', { value: redacted });
+  Object.defineProperty(value, inspect.custom, { value: redacted });
+
+  return value;
 };
 
 
 /**
- * @typedef {object} Provider
- * Any object used to load configuration data.
+ * @typedef {function|object} Provider
+ * Any function or object used to load configuration data.  This may be one of:
+ *
+ *  - An object with a load() method.
+ *  - A function, which is called just like a load() method.
+ *  - A static configuration object, which is used as the fragment as-is.
  *
- * @prop {function} load - A function that takes a callback as a parameter
+ * A load() method may take a Node.js-style callback as a parameter, return a
+ * Promise, or take no parameters and return the fragment.  It is also given an
+ * object holding the "signal" of the load, if any.
+ *
+ * Providers other than static configuration objects may also have a watch()
+ * method, which is given a function to call whenever the provider's data
+ * changes.  It may return a function which stops watching.
+ *
+ * Providers other than static configuration objects may have a "name"
+ * property, which identifies them in events, errors, and diagnostics.  The
+ * name defaults to the provider's class name, or its index.
  */
 
 
 /*
-  Holds shared Kibbutz instances.
+  Parses text given to append() in the format named by its options.  If the
+  format is missing or unknown, throw a TypeError.  If the text cannot be
+  parsed, throw a ParseError naming the append() call.
 */
-let shared = null;
+const parseText = (text, options, name) => {
+  if (!elv(options) || !isPojo(options) || !elv(options.format)) {
+    throw new TypeError(msg.appendFormat);
+  }
+
+  formats.assertFormat(options.format);
+
+  try {
+    return formats.parse(text, options.format);
+  } catch (err) {
+    throw new errors.ParseError(name, err);
+  }
+};
+
+
+/*
+  Gets the environment used to resolve "${env:NAME}" references, given the
+  "interpolate" option.  Returns undefined if interpolation is disabled.
+  Without the "env" key, no variables are set.
+*/
+const interpolationEnv = (option) => {
+  if (!elv(option) || option === false) return undefined;
+  if (option === true) return {};
+  return elv.coalesce(option.env, {});
+};
+
+
+/*
+  Holds Kibbutz instances shared across modules, keyed by name.
+*/
+const registry = new Map();
+
+
+/*
+  Holds the functions waiting for instances to be registered, keyed by name.
+*/
+const registrations = new Map();
+
+
+/*
+  The name of the instance gotten and set by Kibbutz.shared.
+*/
+const defaultName = 'default';
+
+
+/*
+  Asserts that the name of a shared instance is a non-empty string.
+*/
+const assertName = (name) => {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new TypeError(msg.nameStr);
+  }
+};
 
 
 /**
@@ -225,25 +488,208 @@ class Kibbutz {
       ? deepCopy(options.value)
       : {};
 
-    this._value = Object.freeze(val);
     this._emitter = new EventEmitter();
+
+    const opts = elv.coalesce(options, {});
+    this._mergeOptions = {
+      strategy: resolveStrategy(opts.mergeStrategy),
+      rules: compileRules(opts.mergeRules),
+      ruleSet: opts.mergeRules,
+    };
+    this._schema = opts.schema;
+    this._profiles = assertProfile(opts.profile);
+    this._env = interpolationEnv(opts.interpolate);
+    this._guard = opts.guardMutations === true;
+    this._isSecret = compileSecrets(opts.secrets, opts.schema);
+    this._decryptors = opts.decryptors;
+    this._hidden = [];
+    this._base = val;
+    this._layers = [];
+    this._appends = 0;
+    this._watchers = [];
+    this._reloading = Promise.resolve();
+    this._pending = 0;
+    this._loaded = false;
+    this._waiters = [];
+    this._commit(this._build(), false);
   }
 
 
   /**
-   * Gets or sets an instance of Kibbutz to be shared across modules.
+   * Gets the built-in merge strategies.  Any of these may be supplied to the
+   * Kibbutz constructor, load(), or append() by name via the "mergeStrategy"
+   * option.
+   *
+   * @static
+   * @readonly
+   *
+   * @returns {object}
+   */
+  static get mergeStrategies() { return strategies; }
+
+
+  /**
+   * Gets the error classes raised by Kibbutz.
+   *
+   * @static
+   * @readonly
+   *
+   * @returns {object}
+   */
+  static get errors() { return errors; }
+
+
+  /**
+   * Gets the parsers for configuration text in the JSON, YAML, TOML, INI, and
+   * dotenv formats.
+   *
+   * @static
+   * @readonly
+   *
+   * @returns {object}
+   */
+  static get formats() { return formats; }
+
+
+  /**
+   * Gets the built-in decryptor for values encrypted with AES-256-GCM.
+   *
+   * @static
+   * @readonly
+   *
+   * @returns {AesGcmDecryptor}
+   */
+  static get AesGcmDecryptor() { return AesGcmDecryptor; }
+
+
+  /**
+   * Gets the built-in provider for loading command-line arguments.
+   *
+   * @static
+   * @readonly
+   *
+   * @returns {ArgvProvider}
+   */
+  static get ArgvProvider() { return ArgvProvider; }
+
+
+  /**
+   * Gets the built-in provider for loading environment variables.
+   *
+   * @static
+   * @readonly
+   *
+   * @returns {EnvProvider}
+   */
+  static get EnvProvider() { return EnvProvider; }
+
+
+  /**
+   * Gets the built-in provider for loading JSON and CommonJS config files.
+   *
+   * @static
+   * @readonly
+   *
+   * @returns {FileProvider}
+   */
+  static get FileProvider() { return FileProvider; }
+
+
+  /**
+   * Gets or sets an instance of Kibbutz to be shared across modules.  This is
+   * the instance registered under the name "default".
    *
    * @static
    *
    * @returns {Kibbutz}
    */
-  static get shared() { return shared; }
+  static get shared() { return Kibbutz.get(defaultName); }
   static set shared(val) {
     if (!(val instanceof Kibbutz) && val !== null) {
       throw new TypeError(msg.sharedKibbutz);
     }
 
-    shared = val;
+    if (val === null) Kibbutz.unregister(defaultName);
+    else Kibbutz.register(defaultName, val);
+  }
+
+
+  /**
+   * Registers an instance of Kibbutz to be shared across modules under a
+   * given name, replacing any instance already registered under it.
+   *
+   * @static
+   *
+   * @param {string} name
+   * @param {Kibbutz} instance
+   *
+   * @returns {Kibbutz} The registered instance.
+   */
+  static register(name, instance) {
+    assertName(name);
+    if (!(instance instanceof Kibbutz)) throw new TypeError(msg.instanceKibbutz);
+
+    registry.set(name, instance);
+
+    const waiting = elv.coalesce(registrations.get(name), []);
+    registrations.delete(name);
+    waiting.forEach(resolve => resolve(instance));
+
+    return instance;
+  }
+
+
+  /**
+   * Gets the instance of Kibbutz registered under a given name.
+   *
+   * @static
+   *
+   * @param {string} name
+   *
+   * @returns {Kibbutz} The registered instance, or null if there is none.
+   */
+  static get(name) {
+    assertName(name);
+    return (registry.has(name)) ? registry.get(name) : null;
+  }
+
+
+  /**
+   * Removes the instance of Kibbutz registered under a given name.
+   *
+   * @static
+   *
+   * @param {string} name
+   *
+   * @returns {boolean} Whether or not an instance was registered.
+   */
+  static unregister(name) {
+    assertName(name);
+    return registry.delete(name);
+  }
+
+
+  /**
+   * Waits for an instance of Kibbutz to be registered under a given name, and
+   * for it to finish loading.  See ready().
+   *
+   * @static
+   *
+   * @param {string} [name=default]
+   *
+   * @returns {Promise} Resolves with the registered instance.
+   */
+  static ready(name = defaultName) {
+    assertName(name);
+
+    const registered = (registry.has(name))
+      ? Promise.resolve(registry.get(name))
+      : new Promise((resolve) => {
+        const waiting = elv.coalesce(registrations.get(name), []);
+        registrations.set(name, waiting.concat(resolve));
+      });
+
+    return registered.then(instance => instance.ready());
   }
 
 
@@ -257,67 +703,516 @@ class Kibbutz {
   get value() { return this._value; }
 
 
+  /**
+   * Gets the names of the active profiles, in the order their sections are
+   * applied.
+   *
+   * @readonly
+   *
+   * @returns {string[]}
+   */
+  get profiles() { return this._profiles.slice(); }
+
+
+  /**
+   * Gets the configuration value at a given path.  Objects and arrays are
+   * returned as deep-frozen copies.
+   *
+   * @param {string|Array<string|number>} path - A dot-delimited path, or an
+   *   array of keys.
+   * @param {*} [defaultValue] - Returned if the path does not exist.
+   *
+   * @returns {*}
+   */
+  get(path, defaultValue) {
+    const result = lookup(this._value, toKeys(path));
+    if (!result.found) return defaultValue;
+    return snapshot(result.value);
+  }
+
+
+  /**
+   * Explains where the configuration value at a given path came from.  Sources
+   * are named after the provider which supplied them, the append() call which
+   * supplied them (e.g. "append#2"), "constructor" for the value given to the
+   * constructor, or "schema" for schema defaults.  Secret values are
+   * redacted.
+   *
+   * @param {string|Array<string|number>} path - A dot-delimited path, or an
+   *   array of keys.
+   *
+   * @returns {object} An object with the "value" at the path, the name of the
+   *   "source" which supplied it, and a list of "shadowed" candidates, each
+   *   with the "source" and "value" it supplied.
+   */
+  explain(path) {
+    const keys = toKeys(path);
+    const result = lookup(this._value, keys);
+    const { source, candidates, winner } = findSource(this._sources(), keys);
+    const shadowed = candidates
+      .filter((x, i) => i !== winner)
+      .map(x => ({ source: x.source, value: this._redact(x.value, keys) }));
+
+    return {
+      value: snapshot(this._redact(result.value, keys)),
+      source: (result.found) ? elv.coalesce(source, 'schema') : undefined,
+      shadowed: snapshot(shadowed),
+    };
+  }
+
+
+  /**
+   * Gets the name of the source which supplied each value in the
+   * configuration.  See explain() for how sources are named.
+   *
+   * @returns {object} An object mapping the dot-delimited path of each value
+   *   to the name of its source.
+   */
+  sources() {
+    const owners = trace(this._sources());
+    const value = this._value;
+    const result = {};
+
+    const own = (keys) => {
+      result[keys.join('.')] = elv.coalesce(ownerOf(owners, keys), 'schema');
+    };
+
+    Object.keys(value).forEach(key => eachLeaf(value[key], [key], own));
+
+    return result;
+  }
+
+
+  /**
+   * Gets a deep copy of the configuration in which secret values are replaced
+   * by "[REDACTED]".  This is used by JSON.stringify().
+   *
+   * @returns {object}
+   */
+  toJSON() {
+    return this._redact(this._value, []);
+  }
+
+
+  /**
+   * Gets the redacted configuration when inspected, such as by console.log().
+   *
+   * @returns {object}
+   */
+  [inspect.custom]() {
+    return this.toJSON();
+  }
+
+
+  /**
+   * Determines if a value exists at a given path.
+   *
+   * @param {string|Array<string|number>} path - A dot-delimited path, or an
+   *   array of keys.
+   *
+   * @returns {boolean}
+   */
+  has(path) {
+    return lookup(this._value, toKeys(path)).found;
+  }
+
+
+  /**
+   * Gets the configuration value at a given path, and throws a
+   * MissingPathError if it does not exist.  Objects and arrays are returned as
+   * deep-frozen copies.
+   *
+   * @param {string|Array<string|number>} path - A dot-delimited path, or an
+   *   array of keys.
+   *
+   * @returns {*}
+   */
+  require(path) {
+    const keys = toKeys(path);
+    const result = lookup(this._value, keys);
+
+    if (!result.found) throw new errors.MissingPathError(keys.join('.'));
+
+    return snapshot(result.value);
+  }
+
+
   /**
    * Loads configuration fragments from a given list of providers, and merges
    * the results into this.value.
    *
    * @param {Provider[]} providers
+   * @param {object} [options]
    * @param {function} callback
    *
    * @returns {Kibbutz}
    */
-  load(providers, callback) {
-    assertProviders(providers);
-    assertCallback(callback);
-
-    const cb = callback;
-    const value = deepCopy(this._value);
-    load(value, providers, this._emitter, 0, (err, val) => {
-      if (elv(err)) {
-        cb(err);
-        return;
-      }
-
-      this._value = Object.freeze(val);
-      this._emitter.emit('done', this._value);
-      cb(undefined, this._value);
+  load(providers, options, callback) {
+    const cb = (typeof options === 'function' && !elv(callback))
+      ? options
+      : callback;
+    const opts = (cb === options) ? undefined : options;
+
+    assertCallback(cb);
+
+    this._load(providers, opts).then((value) => {
+      process.nextTick(() => cb(undefined, value));
+    }, (err) => {
+      process.nextTick(() => cb(err));
     });
 
     return this;
   }
 
 
+  /**
+   * Waits for this instance to finish loading.  Resolves once a call to load()
+   * or loadAsync() has succeeded, and no others are in progress.  Rejects if a
+   * load in progress fails.
+   *
+   * @returns {Promise} Resolves with this instance.
+   */
+  ready() {
+    return new Promise((resolve, reject) => {
+      if (this._loaded && this._pending === 0) resolve(this);
+      else this._waiters.push({ resolve, reject });
+    });
+  }
+
+
   /**
    * Loads configuration fragments from a given list of providers, and merges
    * the results into this.value.
    *
    * @param {Provider[]} providers
+   * @param {object} [options]
    *
    * @returns {Promise}
    */
-  loadAsync(providers) {
-    const p = providers;
+  loadAsync(providers, options) {
+    return new Promise((resolve) => {
+      resolve(this._load(providers, options));
+    });
+  }
 
-    return new Promise((resolve, reject) => {
-      const res = resolve;
-      const rej = reject;
 
-      this.load(p, (err, value) => {
-        if (elv(err)) {
-          rej(err);
-          return;
-        }
+  /*
+    Validates the arguments given to load() or loadAsync(), and starts loading.
+    Throws synchronously if arguments are invalid, otherwise returns a Promise
+    which resolves with the new value once all providers have loaded.
+  */
+  _load(providers, options) {
+    assertProviders(providers);
+    const mergeOptions = assertCallOptions(
+      options,
+      this._mergeOptions,
+      msg.loadOptionsObj,
+      callKeys.load
+    );
+    const concurrency = assertConcurrency(options);
+    const timeout = assertTimeout(options);
+    const limits = assertLoadLimits(options);
+    const signal = assertSignal(options);
+    providers.forEach(assertProvider);
+
+    const names = providers.map(nameOf);
+    const loadOptions = {
+      concurrency,
+      timeout,
+      limits,
+      signal,
+      names,
+      report: err => this._fail(err),
+    };
+
+    const loading = load(providers, this._emitter, loadOptions).then((fragments) => {
+      const layer = {
+        providers,
+        fragments,
+        mergeOptions,
+        names,
+        timeout,
+        limits,
+      };
+
+      this._layers.push(layer);
+
+      try {
+        this._commit(this._build(), true);
+      } catch (err) {
+        this._layers.pop();
+        throw err;
+      }
 
-        res(value);
-      });
+      this._emitter.emit('done', this._value);
+      this._watch(layer);
+
+      return this._value;
     });
+
+    this._pending++;
+    loading.then(() => this._settle(), err => this._settle(err));
+
+    return loading;
+  }
+
+
+  /*
+    Notes that a load has finished, failing with the given error if any.  Once
+    no loads are pending after a successful load, those waiting in ready() are
+    resolved.  If the load failed, those waiting are rejected with the error.
+  */
+  _settle(err) {
+    this._pending--;
+
+    const waiters = this._waiters;
+
+    if (elv(err)) {
+      this._waiters = [];
+      waiters.forEach(x => x.reject(err));
+      return;
+    }
+
+    this._loaded = true;
+    if (this._pending > 0) return;
+
+    this._waiters = [];
+    waiters.forEach(x => x.resolve(this));
+  }
+
+
+  /*
+    Merges the fragments of each layer, in order, into a copy of the base
+    value given to the constructor.  Each load() or append() call adds a
+    layer.  The sections of the active profiles within each fragment are
+    resolved before it is merged.  Returns the merged value.
+  */
+  _build() {
+    const value = deepCopy(this._resolve(this._base, this._mergeOptions));
+
+    for (let i = 0; i < this._layers.length; i++) {
+      const { fragments, mergeOptions } = this._layers[i];
+
+      for (let j = 0; j < fragments.length; j++) {
+        merge(value, this._resolve(fragments[j], mergeOptions), mergeOptions);
+      }
+    }
+
+    return value;
+  }
+
+
+  /*
+    Gets the list of every fragment merged into the value, in order, each with
+    the name of its source, and the options used to merge it.  The base value
+    given to the constructor is first.
+  */
+  _sources() {
+    const sources = [{
+      name: 'constructor',
+      fragment: this._resolve(this._base, this._mergeOptions),
+      mergeOptions: this._mergeOptions,
+    }];
+
+    for (let i = 0; i < this._layers.length; i++) {
+      const { fragments, mergeOptions, names } = this._layers[i];
+
+      for (let j = 0; j < fragments.length; j++) {
+        sources.push({
+          name: names[j],
+          fragment: this._resolve(fragments[j], mergeOptions),
+          mergeOptions,
+        });
+      }
+    }
+
+    return sources;
+  }
+
+
+  /*
+    Resolves the sections of the active profiles within a fragment.
+  */
+  _resolve(fragment, mergeOptions) {
+    return applyProfiles(fragment, this._profiles, mergeOptions);
+  }
+
+
+  /*
+    Replaces the aggregated configuration with the given merged value.  When a
+    schema is set, defaults are applied to, and values are coerced in, the
+    merged value, which may then be validated.  Defaults never take precedence
+    over later fragments, since the value is always rebuilt from its layers.
+    Encrypted values are decrypted before defaults are applied.  When
+    interpolation is enabled, references are resolved after defaults are
+    applied, and the result is coerced again.  Until a load has completed,
+    references to paths which are yet to be loaded are left in place rather
+    than failing, just as validation waits for a load to complete.  Values
+    interpolated from decrypted or secret values are redacted along with the
+    decrypted values.
+    The committed value is a deep copy which redacts secret values when
+    serialized, and which is deep-frozen, or guarded against mutations by a
+    Proxy when the "guardMutations" option is set.
+    Raises the "change" event if the value differs from the previous one.
+  */
+  _commit(raw, shouldValidate) {
+    const decrypted = (elv(this._decryptors))
+      ? decrypt(raw, this._decryptors)
+      : [];
+    const references = [];
+    let value = this._normalize(raw);
+
+    if (elv(this._env)) {
+      const onReference = (keys, ref, whole) => {
+        references.push({ keys, ref, whole });
+      };
+
+      value = this._normalize(interpolate(value, this._env, {
+        onReference,
+        partial: !shouldValidate && !this._loaded,
+      }));
+    }
+
+    const hidden = decrypted.concat(derivedSecrets(
+      value,
+      references,
+      x => this._isSecret(x) || within(x, decrypted)
+    ));
+
+    if (shouldValidate && elv(this._schema)) {
+      const violations = validate(this._schema, value);
+      if (violations.length > 0) throw new errors.ValidationError(violations);
+    }
+
+    const previous = this._value;
+    const committed = masked(
+      deepCopy(value),
+      x => this._isSecret(x) || within(x, hidden)
+    );
+
+    this._value = (this._guard) ? guard(committed) : deepFreeze(committed);
+    this._hidden = hidden;
+
+    if (!elv(previous)) return;
+
+    const changes = diff(previous, value);
+    if (!isEmpty(changes)) {
+      this._emitter.emit('change', this._value, previous, changes);
+    }
+  }
+
+
+  /*
+    Applies the schema's defaults and coercions to a value, if a schema is set.
+  */
+  _normalize(value) {
+    return (elv(this._schema)) ? normalize(this._schema, value) : value;
+  }
+
+
+  /*
+    Redacts secret values within the value at the given path, given as a list
+    of keys.  Decrypted values, and values interpolated from secret values, are
+    always secret.
+  */
+  _redact(value, keys) {
+    return redact(value, keys, x => this._isSecret(x)
+      || within(x, this._hidden));
+  }
+
+
+  /*
+    Subscribes to changes of each provider in a layer which supports watching.
+  */
+  _watch(layer) {
+    const { providers } = layer;
+
+    for (let i = 0; i < providers.length; i++) {
+      const watcher = { active: true, stop: undefined };
+      const notify = () => {
+        if (watcher.active) this._reload(layer, i);
+      };
+
+      try {
+        watcher.stop = subscribe(providers[i], notify);
+      } catch (err) {
+        this._fail(err);
+        continue;
+      }
+
+      this._watchers.push(watcher);
+    }
+  }
+
+
+  /*
+    Re-fetches the fragment of a provider which has changed, and rebuilds the
+    value from every layer.  Reloads are run one at a time, in the order they
+    are requested.  If reloading fails, the current value is kept.
+  */
+  _reload(layer, index) {
+    this._reloading = this._reloading
+      .then(() => fetchFragment(
+        layer.providers[index],
+        layer.names[index],
+        { timeout: layer.timeout, limits: layer.limits }
+      ))
+      .then((fragment) => {
+        const { fragments } = layer;
+        const stale = fragments[index];
+
+        this._emitter.emit('config', layer.names[index], fragment);
+        fragments[index] = fragment;
+
+        try {
+          this._commit(this._build(), true);
+        } catch (err) {
+          fragments[index] = stale;
+          throw err;
+        }
+      })
+      .catch(err => this._fail(err));
+  }
+
+
+  /*
+    Raises the "error" event for failures which occur outside of any call into
+    Kibbutz, such as when reloading.  If there are no listeners, the error is
+    emitted as a process warning instead, so that it is not lost.
+  */
+  _fail(err) {
+    if (this._emitter.listenerCount('error') > 0) {
+      this._emitter.emit('error', err);
+      return;
+    }
+
+    process.emitWarning(err);
+  }
+
+
+  /**
+   * Stops watching every provider for changes.
+   *
+   * @returns {Kibbutz}
+   */
+  unwatch() {
+    const watchers = this._watchers;
+    this._watchers = [];
+
+    for (let i = 0; i < watchers.length; i++) {
+      const watcher = watchers[i];
+      watcher.active = false;
+      if (typeof watcher.stop === 'function') watcher.stop();
+    }
+
+    return this;
   }
 
 
   /**
    * Wires up an event to a listener.
    *
-   * @param {'config'|'done'} eventName
+   * @param {'change'|'config'|'done'|'error'} eventName
    * @param {function} listener
    *
    * @returns {Kibbutz}
@@ -331,7 +1226,7 @@ class Kibbutz {
       throw new TypeError(msg.listenerFunc);
     }
 
-    if (eventName !== 'config' && eventName !== 'done') {
+    if (events.indexOf(eventName) === -1) {
       throw new Error(msg.unknownEventName + eventName);
     }
 
@@ -341,33 +1236,89 @@ class Kibbutz {
 
 
   /**
-   * Appends JSON objects to the configuration.
+   * Wires up a listener which is called when the configuration at a given path
+   * changes.  This includes changes to values within it, and changes to the
+   * objects which contain it.
+   *
+   * @param {string|Array<string|number>} path - A dot-delimited path, or an
+   *   array of keys.
+   * @param {function} listener - Called with the new and previous values at
+   *   the path, and the changes which affect it.
+   *
+   * @returns {Kibbutz}
+   */
+  onChange(path, listener) {
+    const keys = toKeys(path);
+    const dotted = keys.join('.');
+
+    if (typeof listener !== 'function') {
+      throw new TypeError(msg.listenerFunc);
+    }
+
+    this._emitter.on('change', (value, previous, changes) => {
+      const scoped = scope(changes, dotted);
+      if (isEmpty(scoped)) return;
+
+      listener(
+        snapshot(lookup(value, keys).value),
+        snapshot(lookup(previous, keys).value),
+        scoped
+      );
+    });
+
+    return this;
+  }
+
+
+  /**
+   * Appends JSON objects to the configuration.  When given an array of
+   * objects, an options object may follow it.  When given text, an options
+   * object naming its "format" must follow it.
    *
    * @param {...object} args
    */
   append(...args) {
     if (args.length === 0) { throw new TypeError(msg.appendNothing); }
 
-    const value = deepCopy(this._value);
-
-    if (args.length === 1 && Array.isArray(args[0])) {
-      const vals = args[0];
-      for (let i = 0; i < vals.length; i++) {
-        const val = vals[i];
-        merge(value, val);
-      }
+    const name = `append#${this._appends + 1}`;
+    let layer;
+
+    if (typeof args[0] === 'string') {
+      layer = {
+        fragments: [parseText(args[0], args[1], name)],
+        mergeOptions: assertCallOptions(
+          args[1],
+          this._mergeOptions,
+          msg.appendOptionsObj,
+          callKeys.text
+        ),
+      };
+    } else if (args.length <= 2 && Array.isArray(args[0])) {
+      layer = {
+        fragments: args[0].map(deepCopy),
+        mergeOptions: assertCallOptions(
+          args[1],
+          this._mergeOptions,
+          msg.appendOptionsObj,
+          callKeys.array
+        ),
+      };
+    } else {
+      layer = { fragments: args.map(deepCopy), mergeOptions: this._mergeOptions };
+    }
 
-      this._value = Object.freeze(value);
+    layer.names = layer.fragments.map(() => name);
 
-      return this;
-    }
+    this._layers.push(layer);
 
-    for (let i = 0; i < args.length; i++) {
-      const val = args[i];
-      merge(value, val);
+    try {
+      this._commit(this._build(), false);
+    } catch (err) {
+      this._layers.pop();
+      throw err;
     }
 
-    this._value = Object.freeze(value);
+    this._appends++;
 
     return this;
   }
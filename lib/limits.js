@@ -0,0 +1,103 @@
+'use strict';
+
+const elv = require('elv');
+
+const { CircularReferenceError, LimitError } = require('./errors');
+const { joinPath } = require('./path');
+const { isBranch, isCollection, isPojo } = require('./util');
+
+
+/*
+  Messages used for errors, which follow a label naming where the limits were
+  given.
+*/
+const msg = {
+  limitsObj: ' "limits" must be an object',
+  maxDepthInt: ' "limits.maxDepth" must be a positive integer or Infinity',
+  maxKeysInt: ' "limits.maxKeys" must be a positive integer or Infinity',
+};
+
+
+/*
+  Determines if a value is a valid limit.
+*/
+const isLimit = value => value === Infinity
+  || (Number.isInteger(value) && value > 0);
+
+
+/*
+  Asserts that a "limits" object is valid.  Errors begin with the given label,
+  such as "Option".  If the limits are invalid, throw a TypeError.
+*/
+const assertLimits = (limits, label) => {
+  if (!elv(limits)) return;
+  if (!isPojo(limits)) throw new TypeError(label + msg.limitsObj);
+
+  const { maxDepth, maxKeys } = limits;
+
+  if (elv(maxDepth) && !isLimit(maxDepth)) {
+    throw new TypeError(label + msg.maxDepthInt);
+  }
+
+  if (elv(maxKeys) && !isLimit(maxKeys)) {
+    throw new TypeError(label + msg.maxKeysInt);
+  }
+};
+
+
+/*
+  Gets the keys and values held by an object, array, Map, or Set, as a list of
+  pairs.  The items of a Set are keyed by their index.
+*/
+const entriesOf = (value) => {
+  if (value instanceof Map) return Array.from(value);
+  if (value instanceof Set) return Array.from(value, (x, i) => [i, x]);
+  if (Array.isArray(value)) return value.map((x, i) => [i, x]);
+  return Object.keys(value).map(key => [key, value[key]]);
+};
+
+
+/*
+  Checks a configuration fragment for circular references, and against the
+  given limits.  The "maxDepth" limit is the number of objects, arrays, Maps,
+  and Sets which may be nested within one another, including the fragment
+  itself.  The "maxKeys" limit is the total number of keys and items the
+  fragment may hold.  If the fragment contains a circular reference, throw a
+  CircularReferenceError.  If it exceeds a limit, throw a LimitError.
+*/
+const checkFragment = (fragment, limits) => {
+  const opts = elv.coalesce(limits, {});
+  const maxDepth = elv.coalesce(opts.maxDepth, Infinity);
+  const maxKeys = elv.coalesce(opts.maxKeys, Infinity);
+  const ancestors = [];
+  let count = 0;
+
+  const visit = (value, path) => {
+    if (!isBranch(value) && !isCollection(value)) return;
+
+    if (ancestors.indexOf(value) !== -1) {
+      throw new CircularReferenceError(path);
+    }
+
+    if (ancestors.length >= maxDepth) {
+      throw new LimitError(path, 'maxDepth', maxDepth);
+    }
+
+    ancestors.push(value);
+
+    entriesOf(value).forEach((entry) => {
+      const keyPath = joinPath(path, String(entry[0]));
+      count++;
+
+      if (count > maxKeys) throw new LimitError(keyPath, 'maxKeys', maxKeys);
+      visit(entry[1], keyPath);
+    });
+
+    ancestors.pop();
+  };
+
+  visit(fragment, '');
+};
+
+
+module.exports = { assertLimits, checkFragment };
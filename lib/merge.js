@@ -0,0 +1,444 @@
+'use strict';
+
+const elv = require('elv');
+
+const { CircularReferenceError } = require('./errors');
+const { joinPath, matchPath } = require('./path');
+const {
+  deepEqual,
+  hasProp,
+  isBranch,
+  isCollection,
+  isPojo,
+  isSafeKey,
+} = require('./util');
+
+
+/*
+  Messages used for errors.
+*/
+const msg = {
+  strategyUnknown: 'Unknown merge strategy: ',
+  strategyType: 'Merge strategy must be a string or a function',
+  rulesObj: 'Merge rules must be an object',
+  ruleUnknown: 'Unknown merge rule: ',
+  ruleKey: 'Merge rule "mergeByKey" requires a key name, e.g. "mergeByKey:id"',
+};
+
+
+/*
+  Determines if a value is an object which can be merged into (this includes
+  arrays, Maps, and Sets).  Dates and other objects are treated like scalar
+  values.
+*/
+const isObj = value => isBranch(value) || isCollection(value);
+
+
+/*
+  Copies a value found at the given path.  Objects, arrays, Maps, and Sets are
+  copied deeply, Dates, RegExps, and Buffers are copied by value, and all other
+  values, including null and opaque objects such as instances of custom
+  classes, are returned as-is.  Unsafe keys, such as "__proto__", are skipped.
+  The given ancestors are the objects which contain the value.  If the value
+  is one of them, throw a CircularReferenceError.
+*/
+const copyAt = (value, path, ancestors) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof RegExp) return new RegExp(value.source, value.flags);
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (!isObj(value)) return value;
+
+  if (ancestors.indexOf(value) !== -1) {
+    throw new CircularReferenceError(path);
+  }
+
+  const inner = ancestors.concat([value]);
+  const copyKey = (val, key) => copyAt(val, joinPath(path, String(key)), inner);
+
+  if (Array.isArray(value)) return value.map(copyKey);
+
+  if (value instanceof Map) {
+    const result = new Map();
+    value.forEach((val, key) => { result.set(key, copyKey(val, key)); });
+    return result;
+  }
+
+  if (value instanceof Set) return new Set(Array.from(value, copyKey));
+
+  const result = {};
+
+  Object.keys(value).filter(isSafeKey).forEach((key) => {
+    result[key] = copyKey(value[key], key);
+  });
+
+  return result;
+};
+
+
+/*
+  Copies a value found at the given path.  See copyAt() for how each type of
+  value is copied.
+*/
+const copy = (value, path = '') => copyAt(value, path, []);
+
+
+/*
+  Makes a deep copy of a value.  See copyAt() for how each type of value is
+  copied.  If the value is undefined, an empty object is returned.
+*/
+const deepCopy = value => ((value === undefined) ? {} : copy(value));
+
+
+/*
+  Determines if two values are both arrays, both objects, both Maps, or both
+  Sets.
+*/
+const sameShape = (a, b) => isObj(a)
+  && isObj(b)
+  && Array.isArray(a) === Array.isArray(b)
+  && (a instanceof Map) === (b instanceof Map)
+  && (a instanceof Set) === (b instanceof Set);
+
+
+/*
+  Built-in merge strategies.  A strategy is invoked whenever a key being merged
+  already exists in the target.  It receives the current value, the incoming
+  value, and a context object, and returns the value to keep.
+*/
+const strategies = Object.freeze({
+
+  /*
+    Keys are not over-written.  If matching keys are both objects, the objects
+    are merged (this includes arrays).
+  */
+  firstInWins: (current, incoming, context) => {
+    if (isObj(current) && isObj(incoming)) {
+      return context.merge(current, incoming);
+    }
+
+    return current;
+  },
+
+  /*
+    Keys are over-written by later values.  If matching keys are both objects
+    or both arrays, they are merged.
+  */
+  lastInWins: (current, incoming, context) => {
+    if (sameShape(current, incoming)) return context.merge(current, incoming);
+    return copy(incoming, context.path);
+  },
+
+  /*
+    Keys are over-written by later values wholesale.  Objects and arrays are
+    replaced rather than merged.
+  */
+  deepReplace: (current, incoming) => copy(incoming),
+
+  /*
+    Keys are over-written by later values.  If matching keys are both objects,
+    they are merged, such that later values need only give the keys they
+    override.  Other values, including arrays, are replaced.  This is how
+    cascading files and profile sections are merged.
+  */
+  override: (current, incoming, context) => {
+    if (isPojo(current) && isPojo(incoming)) {
+      return context.merge(current, incoming);
+    }
+
+    return copy(incoming, context.path);
+  },
+
+});
+
+
+/*
+  Resolves a merge strategy given as either the name of a built-in strategy or
+  a custom function.  Returns the default first-in-wins strategy if none given.
+*/
+const resolveStrategy = (strategy) => {
+  if (!elv(strategy)) return strategies.firstInWins;
+  if (typeof strategy === 'function') return strategy;
+
+  if (typeof strategy !== 'string') throw new TypeError(msg.strategyType);
+
+  if (!hasProp(strategies, strategy)) {
+    throw new TypeError(msg.strategyUnknown + strategy);
+  }
+
+  return strategies[strategy];
+};
+
+
+/*
+  Merges b into a, and returns a.  How conflicting keys are resolved is
+  determined by the merge rule matching the key's path, if any, and otherwise by
+  the strategy function.  Keys not already in a are deep-copied from b.
+  Unsafe keys, such as "__proto__", are skipped.  The ancestors within the
+  options are the values of b being merged.  If b is one of them, throw a
+  CircularReferenceError.
+*/
+const mergeAt = (a, b, options, path) => {
+  if (!sameShape(a, b)) return a;
+
+  if (options.ancestors.indexOf(b) !== -1) {
+    throw new CircularReferenceError(path);
+  }
+
+  const inner = Object.assign({}, options, {
+    ancestors: options.ancestors.concat([b]),
+  });
+
+  if (Array.isArray(a)) {
+    for (let i = 0; i < b.length; i++) {
+      a.push(copyAt(b[i], joinPath(path, String(a.length)), inner.ancestors));
+    }
+
+    return a;
+  }
+
+  if (a instanceof Set) {
+    b.forEach((item) => {
+      if (!Array.from(a).some(x => deepEqual(x, item))) {
+        a.add(copyAt(item, path, inner.ancestors));
+      }
+    });
+
+    return a;
+  }
+
+  const isMap = a instanceof Map;
+  const has = key => ((isMap) ? a.has(key) : hasProp(a, key));
+  const get = key => ((isMap) ? a.get(key) : a[key]);
+  const set = (key, value) => {
+    const target = a;
+    if (isMap) target.set(key, value);
+    else target[key] = value;
+  };
+
+  const bkeys = (isMap) ? Array.from(b.keys()) : Object.keys(b).filter(isSafeKey);
+
+  for (let i = 0; i < bkeys.length; i++) {
+    const key = bkeys[i];
+    const bval = (isMap) ? b.get(key) : b[key];
+    const keyPath = joinPath(path, String(key));
+
+    if (!has(key)) {
+      set(key, copyAt(bval, keyPath, inner.ancestors));
+      continue;
+    }
+
+    const context = {
+      key,
+      path: keyPath,
+      merge: (x, y) => mergeAt(x, y, inner, keyPath),
+    };
+
+    const rule = options.rules.find(keyPath);
+
+    set(key, (elv(rule))
+      ? rule(get(key), bval, context, inner)
+      : options.strategy(get(key), bval, context));
+  }
+
+  return a;
+};
+
+
+/*
+  Appends the items in b to a, skipping any item structurally equal to an item
+  already in a.
+*/
+const union = (a, b) => {
+  for (let i = 0; i < b.length; i++) {
+    const item = b[i];
+    if (!a.some(x => deepEqual(x, item))) a.push(copy(item));
+  }
+
+  return a;
+};
+
+
+/*
+  Built-in merge rules.  A rule is applied to a conflicting key whose path
+  matches the rule's path.  Rules which do not apply to the shape of the values
+  fall back to the merge strategy.  In addition to the arguments given to
+  strategies, rules receive the options of the merge in progress.
+*/
+const rules = Object.freeze({
+
+  /*
+    The existing value is kept.
+  */
+  keep: current => current,
+
+  /*
+    The incoming value replaces the existing value.
+  */
+  replace: (current, incoming) => copy(incoming),
+
+  /*
+    Arrays are concatenated.
+  */
+  concat: (current, incoming, context, options) => {
+    if (!Array.isArray(current) || !Array.isArray(incoming)) {
+      return options.strategy(current, incoming, context);
+    }
+
+    return context.merge(current, incoming);
+  },
+
+  /*
+    Arrays are concatenated, and duplicate items are removed.
+  */
+  union: (current, incoming, context, options) => {
+    if (!Array.isArray(current) || !Array.isArray(incoming)) {
+      return options.strategy(current, incoming, context);
+    }
+
+    return union(union([], current), incoming);
+  },
+
+  /*
+    Objects are deep-merged.
+  */
+  merge: (current, incoming, context, options) => {
+    if (!sameShape(current, incoming) || Array.isArray(current)) {
+      return options.strategy(current, incoming, context);
+    }
+
+    return context.merge(current, incoming);
+  },
+
+});
+
+
+/*
+  Creates a rule which merges arrays of objects by matching items on the given
+  key.  Matching items are merged using the strategy, and all others are
+  appended.
+*/
+const mergeByKey = key => (current, incoming, context, options) => {
+  if (!Array.isArray(current) || !Array.isArray(incoming)) {
+    return options.strategy(current, incoming, context);
+  }
+
+  const items = current;
+  const keyed = item => isPojo(item) && elv(item[key]);
+
+  for (let i = 0; i < incoming.length; i++) {
+    const item = incoming[i];
+    const index = (keyed(item))
+      ? items.findIndex(x => keyed(x) && x[key] === item[key])
+      : -1;
+
+    if (index === -1) {
+      items.push(copy(item));
+      continue;
+    }
+
+    const itemPath = joinPath(context.path, String(index));
+
+    items[index] = options.strategy(items[index], item, {
+      key: String(index),
+      path: itemPath,
+      merge: (x, y) => mergeAt(x, y, options, itemPath),
+    });
+  }
+
+  return items;
+};
+
+
+/*
+  Resolves a single merge rule by name.
+*/
+const resolveRule = (rule) => {
+  const str = String(rule);
+  const index = str.indexOf(':');
+  const name = (index === -1) ? str : str.slice(0, index);
+  const arg = (index === -1) ? '' : str.slice(index + 1);
+
+  if (name === 'mergeByKey') {
+    if (arg.length === 0) throw new TypeError(msg.ruleKey);
+    return mergeByKey(arg);
+  }
+
+  if (index !== -1 || !hasProp(rules, name)) {
+    throw new TypeError(msg.ruleUnknown + str);
+  }
+
+  return rules[name];
+};
+
+
+/*
+  Compiles an object mapping dotted paths to merge rules into a lookup.  Rules
+  for exact paths take precedence over wildcard paths.
+*/
+const compileRules = (...ruleSets) => {
+  const exact = {};
+  const patterns = [];
+
+  for (let i = 0; i < ruleSets.length; i++) {
+    const ruleSet = ruleSets[i];
+    if (!elv(ruleSet)) continue;
+
+    if (!isPojo(ruleSet)) throw new TypeError(msg.rulesObj);
+
+    const paths = Object.keys(ruleSet);
+
+    for (let j = 0; j < paths.length; j++) {
+      const path = paths[j];
+      const rule = resolveRule(ruleSet[path]);
+
+      if (path.split('.').indexOf('*') === -1) {
+        exact[path] = rule;
+        continue;
+      }
+
+      patterns.unshift({ segments: path.split('.'), rule });
+    }
+  }
+
+  return {
+    find: (path) => {
+      if (hasProp(exact, path)) return exact[path];
+      if (patterns.length === 0) return undefined;
+
+      const segments = path.split('.');
+      const match = patterns.find(x => matchPath(x.segments, segments));
+      return (elv(match)) ? match.rule : undefined;
+    },
+  };
+};
+
+
+/*
+  An empty set of merge rules.
+*/
+const noRules = compileRules();
+
+
+/*
+  Merges b into a, and returns a.  The given options may include a strategy
+  function, which defaults to first-in-wins, and compiled merge rules.
+*/
+const merge = (a, b, options) => {
+  const opts = elv.coalesce(options, {});
+
+  return mergeAt(a, b, {
+    strategy: elv.ncoalesce(opts.strategy, strategies.firstInWins),
+    rules: elv.coalesce(opts.rules, noRules),
+    ancestors: [],
+  }, '');
+};
+
+
+module.exports = {
+  compileRules,
+  deepCopy,
+  merge,
+  resolveStrategy,
+  rules,
+  strategies,
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+const { hasProp, isBranch } = require('./util');
+
+
+/*
+  Messages used for errors.
+*/
+const msg = {
+  path: 'Path must be a non-empty dot-delimited string, or a non-empty array '
+    + 'of strings and integers',
+};
+
+
+/*
+  Determines if a value is a valid key within an array path.
+*/
+const isKey = value => (typeof value === 'string' && value.length > 0)
+  || Number.isInteger(value);
+
+
+/*
+  Converts a dot-delimited string or array path into a list of keys.  If the
+  path is invalid, throw a TypeError.
+*/
+const toKeys = (path) => {
+  if (typeof path === 'string') {
+    const keys = path.split('.');
+    if (keys.some(x => x.length === 0)) throw new TypeError(msg.path);
+    return keys;
+  }
+
+  if (!Array.isArray(path) || path.length === 0 || !path.every(isKey)) {
+    throw new TypeError(msg.path);
+  }
+
+  return path.map(String);
+};
+
+
+/*
+  Looks up the value at the given keys within an object.  Returns an object
+  whose "found" property indicates whether or not every key exists, and whose
+  "value" property holds the value found.
+*/
+const lookup = (obj, keys) => {
+  let value = obj;
+
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+
+    if (!isBranch(value) || !hasProp(value, key)) {
+      return { found: false, value: undefined };
+    }
+
+    value = value[key];
+  }
+
+  return { found: value !== undefined, value };
+};
+
+
+/*
+  Builds the dotted path of a key relative to its parent path.
+*/
+const joinPath = (path, key) => ((path.length === 0)
+  ? String(key)
+  : path + '.' + key);
+
+
+/*
+  Gets a dotted path for use in error messages, substituting the root path.
+*/
+const displayPath = path => ((path.length === 0) ? '(root)' : path);
+
+
+/*
+  Determines if a path pattern matches a path, each given as a list of keys.  A
+  "*" segment in the pattern matches any single segment of the path.
+*/
+const matchPath = (pattern, path) => {
+  if (pattern.length !== path.length) return false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] !== '*' && pattern[i] !== path[i]) return false;
+  }
+
+  return true;
+};
+
+
+module.exports = {
+  displayPath,
+  joinPath,
+  lookup,
+  matchPath,
+  toKeys,
+};
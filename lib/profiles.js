@@ -0,0 +1,81 @@
+'use strict';
+
+const elv = require('elv');
+
+const { deepCopy, merge, strategies } = require('./merge');
+const { hasProp, isPojo } = require('./util');
+
+
+/*
+  Messages used for errors.
+*/
+const msg = {
+  profileStr: 'Invalid options: profile must be a non-empty string or an array '
+    + 'of non-empty strings',
+  profilesObj: 'Property "$profiles" must be an object whose values are '
+    + 'objects',
+};
+
+
+/*
+  The key of the sections in a fragment which apply only to given profiles.
+*/
+const marker = '$profiles';
+
+
+/*
+  Determines if a value is a non-empty string.
+*/
+const isName = value => typeof value === 'string' && value.length > 0;
+
+
+/*
+  Asserts that the "profile" option is valid, and returns the names of the
+  active profiles.  Without the option, no profile is active.  If the option
+  is invalid, throw a TypeError.
+*/
+const assertProfile = (profile) => {
+  if (!elv(profile)) return [];
+  if (isName(profile)) return [profile];
+
+  if (!Array.isArray(profile) || !profile.every(isName)) {
+    throw new TypeError(msg.profileStr);
+  }
+
+  return profile.slice();
+};
+
+
+/*
+  Resolves the profile sections of a fragment.  The sections of the active
+  profiles are merged over the rest of the fragment, in order, such that they
+  override it.  The merge rules within the given options apply.  Returns a
+  copy of the fragment without its sections, or the fragment itself if it has
+  none.  If the sections are not objects, throw a TypeError.
+*/
+const applyProfiles = (fragment, profiles, options) => {
+  if (!isPojo(fragment) || !hasProp(fragment, marker)) return fragment;
+
+  const sections = fragment[marker];
+
+  if (!isPojo(sections)
+      || !Object.keys(sections).every(x => isPojo(sections[x]))
+  ) { throw new TypeError(msg.profilesObj); }
+
+  const result = deepCopy(fragment);
+  delete result[marker];
+
+  const opts = {
+    strategy: strategies.override,
+    rules: elv.coalesce(options, {}).rules,
+  };
+
+  profiles.forEach((name) => {
+    if (hasProp(sections, name)) merge(result, sections[name], opts);
+  });
+
+  return result;
+};
+
+
+module.exports = { applyProfiles, assertProfile };
@@ -0,0 +1,165 @@
+'use strict';
+
+const elv = require('elv');
+
+const { diffKeys } = require('./diff');
+const { deepCopy, merge } = require('./merge');
+const { lookup } = require('./path');
+const { deepEqual, isPojo } = require('./util');
+
+
+/*
+  Determines if a value is an object whose keys are traced individually.
+  Empty objects, arrays, and other values are treated as leaves.
+*/
+const isBranch = value => isPojo(value) && Object.keys(value).length > 0;
+
+
+/*
+  Calls a function with the path of each leaf value within a value found at
+  the given path.  Paths are given as lists of keys.
+*/
+const eachLeaf = (value, path, fn) => {
+  if (!isBranch(value)) {
+    fn(path);
+    return;
+  }
+
+  const keys = Object.keys(value);
+
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    eachLeaf(value[key], path.concat(key), fn);
+  }
+};
+
+
+/*
+  Encodes a path, given as a list of keys, as a string which identifies it.
+  Keys may contain dots, so they are not simply joined.
+*/
+const encode = path => JSON.stringify(path);
+
+
+/*
+  Determines if a path, given as a list of keys, is within another path, or is
+  the same path.
+*/
+const isWithin = (path, parent) => path.length >= parent.length
+  && parent.every((key, i) => path[i] === key);
+
+
+/*
+  Copies a value, so that it is not affected by later merges.
+*/
+const copy = value => ((elv(value)) ? deepCopy(value) : value);
+
+
+/*
+  Removes the owners of a path, and of every path within it.
+*/
+const disown = (owners, path) => {
+  const keys = Array.from(owners.keys());
+
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    if (isWithin(owners.get(key).path, path)) owners.delete(key);
+  }
+};
+
+
+/*
+  Replays the merging of a list of sources, each with a "name", a "fragment",
+  and the "mergeOptions" used to merge it.  Determines which source supplied
+  the value at the given keys, which is the last source to change it, and
+  collects the value each source supplied.  Returns an object with the
+  "source" name, if any, and the list of "candidates", each with a "source"
+  name and "value".  The index of the winning candidate is given as "winner".
+*/
+const findSource = (sources, keys) => {
+  const value = {};
+  const candidates = [];
+  let source;
+  let winner = -1;
+
+  for (let i = 0; i < sources.length; i++) {
+    const { name, fragment, mergeOptions } = sources[i];
+    const found = lookup(value, keys);
+    const before = { found: found.found, value: copy(found.value) };
+
+    merge(value, fragment, mergeOptions);
+
+    const after = lookup(value, keys);
+    const supplied = lookup(fragment, keys);
+
+    if (supplied.found) {
+      candidates.push({ source: name, value: copy(supplied.value) });
+    }
+
+    if (after.found !== before.found || !deepEqual(before.value, after.value)) {
+      source = name;
+      winner = (supplied.found) ? candidates.length - 1 : -1;
+    }
+  }
+
+  return { source, candidates, winner };
+};
+
+
+/*
+  Replays the merging of a list of sources, and determines which source
+  supplied each leaf value.  Returns a Map of each leaf to an object with its
+  "path", given as a list of keys, and the name of its "source".  Use ownerOf()
+  to find the source of a path.
+*/
+const trace = (sources) => {
+  const value = {};
+  const owners = new Map();
+
+  for (let i = 0; i < sources.length; i++) {
+    const { name, fragment, mergeOptions } = sources[i];
+    const before = deepCopy(value);
+
+    merge(value, fragment, mergeOptions);
+
+    const changes = diffKeys(before, value);
+    const paths = changes.added.concat(changes.modified);
+
+    changes.removed.forEach(x => disown(owners, x));
+
+    for (let j = 0; j < paths.length; j++) {
+      const path = paths[j];
+
+      disown(owners, path);
+      eachLeaf(lookup(value, path).value, path, (leaf) => {
+        owners.set(encode(leaf), { path: leaf, source: name });
+      });
+    }
+  }
+
+  return owners;
+};
+
+
+/*
+  Finds the name of the source of the value at a path, given as a list of
+  keys, within the owners found by trace().  Values within a leaf, such as the
+  items of an array, belong to the source of the leaf.  Returns undefined if
+  no source supplied the value.
+*/
+const ownerOf = (owners, path) => {
+  for (let i = path.length; i > 0; i--) {
+    const owner = owners.get(encode(path.slice(0, i)));
+    if (elv(owner)) return owner.source;
+  }
+
+  return undefined;
+};
+
+
+module.exports = {
+  eachLeaf,
+  findSource,
+  ownerOf,
+  trace,
+};
@@ -0,0 +1,337 @@
+'use strict';
+
+const elv = require('elv');
+
+const { AbortError, ProviderError, TimeoutError } = require('./errors');
+const { assertLimits, checkFragment } = require('./limits');
+const { isPojo } = require('./util');
+
+
+/*
+  Messages used for errors.
+*/
+const msg = {
+  provider: 'Providers must be a function, an object with a "load" method, or '
+    + 'a configuration object',
+  optionalBool: 'Provider property "optional" must be a Boolean',
+  timeoutNum: 'Provider property "timeout" must be a positive number',
+  retryObj: 'Provider property "retry" must be an object',
+  retriesInt: 'Provider property "retry.retries" must be a non-negative '
+    + 'integer',
+  delayNum: 'Provider property "retry.delay" must be a non-negative number',
+  factorNum: 'Provider property "retry.factor" must be a number >= 1',
+};
+
+
+/*
+  The retry policy used when a provider's "retry" property omits a setting.
+*/
+const retryDefaults = Object.freeze({
+  retries: 3,
+  delay: 100,
+  factor: 2,
+});
+
+
+/*
+  Determines if a value is a Promise, or Promise-like.
+*/
+const isThenable = value => elv(value) && typeof value.then === 'function';
+
+
+/*
+  Determines if a provider is an object with a load() method.
+*/
+const isLoader = provider => typeof provider === 'object'
+  && provider !== null
+  && typeof provider.load === 'function';
+
+
+/*
+  Determines if a provider is a static configuration object rather than an
+  object with a load() method.
+*/
+const isStatic = provider => isPojo(provider) && !isLoader(provider);
+
+
+/*
+  Gets the object holding a provider's policies.  Static configuration objects
+  have no policies, since their keys are configuration data.
+*/
+const policiesOf = provider => ((isStatic(provider)) ? {} : provider);
+
+
+/*
+  Determines if a value is a number greater than or equal to a minimum.
+*/
+const isAtLeast = (value, min) => typeof value === 'number' && value >= min;
+
+
+/*
+  Validates the "optional", "timeout", "retry", and "limits" policies of a
+  provider.  If any are invalid, throw a TypeError.
+*/
+const assertPolicies = (provider) => {
+  const {
+    optional,
+    timeout,
+    retry,
+    limits,
+  } = policiesOf(provider);
+
+  assertLimits(limits, 'Provider property');
+
+  if (elv(optional) && typeof optional !== 'boolean') {
+    throw new TypeError(msg.optionalBool);
+  }
+
+  if (elv(timeout) && !(typeof timeout === 'number' && timeout > 0)) {
+    throw new TypeError(msg.timeoutNum);
+  }
+
+  if (!elv(retry)) return;
+  if (!isPojo(retry)) throw new TypeError(msg.retryObj);
+
+  const { retries, delay, factor } = retry;
+
+  if (elv(retries) && (!Number.isInteger(retries) || retries < 0)) {
+    throw new TypeError(msg.retriesInt);
+  }
+
+  if (elv(delay) && !isAtLeast(delay, 0)) throw new TypeError(msg.delayNum);
+  if (elv(factor) && !isAtLeast(factor, 1)) throw new TypeError(msg.factorNum);
+};
+
+
+/*
+  Validates a provider to ensure it is a function, an object with a load()
+  method, or a static configuration object, and that its policies are valid.
+  If not, throw a TypeError.
+*/
+const assertProvider = (provider) => {
+  if (typeof provider !== 'function'
+      && !isLoader(provider)
+      && !isPojo(provider)
+  ) { throw new TypeError(msg.provider); }
+
+  assertPolicies(provider);
+};
+
+
+/*
+  Determines if a provider is optional, such that its failure does not fail
+  loading.
+*/
+const isOptional = provider => policiesOf(provider).optional === true;
+
+
+/*
+  Calls a load function, and resolves with the fragment it produces.  The style
+  of the function is detected automatically:
+
+    * If it returns a Promise, the Promise's result is used.
+    * If it declares no parameters, its return value is used.
+    * Otherwise, it is given a Node.js-style callback.
+
+  The function is also given an object holding the "signal" of the load, if
+  any, so that it may cancel its own work.
+*/
+const call = (fn, thisArg, signal) => new Promise((resolve, reject) => {
+  const callback = (err, fragment) => {
+    if (elv(err)) {
+      reject(err);
+      return;
+    }
+
+    resolve(fragment);
+  };
+
+  const result = fn.call(thisArg, callback, { signal });
+
+  if (isThenable(result) || fn.length === 0) resolve(result);
+});
+
+
+/*
+  Loads the fragment from a provider, and returns a Promise which resolves with
+  it.  The given signal, if any, is passed on to the provider.
+*/
+const invoke = (provider, signal) => {
+  if (isStatic(provider)) return Promise.resolve(provider);
+  if (typeof provider === 'function') return call(provider, undefined, signal);
+  return call(provider.load, provider, signal);
+};
+
+
+/*
+  Calls a function once the given signal, if any, is aborted.  Returns a
+  function which stops listening for the signal.
+*/
+const onAbort = (signal, fn) => {
+  if (!elv(signal)) return () => {};
+
+  signal.addEventListener('abort', fn);
+  return () => signal.removeEventListener('abort', fn);
+};
+
+
+/*
+  Rejects with a TimeoutError if a Promise does not settle within the given
+  number of milliseconds, or with an AbortError if the given signal is aborted
+  first.  Otherwise, settles as the Promise does.
+*/
+const withTimeout = (promise, name, timeout, signal) => {
+  if (!elv(timeout) || timeout === Infinity) return promise;
+
+  return new Promise((resolve, reject) => {
+    let stop;
+
+    const timer = setTimeout(() => {
+      stop();
+      reject(new TimeoutError(name, timeout));
+    }, timeout);
+
+    stop = onAbort(signal, () => {
+      clearTimeout(timer);
+      stop();
+      reject(new AbortError());
+    });
+
+    promise.then((fragment) => {
+      clearTimeout(timer);
+      stop();
+      resolve(fragment);
+    }, (err) => {
+      clearTimeout(timer);
+      stop();
+      reject(err);
+    });
+  });
+};
+
+
+/*
+  Returns a Promise which resolves after the given number of milliseconds, or
+  rejects with an AbortError as soon as the given signal is aborted.
+*/
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  let stop;
+
+  const timer = setTimeout(() => {
+    stop();
+    resolve();
+  }, ms);
+
+  stop = onAbort(signal, () => {
+    clearTimeout(timer);
+    stop();
+    reject(new AbortError());
+  });
+});
+
+
+/*
+  Loads the fragment from a provider, applying its "timeout", "retry", and
+  "limits" policies.  Each failed attempt is retried after a delay, which is
+  multiplied by the retry factor after each attempt.  The fragment is then
+  checked for circular references, and against the limits.  Returns a Promise
+  which resolves with the fragment, or rejects with a ProviderError
+  identifying the provider once every attempt has failed, or the fragment
+  fails its checks.  The "timeout" and "limits" within the given options apply
+  when the provider does not have its own.  Once the "signal" within the
+  options is aborted, no more attempts are made, pending delays are cancelled,
+  and the Promise rejects with an AbortError.
+*/
+const fetchFragment = (provider, name, options) => {
+  const opts = elv.coalesce(options, {});
+  const { signal } = opts;
+  const policies = policiesOf(provider);
+  const { retry } = policies;
+  const timeout = elv.coalesce(policies.timeout, opts.timeout);
+  const limits = elv.coalesce(policies.limits, opts.limits);
+  const policy = elv.coalesce(retry, {});
+  const retries = (elv(retry))
+    ? elv.coalesce(policy.retries, retryDefaults.retries)
+    : 0;
+  const delay = elv.coalesce(policy.delay, retryDefaults.delay);
+  const factor = elv.coalesce(policy.factor, retryDefaults.factor);
+
+  const aborted = () => elv(signal) && signal.aborted;
+
+  const attempt = (n) => {
+    if (aborted()) return Promise.reject(new AbortError());
+
+    return withTimeout(invoke(provider, signal), name, timeout, signal)
+      .catch((err) => {
+        if (aborted()) throw new AbortError();
+
+        if (n < retries) {
+          return wait(delay * (factor ** n), signal).then(() => attempt(n + 1));
+        }
+
+        throw (err instanceof ProviderError)
+          ? err
+          : new ProviderError(name, err);
+      });
+  };
+
+  return attempt(0).then((fragment) => {
+    try {
+      checkFragment(fragment, limits);
+    } catch (err) {
+      throw new ProviderError(name, err);
+    }
+
+    return fragment;
+  });
+};
+
+
+/*
+  Gets a name describing a provider for use in diagnostics.  This is the
+  provider's "name" property if it has one, or the name of its class.
+  Otherwise, the provider is named by its index within the providers array.
+  Static configuration objects are always named by index, since any "name"
+  property is configuration data.
+*/
+const nameOf = (provider, index) => {
+  if (!isStatic(provider)) {
+    const { name } = provider;
+    if (typeof name === 'string' && name.length > 0) return name;
+
+    const ctor = provider.constructor;
+
+    if (typeof provider === 'object'
+        && typeof ctor === 'function'
+        && ctor !== Object
+        && ctor.name.length > 0
+    ) { return ctor.name; }
+  }
+
+  return `provider[${index}]`;
+};
+
+
+/*
+  Subscribes to changes of a provider by calling its watch() method, if it has
+  one, with the given notify function.  Returns whatever watch() returns, which
+  may be a function that unsubscribes.  Static configuration objects are never
+  watched.
+*/
+const subscribe = (provider, notify) => {
+  if (isStatic(provider) || typeof provider.watch !== 'function') {
+    return undefined;
+  }
+
+  return provider.watch(notify);
+};
+
+
+module.exports = {
+  assertProvider,
+  fetchFragment,
+  invoke,
+  isOptional,
+  nameOf,
+  subscribe,
+};
@@ -0,0 +1,207 @@
+'use strict';
+
+const elv = require('elv');
+
+const { coerceString, isPojo, isSafeKey } = require('../util');
+
+
+/*
+  Messages used for errors.
+*/
+const msg = {
+  optionsObj: 'Invalid options: must be an object',
+  nameStr: 'Invalid options: name must be a non-empty string',
+  prefixStr: 'Invalid options: prefix must be a non-empty string',
+  coerceBool: 'Invalid options: coerce must be a Boolean',
+  argvArray: 'Invalid options: argv must be an array of strings',
+};
+
+
+/*
+  The argument which ends option parsing.  All succeeding arguments are
+  ignored.
+*/
+const terminator = '--';
+
+
+/*
+  The prefix of a flag name which negates it.
+*/
+const negation = 'no-';
+
+
+/*
+  Adds a value to an object at the path described by the given keys, creating
+  intermediate objects as needed.  Values for paths given more than once are
+  collected into an array.  Objects take precedence over scalar values.
+*/
+const addPath = (obj, keys, value, repeated) => {
+  let target = obj;
+
+  for (let i = 0; i < keys.length - 1; i++) {
+    const key = keys[i];
+    if (!isPojo(target[key])) target[key] = {};
+    target = target[key];
+  }
+
+  const last = keys[keys.length - 1];
+  const current = target[last];
+
+  if (current === undefined) {
+    target[last] = value;
+    return;
+  }
+
+  if (isPojo(current)) return;
+
+  if (repeated.has(current)) {
+    current.push(value);
+    return;
+  }
+
+  const values = [current, value];
+  repeated.add(values);
+  target[last] = values;
+};
+
+
+/*
+  Asserts that the options given to the ArgvProvider constructor are valid.
+*/
+const assertOptions = (options) => {
+  if (!elv(options)) return;
+  if (!isPojo(options)) throw new TypeError(msg.optionsObj);
+
+  const {
+    name,
+    prefix,
+    coerce,
+    argv,
+  } = options;
+
+  if (elv(name) && (typeof name !== 'string' || name.length === 0)) {
+    throw new TypeError(msg.nameStr);
+  }
+
+  if (elv(prefix) && (typeof prefix !== 'string' || prefix.length === 0)) {
+    throw new TypeError(msg.prefixStr);
+  }
+
+  if (elv(coerce) && typeof coerce !== 'boolean') {
+    throw new TypeError(msg.coerceBool);
+  }
+
+  if (elv(argv)
+      && (!Array.isArray(argv) || !argv.every(x => typeof x === 'string'))
+  ) { throw new TypeError(msg.argvArray); }
+};
+
+
+/*
+  Matches arguments which are negative numbers rather than flags.
+*/
+const negativePattern = /^-\d/;
+
+
+/*
+  Determines if the argument following a flag is its value.  Arguments with
+  the prefix, and those starting with "-" other than negative numbers, are
+  flags, as is the terminator.
+*/
+const isValue = (arg, prefix) => elv(arg)
+  && arg.indexOf(prefix) !== 0
+  && (arg[0] !== '-' || negativePattern.test(arg));
+
+
+/*
+  Gets the command-line arguments of the current process, excluding the
+  executable and script paths.
+*/
+const processArgv = () => process.argv.slice(2);
+
+
+/**
+ * A provider which loads configuration from command-line arguments.  Argument
+ * names are split on "." to build nested objects, such that --db.host=x
+ * becomes { db: { host: 'x' } }.  A value may also be given as the argument
+ * following a flag, such as --db.host x.
+ */
+class ArgvProvider {
+
+  /**
+   * Creates an instance of ArgvProvider.
+   *
+   * @param {object} [options]
+   * @param {string} [options.name=ArgvProvider] - Identifies this provider in
+   *   events, errors, and diagnostics.
+   * @param {string} [options.prefix=--] - Only arguments starting with this
+   *   prefix are loaded.
+   * @param {boolean} [options.coerce=false] - Whether or not to coerce values
+   *   into numbers, Booleans, null, and JSON objects and arrays.
+   * @param {string[]} [options.argv] - The arguments to load.  Defaults to the
+   *   arguments of the current process.
+   */
+  constructor(options) {
+    assertOptions(options);
+
+    const opts = elv.coalesce(options, {});
+
+    this.name = elv.coalesce(opts.name, 'ArgvProvider');
+    this.prefix = elv.coalesce(opts.prefix, '--');
+    this.coerce = elv.coalesce(opts.coerce, false);
+    this._argv = opts.argv;
+  }
+
+
+  /**
+   * Builds a configuration fragment from command-line arguments.
+   *
+   * @returns {object}
+   */
+  load() {
+    const argv = elv.coalesce(this._argv, processArgv);
+    const fragment = {};
+    const repeated = new WeakSet();
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg === terminator) break;
+      if (arg.indexOf(this.prefix) !== 0) continue;
+
+      const body = arg.slice(this.prefix.length);
+      const eq = body.indexOf('=');
+      const next = argv[i + 1];
+      let name = (eq === -1) ? body : body.slice(0, eq);
+      let value = true;
+
+      if (eq !== -1) {
+        value = this._parse(body.slice(eq + 1));
+      } else if (name.indexOf(negation) === 0) {
+        name = name.slice(negation.length);
+        value = false;
+      } else if (isValue(next, this.prefix)) {
+        value = this._parse(next);
+        i++;
+      }
+
+      const keys = name.split('.');
+      if (keys.some(x => x.length === 0) || !keys.every(isSafeKey)) continue;
+
+      addPath(fragment, keys, value, repeated);
+    }
+
+    return fragment;
+  }
+
+
+  /*
+    Gets the value of an argument, coercing it if the "coerce" option is set.
+  */
+  _parse(str) {
+    return (this.coerce) ? coerceString(str) : str;
+  }
+
+}
+
+
+module.exports = ArgvProvider;
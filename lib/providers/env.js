@@ -0,0 +1,161 @@
+'use strict';
+
+const elv = require('elv');
+
+const {
+  coerceString,
+  isPojo,
+  isSafeKey,
+} = require('../util');
+
+
+/*
+  Messages used for errors.
+*/
+const msg = {
+  optionsObj: 'Invalid options: must be an object',
+  nameStr: 'Invalid options: name must be a non-empty string',
+  prefixStr: 'Invalid options: prefix must be a string',
+  separatorStr: 'Invalid options: separator must be a non-empty string',
+  coerceBool: 'Invalid options: coerce must be a Boolean',
+  transformKeyFunc: 'Invalid options: transformKey must be a function',
+  envObj: 'Invalid options: env must be an object',
+};
+
+
+/*
+  Sets a value in an object at the path described by the given keys, creating
+  intermediate objects as needed.  Objects take precedence over scalar values,
+  so a variable which would replace an object is ignored, and a variable which
+  is nested under a scalar value replaces it.
+*/
+const setPath = (obj, keys, value) => {
+  let target = obj;
+
+  for (let i = 0; i < keys.length - 1; i++) {
+    const key = keys[i];
+    if (!isPojo(target[key])) target[key] = {};
+    target = target[key];
+  }
+
+  const last = keys[keys.length - 1];
+  if (isPojo(target[last])) return;
+  target[last] = value;
+};
+
+
+/*
+  Asserts that the options given to the EnvProvider constructor are valid.
+*/
+const assertOptions = (options) => {
+  if (!isPojo(options)) throw new TypeError(msg.optionsObj);
+
+  const {
+    name,
+    prefix,
+    separator,
+    coerce: shouldCoerce,
+    transformKey,
+    env,
+  } = options;
+
+  if (elv(name) && (typeof name !== 'string' || name.length === 0)) {
+    throw new TypeError(msg.nameStr);
+  }
+
+  if (elv(prefix) && typeof prefix !== 'string') {
+    throw new TypeError(msg.prefixStr);
+  }
+
+  if (elv(separator)
+      && (typeof separator !== 'string' || separator.length === 0)
+  ) { throw new TypeError(msg.separatorStr); }
+
+  if (elv(shouldCoerce) && typeof shouldCoerce !== 'boolean') {
+    throw new TypeError(msg.coerceBool);
+  }
+
+  if (elv(transformKey) && typeof transformKey !== 'function') {
+    throw new TypeError(msg.transformKeyFunc);
+  }
+
+  if (!isPojo(env)) throw new TypeError(msg.envObj);
+};
+
+
+/**
+ * A provider which loads configuration from environment variables.  Variable
+ * names are split on a separator to build nested objects, such that
+ * APP__DB__HOST becomes { db: { host } } given a prefix of "APP".
+ */
+class EnvProvider {
+
+  /**
+   * Creates an instance of EnvProvider.
+   *
+   * @param {object} options
+   * @param {object} options.env - The variables to load, such as the
+   *   environment of the current process.
+   * @param {string} [options.name=EnvProvider] - Identifies this provider in
+   *   events, errors, and diagnostics.
+   * @param {string} [options.prefix] - Only variables starting with this
+   *   prefix followed by the separator are loaded.  The prefix is removed.
+   * @param {string} [options.separator=__] - Splits variable names into keys.
+   * @param {boolean} [options.coerce=false] - Whether or not to coerce values
+   *   into numbers, Booleans, null, and JSON objects and arrays.
+   * @param {function} [options.transformKey] - Transforms each key.  The
+   *   default lower-cases keys.
+   */
+  constructor(options) {
+    assertOptions(options);
+
+    this.name = elv.coalesce(options.name, 'EnvProvider');
+    this.prefix = elv.coalesce(options.prefix, '');
+    this.separator = elv.coalesce(options.separator, '__');
+    this.coerce = elv.coalesce(options.coerce, false);
+    this.transformKey = elv.ncoalesce(
+      options.transformKey,
+      x => x.toLowerCase()
+    );
+    this._env = options.env;
+  }
+
+
+  /**
+   * Builds a configuration fragment from environment variables.
+   *
+   * @returns {object}
+   */
+  load() {
+    const env = this._env;
+    const start = (this.prefix.length === 0)
+      ? ''
+      : this.prefix + this.separator;
+    const names = Object.keys(env).sort();
+    const fragment = {};
+
+    for (let i = 0; i < names.length; i++) {
+      const name = names[i];
+      if (name.indexOf(start) !== 0) continue;
+
+      const keys = name.slice(start.length).split(this.separator);
+      if (keys.some(x => x.length === 0)) continue;
+
+      const transformed = keys.map(x => this.transformKey(x));
+      if (!transformed.every(isSafeKey)) continue;
+
+      const value = env[name];
+      setPath(
+        fragment,
+        transformed,
+        (this.coerce) ? coerceString(value) : value
+      );
+    }
+
+    return fragment;
+  }
+
+}
+
+
+module.exports = EnvProvider;
@@ -0,0 +1,228 @@
+'use strict';
+
+const elv = require('elv');
+const fs = require('fs');
+const path = require('path');
+
+const { ParseError } = require('../errors');
+const { formatOf, isFormat, parse } = require('../formats');
+const { merge, strategies } = require('../merge');
+const { isPojo } = require('../util');
+
+
+/*
+  Messages used for errors.
+*/
+const msg = {
+  optionsObj: 'Invalid options: must be an object',
+  nameStr: 'Invalid options: name must be a non-empty string',
+  dirStr: 'Invalid options: dir must be a non-empty string',
+  envStr: 'Invalid options: env must be a non-empty string',
+  filesArray: 'Invalid options: files must be an array of non-empty strings',
+  extensionsArray: 'Invalid options: extensions must be an array of strings '
+    + 'beginning with "." naming supported formats',
+  formatStr: 'Invalid options: format must be the name of a supported format',
+  moduleObj: 'Module must export an object',
+};
+
+
+/*
+  Reads a text file.  Returns a Promise which resolves with its text, or
+  undefined if the file does not exist.
+*/
+const readText = filePath => new Promise((resolve, reject) => {
+  fs.readFile(filePath, 'utf8', (err, text) => {
+    if (elv(err)) {
+      if (err.code === 'ENOENT') resolve(undefined);
+      else reject(err);
+      return;
+    }
+
+    resolve(text);
+  });
+});
+
+
+/*
+  Loads a text file in the given format.  Returns a Promise which resolves with
+  the parsed fragment, or undefined if the file does not exist.
+*/
+const loadText = (filePath, format) => readText(filePath).then((text) => {
+  if (!elv(text)) return undefined;
+
+  try {
+    return parse(text, format);
+  } catch (err) {
+    throw new ParseError(filePath, err);
+  }
+});
+
+
+/*
+  Loads a CommonJS module.  Returns a Promise which resolves with the object it
+  exports, or undefined if the file does not exist.
+*/
+const loadModule = filePath => new Promise((resolve, reject) => {
+  fs.access(filePath, (accessErr) => {
+    if (elv(accessErr)) {
+      resolve(undefined);
+      return;
+    }
+
+    try {
+      delete require.cache[filePath];
+      const fragment = module.require(filePath);
+      if (!isPojo(fragment)) throw new TypeError(msg.moduleObj);
+      resolve(fragment);
+    } catch (err) {
+      reject(new ParseError(filePath, err));
+    }
+  });
+});
+
+
+/*
+  Determines if files with the given extension can be loaded.
+*/
+const isLoadable = ext => ext === '.js' || elv(formatOf(ext));
+
+
+/*
+  Determines if a value is an array of non-empty strings.
+*/
+const isStrArray = value => Array.isArray(value)
+  && value.every(x => typeof x === 'string' && x.length > 0);
+
+
+/*
+  Asserts that the options given to the FileProvider constructor are valid.
+*/
+const assertOptions = (options) => {
+  if (!elv(options)) return;
+  if (!isPojo(options)) throw new TypeError(msg.optionsObj);
+
+  const {
+    name,
+    dir,
+    env,
+    files,
+    extensions,
+    format,
+  } = options;
+
+  if (elv(name) && (typeof name !== 'string' || name.length === 0)) {
+    throw new TypeError(msg.nameStr);
+  }
+
+  if (elv(dir) && (typeof dir !== 'string' || dir.length === 0)) {
+    throw new TypeError(msg.dirStr);
+  }
+
+  if (elv(env) && (typeof env !== 'string' || env.length === 0)) {
+    throw new TypeError(msg.envStr);
+  }
+
+  if (elv(files) && !isStrArray(files)) throw new TypeError(msg.filesArray);
+
+  if (elv(format) && !isFormat(format)) throw new TypeError(msg.formatStr);
+
+  if (elv(extensions)
+      && (!isStrArray(extensions)
+        || !extensions.every(x => x[0] === '.'
+          && (elv(format) || isLoadable(x))))
+  ) { throw new TypeError(msg.extensionsArray); }
+};
+
+
+/**
+ * A provider which loads configuration from JSON, YAML, TOML, INI, dotenv, and
+ * CommonJS files in a directory.  Files are cascaded, so that each file
+ * overrides the files before it.
+ */
+class FileProvider {
+
+  /**
+   * Creates an instance of FileProvider.
+   *
+   * @param {object} [options]
+   * @param {string} [options.name=FileProvider] - Identifies this provider in
+   *   events, errors, and diagnostics.
+   * @param {string} [options.dir=config] - The directory containing config
+   *   files.  Relative paths are resolved against the working directory.
+   * @param {string} [options.env=development] - The environment name substituted for
+   *   "{env}" in file names, such as the value of NODE_ENV.
+   * @param {string[]} [options.files] - The base names of files to load, in
+   *   order of increasing precedence.
+   * @param {string[]} [options.extensions] - The file extensions to load for
+   *   each base name, in order of increasing precedence.
+   * @param {string} [options.format] - The format used to parse every file,
+   *   regardless of its extension.  By default, the format is chosen by each
+   *   file's extension.
+   */
+  constructor(options) {
+    assertOptions(options);
+
+    const opts = elv.coalesce(options, {});
+
+    this.name = elv.coalesce(opts.name, 'FileProvider');
+    this.dir = elv.coalesce(opts.dir, 'config');
+    this.env = elv.coalesce(opts.env, 'development');
+    this.files = elv.coalesce(opts.files, ['default', '{env}', 'local']);
+    this.extensions = elv.coalesce(opts.extensions, ['.json', '.js']);
+    this.format = opts.format;
+  }
+
+
+  /**
+   * Gets the full paths of the files this provider will attempt to load, in
+   * order of increasing precedence.
+   *
+   * @readonly
+   *
+   * @returns {string[]}
+   */
+  get paths() {
+    const dir = path.resolve(this.dir);
+    const result = [];
+
+    for (let i = 0; i < this.files.length; i++) {
+      const name = this.files[i].split('{env}').join(this.env);
+
+      for (let j = 0; j < this.extensions.length; j++) {
+        result.push(path.join(dir, name + this.extensions[j]));
+      }
+    }
+
+    return result;
+  }
+
+
+  /**
+   * Loads and merges all existing configuration files, such that each file
+   * overrides the files before it.  Objects are merged, while other values,
+   * including arrays, are replaced.  Files which do not exist are skipped.
+   *
+   * @returns {Promise}
+   */
+  load() {
+    const { paths } = this;
+    const value = {};
+
+    const loadFile = (filePath) => {
+      if (elv(this.format)) return loadText(filePath, this.format);
+      if (path.extname(filePath) === '.js') return loadModule(filePath);
+      return loadText(filePath, formatOf(filePath));
+    };
+
+    return paths.reduce((prev, filePath) => prev
+      .then(() => loadFile(filePath))
+      .then((fragment) => {
+        merge(value, fragment, { strategy: strategies.override });
+      }), Promise.resolve())
+      .then(() => value);
+  }
+
+}
+
+
+module.exports = FileProvider;
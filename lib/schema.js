@@ -0,0 +1,436 @@
+'use strict';
+
+const elv = require('elv');
+
+const { deepCopy } = require('./merge');
+const { displayPath, joinPath } = require('./path');
+const { deepEqual, hasProp, isPojo } = require('./util');
+
+
+/*
+  Messages used for errors.
+*/
+const msg = {
+  schemaObj: 'Invalid schema: must be an object at ',
+  typeName: 'Invalid schema: unknown type at ',
+  propertiesObj: 'Invalid schema: properties must be an object at ',
+  requiredArray: 'Invalid schema: required must be an array of strings at ',
+  enumArray: 'Invalid schema: enum must be an array at ',
+  patternStr: 'Invalid schema: pattern must be a string at ',
+  formatStr: 'Invalid schema: format must be a string at ',
+  secretBool: 'Invalid schema: secret must be a Boolean at ',
+};
+
+
+/*
+  Gets the JSON type name of a value.  Objects other than plain objects are
+  named by their class, such as "Date" or "Map".
+*/
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value !== 'object' || isPojo(value)) return typeof value;
+
+  return (typeof value.constructor === 'function')
+    ? value.constructor.name
+    : 'object';
+};
+
+
+/*
+  Checks for each supported type.
+*/
+const types = {
+  array: value => Array.isArray(value),
+  boolean: value => typeof value === 'boolean',
+  integer: value => Number.isInteger(value),
+  null: value => value === null,
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  object: isPojo,
+  string: value => typeof value === 'string',
+};
+
+
+/*
+  Gets the list of type names in a schema's "type" keyword.
+*/
+const typeNames = schema => ((Array.isArray(schema.type))
+  ? schema.type
+  : [schema.type]);
+
+
+/*
+  Asserts that a schema is valid.  Only the keywords supported by validate()
+  are checked.
+*/
+const assertSchema = (schema, path = '') => {
+  const at = displayPath(path);
+
+  if (!types.object(schema)) throw new TypeError(msg.schemaObj + at);
+
+  if (elv(schema.type) && !typeNames(schema).every(x => hasProp(types, x))) {
+    throw new TypeError(msg.typeName + at);
+  }
+
+  if (elv(schema.properties)) {
+    const { properties } = schema;
+    if (!types.object(properties)) throw new TypeError(msg.propertiesObj + at);
+
+    const keys = Object.keys(properties);
+    for (let i = 0; i < keys.length; i++) {
+      assertSchema(properties[keys[i]], joinPath(path, keys[i]));
+    }
+  }
+
+  if (elv(schema.required)
+      && (!Array.isArray(schema.required)
+        || !schema.required.every(x => typeof x === 'string'))
+  ) { throw new TypeError(msg.requiredArray + at); }
+
+  if (elv(schema.enum) && !Array.isArray(schema.enum)) {
+    throw new TypeError(msg.enumArray + at);
+  }
+
+  if (elv(schema.pattern) && typeof schema.pattern !== 'string') {
+    throw new TypeError(msg.patternStr + at);
+  }
+
+  if (elv(schema.format) && typeof schema.format !== 'string') {
+    throw new TypeError(msg.formatStr + at);
+  }
+
+  if (elv(schema.secret) && typeof schema.secret !== 'boolean') {
+    throw new TypeError(msg.secretBool + at);
+  }
+
+  if (types.object(schema.additionalProperties)) {
+    assertSchema(schema.additionalProperties, joinPath(path, '*'));
+  }
+
+  if (elv(schema.items)) assertSchema(schema.items, joinPath(path, '*'));
+};
+
+
+/*
+  Matches durations such as "500ms", "30s", or "1h30m".
+*/
+const durationPattern = /^(\d+(\.\d+)?(ms|s|m|h|d))+$/;
+
+
+/*
+  The number of milliseconds in each duration unit.
+*/
+const durationUnits = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+
+/*
+  Parses a duration string into a number of milliseconds.  Returns undefined
+  if the string is not a duration.
+*/
+const parseDuration = (str) => {
+  if (!durationPattern.test(str)) return undefined;
+
+  const parts = str.match(/\d+(\.\d+)?(ms|s|m|h|d)/g);
+  let ms = 0;
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    const unit = part.match(/[a-z]+$/)[0];
+    ms += parseFloat(part) * durationUnits[unit];
+  }
+
+  return ms;
+};
+
+
+/*
+  Parses a string as JSON.  Returns undefined if the string is not valid JSON.
+*/
+const parseJson = (str) => {
+  try {
+    return JSON.parse(str);
+  } catch (err) {
+    return undefined;
+  }
+};
+
+
+/*
+  Coercions from strings into each supported type other than string.  Each
+  returns undefined if the string cannot be coerced.
+*/
+const coercions = {
+
+  array: (str) => {
+    const trimmed = str.trim();
+    if (trimmed[0] === '[') return parseJson(trimmed);
+    if (trimmed.length === 0) return [];
+    return trimmed.split(',').map(x => x.trim());
+  },
+
+  boolean: (str) => {
+    if (str === 'true') return true;
+    if (str === 'false') return false;
+    return undefined;
+  },
+
+  integer: (str, schema) => coercions.number(str, schema),
+
+  null: str => ((str === 'null') ? null : undefined),
+
+  number: (str, schema) => {
+    if (schema.format === 'duration') {
+      const ms = parseDuration(str.trim());
+      if (elv(ms)) return ms;
+    }
+
+    if (str.trim().length === 0) return undefined;
+    return Number(str);
+  },
+
+  object: str => ((str.trim()[0] === '{') ? parseJson(str) : undefined),
+
+};
+
+
+/*
+  Coerces a value into one of the types declared by a schema.  Strings are
+  converted into the declared type, and numbers and Booleans are converted into
+  strings.  If the value already satisfies a declared type, or cannot be
+  coerced, it is returned as-is.
+*/
+const coerce = (schema, value) => {
+  if (!elv(schema.type)) return value;
+
+  const names = typeNames(schema);
+  if (names.some(x => types[x](value))) return value;
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return (names.indexOf('string') === -1) ? value : String(value);
+  }
+
+  if (typeof value !== 'string') return value;
+
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i];
+    const result = coercions[name](value, schema);
+    if (types[name](result)) return result;
+  }
+
+  return value;
+};
+
+
+/*
+  Determines if a schema, or any schema nested within its properties, declares
+  a default value.
+*/
+const hasDefaults = (schema) => {
+  if (hasProp(schema, 'default')) return true;
+  if (!types.object(schema.properties)) return false;
+
+  const { properties } = schema;
+  return Object.keys(properties).some(x => hasDefaults(properties[x]));
+};
+
+
+/*
+  Applies default values declared by a schema to a value, and coerces values
+  into their declared types.  Objects and arrays are updated in place.  Returns
+  the normalized value.
+*/
+const normalize = (schema, value) => {
+  const result = coerce(schema, value);
+
+  if (Array.isArray(result) && elv(schema.items)) {
+    for (let i = 0; i < result.length; i++) {
+      result[i] = normalize(schema.items, result[i]);
+    }
+  }
+
+  if (!types.object(result)) return result;
+
+  const properties = elv.coalesce(schema.properties, {});
+  const { additionalProperties } = schema;
+  const keys = Object.keys(properties);
+
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    const propSchema = properties[key];
+    if (result[key] !== undefined || !hasDefaults(propSchema)) continue;
+
+    result[key] = (hasProp(propSchema, 'default'))
+      ? deepCopy(propSchema.default)
+      : {};
+  }
+
+  const valueKeys = Object.keys(result);
+
+  for (let i = 0; i < valueKeys.length; i++) {
+    const key = valueKeys[i];
+
+    if (hasProp(properties, key)) {
+      result[key] = normalize(properties[key], result[key]);
+    } else if (types.object(additionalProperties)) {
+      result[key] = normalize(additionalProperties, result[key]);
+    }
+  }
+
+  return result;
+};
+
+
+/*
+  Validates a value against a schema, and pushes any violations onto the given
+  list of errors.
+*/
+const check = (schema, value, path, errors) => {
+  const fail = (message) => { errors.push({ path, message }); };
+
+  if (elv(schema.type)) {
+    const names = typeNames(schema);
+
+    if (!names.some(x => types[x](value))) {
+      fail(`must be of type ${names.join(' or ')}, but is ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (hasProp(schema, 'const') && !deepEqual(schema.const, value)) {
+    fail(`must be equal to ${JSON.stringify(schema.const)}`);
+  }
+
+  if (elv(schema.enum) && !schema.enum.some(x => deepEqual(x, value))) {
+    fail(`must be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (elv(schema.minimum) && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+
+    if (elv(schema.maximum) && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+
+    if (elv(schema.exclusiveMinimum) && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+
+    if (elv(schema.exclusiveMaximum) && value >= schema.exclusiveMaximum) {
+      fail(`must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (elv(schema.minLength) && value.length < schema.minLength) {
+      fail(`must have a length >= ${schema.minLength}`);
+    }
+
+    if (elv(schema.maxLength) && value.length > schema.maxLength) {
+      fail(`must have a length <= ${schema.maxLength}`);
+    }
+
+    if (elv(schema.pattern) && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (elv(schema.minItems) && value.length < schema.minItems) {
+      fail(`must have >= ${schema.minItems} items`);
+    }
+
+    if (elv(schema.maxItems) && value.length > schema.maxItems) {
+      fail(`must have <= ${schema.maxItems} items`);
+    }
+
+    if (elv(schema.items)) {
+      for (let i = 0; i < value.length; i++) {
+        check(schema.items, value[i], joinPath(path, i), errors);
+      }
+    }
+  }
+
+  if (!types.object(value)) return;
+
+  const properties = elv.coalesce(schema.properties, {});
+  const required = elv.coalesce(schema.required, []);
+
+  for (let i = 0; i < required.length; i++) {
+    const key = required[i];
+    if (!hasProp(value, key) || value[key] === undefined) {
+      errors.push({ path: joinPath(path, key), message: 'is required' });
+    }
+  }
+
+  const keys = Object.keys(value);
+
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    const keyPath = joinPath(path, key);
+
+    if (hasProp(properties, key)) {
+      check(properties[key], value[key], keyPath, errors);
+      continue;
+    }
+
+    const { additionalProperties } = schema;
+
+    if (additionalProperties === false) {
+      errors.push({ path: keyPath, message: 'is not allowed' });
+    } else if (types.object(additionalProperties)) {
+      check(additionalProperties, value[key], keyPath, errors);
+    }
+  }
+};
+
+
+/*
+  Validates a value against a schema.  Returns a list of violations, each with
+  the path of the offending value, and a message describing the violation.  An
+  empty list is returned if the value is valid.
+*/
+const validate = (schema, value) => {
+  const errors = [];
+  check(schema, value, '', errors);
+  return errors;
+};
+
+
+/*
+  Gets the paths of values a schema marks as secret, each as a list of keys.
+  Items of arrays and additional properties are matched by "*" segments.
+*/
+const secretPaths = (schema, keys = []) => {
+  if (schema.secret === true) return [keys];
+
+  const result = [];
+  const properties = elv.coalesce(schema.properties, {});
+
+  Object.keys(properties).forEach((key) => {
+    result.push(...secretPaths(properties[key], keys.concat(key)));
+  });
+
+  if (types.object(schema.additionalProperties)) {
+    result.push(...secretPaths(schema.additionalProperties, keys.concat('*')));
+  }
+
+  if (elv(schema.items)) result.push(...secretPaths(schema.items, keys.concat('*')));
+
+  return result;
+};
+
+
+module.exports = {
+  assertSchema,
+  normalize,
+  secretPaths,
+  validate,
+};
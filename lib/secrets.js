@@ -0,0 +1,137 @@
+'use strict';
+
+const elv = require('elv');
+
+const { lookup, matchPath } = require('./path');
+const { secretPaths } = require('./schema');
+const { isBranch } = require('./util');
+
+
+/*
+  Messages used for errors.
+*/
+const msg = {
+  secretsArray: 'Invalid options: secrets must be an array of dot-delimited '
+    + 'paths',
+};
+
+
+/*
+  Replaces secret values when redacted.
+*/
+const mask = '[REDACTED]';
+
+
+/*
+  Determines if a value is a valid dot-delimited path pattern.
+*/
+const isPattern = value => typeof value === 'string'
+  && value.split('.').every(x => x.length > 0);
+
+
+/*
+  Determines if a path, given as a list of keys, matches any of the given
+  patterns, or is nested within a path which does.
+*/
+const within = (keys, patterns) => patterns.some(x => x.length <= keys.length
+  && matchPath(x, keys.slice(0, x.length)));
+
+
+/*
+  Compiles a list of dot-delimited path patterns, and the paths marked secret
+  by a schema, into a function which determines if the value at a path, given
+  as a list of keys, is secret.  A "*" segment in a pattern matches any single
+  key.  Values nested within a secret value are also secret.  If the list of
+  patterns is invalid, throw a TypeError.
+*/
+const compileSecrets = (paths, schema) => {
+  if (elv(paths) && (!Array.isArray(paths) || !paths.every(isPattern))) {
+    throw new TypeError(msg.secretsArray);
+  }
+
+  const patterns = elv.coalesce(paths, [])
+    .map(x => x.split('.'))
+    .concat((elv(schema)) ? secretPaths(schema) : []);
+
+  return keys => within(keys, patterns);
+};
+
+
+/*
+  Lists the paths, given as lists of keys, of the values nested within a value
+  which are not objects or arrays, relative to the value.
+*/
+const leavesOf = (value) => {
+  if (!isBranch(value)) return [[]];
+
+  const result = [];
+
+  Object.keys(value).forEach((key) => {
+    leavesOf(value[key]).forEach((x) => { result.push([key].concat(x)); });
+  });
+
+  return result;
+};
+
+
+/*
+  Finds the values which were interpolated from secret values, given each
+  reference as an object with the "keys" of the value holding it, the keys of
+  the "ref" path, and whether or not it is the "whole" value.  A value which
+  embeds a secret is itself secret, while a value which takes on a whole
+  referenced value inherits the secrets within it.  References to values found
+  to be secret are followed in turn.  Returns the paths of the values, given as
+  lists of keys.
+*/
+const derivedSecrets = (value, references, isSecret) => {
+  const found = [];
+  const secret = keys => isSecret(keys) || within(keys, found);
+
+  const search = () => {
+    const count = found.length;
+
+    references.forEach(({ keys, ref, whole }) => {
+      leavesOf(lookup(value, ref).value).forEach((leaf) => {
+        const target = (whole) ? keys.concat(leaf) : keys;
+        if (secret(ref.concat(leaf)) && !secret(target)) found.push(target);
+      });
+    });
+
+    if (found.length > count) search();
+  };
+
+  search();
+  return found;
+};
+
+
+/*
+  Makes a deep copy of the value at the given path, given as a list of keys,
+  in which secret values are replaced by "[REDACTED]".
+*/
+const redact = (value, keys, isSecret) => {
+  if (value === undefined) return value;
+  if (isSecret(keys)) return mask;
+  if (!isBranch(value)) return value;
+
+  if (Array.isArray(value)) {
+    return value.map((x, i) => redact(x, keys.concat(String(i)), isSecret));
+  }
+
+  const result = {};
+
+  Object.keys(value).forEach((key) => {
+    result[key] = redact(value[key], keys.concat(key), isSecret);
+  });
+
+  return result;
+};
+
+
+module.exports = {
+  compileSecrets,
+  derivedSecrets,
+  mask,
+  redact,
+  within,
+};
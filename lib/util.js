@@ -0,0 +1,225 @@
+'use strict';
+
+
+/*
+  Determines if an object has its own property with the given name.
+*/
+const hasProp = (obj, prop) => Object.prototype.hasOwnProperty.call(obj, prop);
+
+
+/*
+  Keys which can change the prototype of the object they are assigned to, or
+  of other objects.  These are never copied, merged, or built into fragments.
+*/
+const unsafeKeys = ['__proto__', 'constructor', 'prototype'];
+
+
+/*
+  Determines if a key is safe to assign to an object.
+*/
+const isSafeKey = key => unsafeKeys.indexOf(key) === -1;
+
+
+/*
+  Messages used for errors.
+*/
+const msg = {
+  frozenObject: 'Cannot modify a frozen Map, Set, or Date',
+};
+
+
+/*
+  Is Plain Old JSON Object.  Returns true if value is an object whose
+  prototype is Object.prototype or null, such as one created by an object
+  literal or JSON.parse().  Otherwise false, including for null, arrays, and
+  instances of other classes.
+*/
+const isPojo = (value) => {
+  if (typeof value !== 'object' || value === null) return false;
+
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+
+/*
+  Determines if a value is a plain object or an array, whose keys are part of
+  the paths of a configuration.
+*/
+const isBranch = value => isPojo(value) || Array.isArray(value);
+
+
+/*
+  Determines if a value is a Map or a Set.  Collections are copied, compared,
+  and merged by their contents, but are not part of the paths of a
+  configuration.
+*/
+const isCollection = value => value instanceof Map || value instanceof Set;
+
+
+/*
+  Determines if a value is a Date, RegExp, or Buffer.  These are treated as
+  scalar values, but are copied and compared by their contents.
+*/
+const isBoxed = value => value instanceof Date
+  || value instanceof RegExp
+  || Buffer.isBuffer(value);
+
+
+/*
+  Compares two Dates, RegExps, or Buffers by their contents.
+*/
+const boxedEqual = (a, b) => {
+  if (a instanceof Date) return b instanceof Date && a.getTime() === b.getTime();
+
+  if (a instanceof RegExp) {
+    return b instanceof RegExp && a.source === b.source && a.flags === b.flags;
+  }
+
+  return Buffer.isBuffer(b) && a.equals(b);
+};
+
+
+/*
+  Determines if two values are structurally equal.  Objects and arrays are
+  compared by their keys and values, Maps by their keys and values, Sets by
+  their items, Dates by their time, RegExps by their source and flags, and
+  Buffers by their bytes.  Other objects, such as instances of custom classes,
+  are opaque, and are compared by identity.
+*/
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (isBoxed(a)) return boxedEqual(a, b);
+
+  if (a instanceof Map) {
+    return b instanceof Map
+      && a.size === b.size
+      && Array.from(a.keys()).every(x => b.has(x) && deepEqual(a.get(x), b.get(x)));
+  }
+
+  if (a instanceof Set) {
+    const contains = (set, item) => set.has(item)
+      || Array.from(set).some(x => deepEqual(x, item));
+
+    return b instanceof Set
+      && a.size === b.size
+      && Array.from(a).every(x => contains(b, x))
+      && Array.from(b).every(x => contains(a, x));
+  }
+
+  if (!isBranch(a)
+      || !isBranch(b)
+      || Array.isArray(a) !== Array.isArray(b)
+  ) return false;
+
+  const akeys = Object.keys(a);
+  const bkeys = Object.keys(b);
+  if (akeys.length !== bkeys.length) return false;
+
+  for (let i = 0; i < akeys.length; i++) {
+    const key = akeys[i];
+    if (!hasProp(b, key) || !deepEqual(a[key], b[key])) return false;
+  }
+
+  return true;
+};
+
+
+/*
+  Matches strings which look like numbers.  Numbers with leading zeros, such as
+  postal codes, are not matched.
+*/
+const numberPattern = /^-?(0|[1-9]\d*)(\.\d+)?(e[+-]?\d+)?$/i;
+
+
+/*
+  Coerces a string value, such as that of an environment variable, into a
+  number, Boolean, null, or JSON object or array.  Values which cannot be
+  coerced are returned as-is.
+*/
+const coerceString = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null') return null;
+  if (numberPattern.test(value)) return Number(value);
+
+  const first = value[0];
+  if (first !== '{' && first !== '[' && first !== '"') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+
+/*
+  Throws when a frozen Map, Set, or Date is modified.
+*/
+const failFrozen = () => {
+  throw new TypeError(msg.frozenObject);
+};
+
+
+/*
+  The methods which modify Maps and Sets.
+*/
+const collectionMutators = ['add', 'clear', 'delete', 'set'];
+
+
+/*
+  The methods which modify Dates, such as setTime().
+*/
+const dateMutators = Object.getOwnPropertyNames(Date.prototype)
+  .filter(x => x.indexOf('set') === 0);
+
+
+/*
+  Replaces the given methods of an object with ones which throw a TypeError,
+  and freezes it.  Returns the object.
+*/
+const lock = (value, methods) => {
+  methods.forEach((name) => {
+    if (name in value) Object.defineProperty(value, name, { value: failFrozen });
+  });
+
+  return Object.freeze(value);
+};
+
+
+/*
+  Freezes an object or array, and every object, array, Map, Set, and Date
+  nested within it.  Since freezing does not prevent the contents of Maps,
+  Sets, and Dates from changing, their methods which modify them are replaced
+  by ones which throw a TypeError.  RegExps, Buffers, and opaque objects are
+  not frozen.  Returns the value given.
+*/
+const deepFreeze = (value) => {
+  if (isBranch(value)) {
+    const keys = Object.keys(value);
+    for (let i = 0; i < keys.length; i++) deepFreeze(value[keys[i]]);
+    return Object.freeze(value);
+  }
+
+  if (Object.isFrozen(value)) return value;
+
+  if (isCollection(value)) {
+    value.forEach(x => deepFreeze(x));
+    return lock(value, collectionMutators);
+  }
+
+  return (value instanceof Date) ? lock(value, dateMutators) : value;
+};
+
+
+module.exports = {
+  coerceString,
+  deepEqual,
+  deepFreeze,
+  hasProp,
+  isBranch,
+  isCollection,
+  isPojo,
+  isSafeKey,
+};
@@ -0,0 +1,6 @@
+'use strict';
+
+module.exports = {
+  name: 'local',
+  local: true,
+};
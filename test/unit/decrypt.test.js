@@ -0,0 +1,96 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const { decrypt, isDecryptor } = require('../../lib/decrypt');
+const { DecryptionError } = require('../../lib/errors');
+
+
+describe('decrypt', function() {
+
+  describe('#isDecryptor', function() {
+    it('accepts functions and objects with a decrypt method', function() {
+      assert.isTrue(isDecryptor(x => x));
+      assert.isTrue(isDecryptor({ decrypt: x => x }));
+    });
+
+    it('rejects other values', function() {
+      assert.isFalse(isDecryptor({}));
+      assert.isFalse(isDecryptor(null));
+      assert.isFalse(isDecryptor('x'));
+    });
+  });
+
+
+  describe('#decrypt', function() {
+    beforeEach(function() {
+      this.decryptors = {
+        rev: x => x.split('').reverse().join(''),
+        up: { decrypt: x => x.toUpperCase() },
+      };
+    });
+
+    it('decrypts values in place and returns their paths', function() {
+      const obj = {
+        db: { password: 'enc:rev:cba', host: 'localhost' },
+        tokens: ['enc:up:x', 'y'],
+        port: 80,
+        none: null,
+      };
+
+      const paths = decrypt(obj, this.decryptors);
+
+      assert.deepEqual(obj, {
+        db: { password: 'abc', host: 'localhost' },
+        tokens: ['X', 'y'],
+        port: 80,
+        none: null,
+      });
+      assert.deepEqual(paths, [['db', 'password'], ['tokens', '0']]);
+    });
+
+    it('keeps colons within payloads', function() {
+      const obj = { a: 'enc:rev:b:a' };
+      decrypt(obj, this.decryptors);
+      assert.strictEqual(obj.a, 'a:b');
+    });
+
+    it('throws if decryptor unknown', function() {
+      assert.throws(
+        () => decrypt({ a: { b: 'enc:nope:x' } }, this.decryptors),
+        DecryptionError,
+        'Failed to decrypt "a.b": Unknown decryptor "nope"'
+      );
+      assert.throws(
+        () => decrypt({ a: 'enc:rev' }, this.decryptors),
+        DecryptionError,
+        'Unknown decryptor "rev"'
+      );
+    });
+
+    it('throws if decryptor throws', function() {
+      const cause = new Error('Bad key');
+
+      try {
+        decrypt({ a: 'enc:bad:x' }, { bad: () => { throw cause; } });
+      } catch (err) {
+        assert.instanceOf(err, DecryptionError);
+        assert.strictEqual(err.path, 'a');
+        assert.strictEqual(err.cause, cause);
+        assert.include(err.message, 'Bad key');
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('throws if decryptor does not return a string', function() {
+      assert.throws(
+        () => decrypt({ a: 'enc:num:x' }, { num: () => 42 }),
+        DecryptionError,
+        'Decryptor must return a string'
+      );
+    });
+  });
+
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const { assert } = require('chai');
+const path = require('path');
+
+const AesGcmDecryptor = require('../../../lib/decryptors/aes-gcm');
+
+
+const keyFile = path.join(__dirname, '../../fixtures/decryptors/key.txt');
+const key = Buffer.alloc(32, 7);
+
+
+describe('AesGcmDecryptor', function() {
+
+  describe('#constructor', function() {
+    it('throws if options not an object', function() {
+      assert.throws(() => new AesGcmDecryptor(), TypeError);
+      assert.throws(() => new AesGcmDecryptor(42), TypeError);
+    });
+
+    it('throws unless exactly one key option given', function() {
+      assert.throws(() => new AesGcmDecryptor({}), TypeError);
+      assert.throws(() => new AesGcmDecryptor({ key, keyFile }), TypeError);
+    });
+
+    it('throws if key not a Buffer or non-empty string', function() {
+      assert.throws(() => new AesGcmDecryptor({ key: 42 }), TypeError);
+      assert.throws(() => new AesGcmDecryptor({ key: '' }), TypeError);
+    });
+
+    it('throws if keyFile not a non-empty string', function() {
+      assert.throws(() => new AesGcmDecryptor({ keyFile: '' }), TypeError);
+    });
+
+    it('throws if keyEnv not a non-empty string', function() {
+      assert.throws(() => new AesGcmDecryptor({ keyEnv: 42, env: {} }), TypeError);
+    });
+
+    it('throws if env not an object when keyEnv given', function() {
+      assert.throws(() => new AesGcmDecryptor({ keyEnv: 'KEY' }), TypeError);
+      assert.throws(() => new AesGcmDecryptor({ keyEnv: 'KEY', env: 42 }), TypeError);
+    });
+  });
+
+
+  describe('#decrypt', function() {
+    it('decrypts encrypted values', function() {
+      const decryptor = new AesGcmDecryptor({ key });
+      const payload = decryptor.encrypt('secret');
+      assert.notInclude(payload, 'secret');
+      assert.strictEqual(decryptor.decrypt(payload), 'secret');
+    });
+
+    it('accepts base64 keys', function() {
+      const payload = new AesGcmDecryptor({ key }).encrypt('secret');
+      const decryptor = new AesGcmDecryptor({ key: key.toString('base64') });
+      assert.strictEqual(decryptor.decrypt(payload), 'secret');
+    });
+
+    it('reads keys from files', function() {
+      const payload = new AesGcmDecryptor({ key }).encrypt('secret');
+      const decryptor = new AesGcmDecryptor({ keyFile });
+      assert.strictEqual(decryptor.decrypt(payload), 'secret');
+    });
+
+    it('reads keys from environment variables', function() {
+      const env = {};
+      const payload = new AesGcmDecryptor({ key }).encrypt('secret');
+      const decryptor = new AesGcmDecryptor({ keyEnv: 'CONFIG_KEY', env });
+
+      assert.throws(() => decryptor.decrypt(payload), /CONFIG_KEY/);
+
+      env.CONFIG_KEY = key.toString('base64');
+      assert.strictEqual(decryptor.decrypt(payload), 'secret');
+    });
+
+    it('throws if key not 32 bytes', function() {
+      const decryptor = new AesGcmDecryptor({ key: Buffer.alloc(16) });
+      assert.throws(() => decryptor.encrypt('secret'), 'Key must be 32 bytes');
+    });
+
+    it('throws if payload too short', function() {
+      const decryptor = new AesGcmDecryptor({ key });
+      assert.throws(() => decryptor.decrypt('abcd'), 'Payload is too short');
+    });
+
+    it('throws if payload tampered with', function() {
+      const decryptor = new AesGcmDecryptor({ key });
+      const data = Buffer.from(decryptor.encrypt('secret'), 'base64');
+      data[data.length - 1] = (data[data.length - 1] + 1) % 256;
+      assert.throws(() => decryptor.decrypt(data.toString('base64')));
+    });
+
+    it('throws if key wrong', function() {
+      const payload = new AesGcmDecryptor({ key }).encrypt('secret');
+      const decryptor = new AesGcmDecryptor({ key: Buffer.alloc(32, 8) });
+      assert.throws(() => decryptor.decrypt(payload));
+    });
+  });
+
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const {
+  diff,
+  diffKeys,
+  isEmpty,
+  scope,
+} = require('../../lib/diff');
+
+
+describe('diff', function() {
+
+  describe('#diff', function() {
+    it('finds added, removed, and modified paths', function() {
+      const previous = {
+        a: 1,
+        b: { c: 1, d: 1 },
+        e: [1, 2],
+        f: { g: 1 },
+      };
+      const next = {
+        a: 2,
+        b: { c: 1, h: { i: 1 } },
+        e: [1, 2],
+        f: 'x',
+        j: null,
+      };
+
+      assert.deepEqual(diff(previous, next), {
+        added: ['b.h', 'j'],
+        removed: ['b.d'],
+        modified: ['a', 'f'],
+      });
+    });
+
+    it('compares arrays and Dates as a whole', function() {
+      const previous = { a: [1, { b: 1 }], c: new Date(1) };
+      const next = { a: [1, { b: 2 }], c: new Date(2) };
+
+      assert.deepEqual(diff(previous, next).modified, ['a', 'c']);
+    });
+
+    it('finds no changes in equal objects', function() {
+      const changes = diff({ a: { b: [1] } }, { a: { b: [1] } });
+      assert.isTrue(isEmpty(changes));
+    });
+  });
+
+
+  describe('#diffKeys', function() {
+    it('gives paths as lists of keys', function() {
+      const changes = diffKeys({ a: { 'b.c': 1 }, d: 1 }, { a: { 'b.c': 2 }, e: 1 });
+
+      assert.deepEqual(changes, {
+        added: [['e']],
+        removed: [['d']],
+        modified: [['a', 'b.c']],
+      });
+    });
+  });
+
+
+  describe('#isEmpty', function() {
+    it('returns false if any changes', function() {
+      assert.isFalse(isEmpty({ added: ['a'], removed: [], modified: [] }));
+      assert.isFalse(isEmpty({ added: [], removed: ['a'], modified: [] }));
+      assert.isFalse(isEmpty({ added: [], removed: [], modified: ['a'] }));
+    });
+  });
+
+
+  describe('#scope', function() {
+    it('keeps changes at, within, or containing path', function() {
+      const changes = {
+        added: ['db'],
+        removed: ['db.pool.max', 'dbx'],
+        modified: ['db.pool', 'cache'],
+      };
+
+      assert.deepEqual(scope(changes, 'db.pool'), {
+        added: ['db'],
+        removed: ['db.pool.max'],
+        modified: ['db.pool'],
+      });
+    });
+  });
+
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const {
+  AbortError,
+  CircularReferenceError,
+  DecryptionError,
+  InterpolationError,
+  KibbutzError,
+  LimitError,
+  MissingPathError,
+  MutationError,
+  ParseError,
+  ProviderError,
+  TimeoutError,
+  ValidationError,
+} = require('../../lib/errors');
+
+
+describe('errors', function() {
+
+  describe('AbortError', function() {
+    it('describes the abort', function() {
+      const err = new AbortError();
+      assert.instanceOf(err, KibbutzError);
+      assert.strictEqual(err.name, 'AbortError');
+      assert.strictEqual(err.message, 'Loading was aborted');
+    });
+  });
+
+
+  describe('DecryptionError', function() {
+    it('names the path and cause', function() {
+      const cause = new Error('Bad key');
+      const err = new DecryptionError('db.password', cause);
+      assert.instanceOf(err, KibbutzError);
+      assert.strictEqual(err.path, 'db.password');
+      assert.strictEqual(err.cause, cause);
+      assert.strictEqual(
+        err.message,
+        'Failed to decrypt "db.password": Bad key'
+      );
+    });
+  });
+
+
+  describe('CircularReferenceError', function() {
+    it('names the path', function() {
+      const err = new CircularReferenceError('db.self');
+      assert.instanceOf(err, KibbutzError);
+      assert.strictEqual(err.path, 'db.self');
+      assert.include(err.message, '"db.self"');
+    });
+  });
+
+
+  describe('LimitError', function() {
+    it('names the path and limit', function() {
+      const err = new LimitError('a.b', 'maxDepth', 1);
+      assert.instanceOf(err, KibbutzError);
+      assert.strictEqual(err.path, 'a.b');
+      assert.strictEqual(err.limit, 'maxDepth');
+      assert.strictEqual(err.max, 1);
+      assert.strictEqual(err.message, 'Configuration exceeds maxDepth of 1 at "a.b"');
+    });
+  });
+
+
+  describe('InterpolationError', function() {
+    it('names the path and reason', function() {
+      const err = new InterpolationError('db.url', 'unresolved reference');
+      assert.instanceOf(err, KibbutzError);
+      assert.strictEqual(err.path, 'db.url');
+      assert.strictEqual(
+        err.message,
+        'Failed to interpolate "db.url": unresolved reference'
+      );
+    });
+  });
+
+
+  describe('KibbutzError', function() {
+    it('sets name to class name', function() {
+      const err = new ParseError('/config.json', new Error('Test'));
+      assert.instanceOf(err, KibbutzError);
+      assert.strictEqual(err.name, 'ParseError');
+    });
+  });
+
+
+  describe('MissingPathError', function() {
+    it('names the missing path', function() {
+      const err = new MissingPathError('db.host');
+      assert.strictEqual(err.path, 'db.host');
+      assert.include(err.message, '"db.host"');
+    });
+  });
+
+
+  describe('MutationError', function() {
+    it('names the path', function() {
+      const err = new MutationError('db.host');
+      assert.instanceOf(err, KibbutzError);
+      assert.strictEqual(err.path, 'db.host');
+      assert.include(err.message, '"db.host"');
+    });
+  });
+
+
+  describe('ProviderError', function() {
+    it('names the failing provider', function() {
+      const cause = new Error('Test');
+      const err = new ProviderError('remote', cause);
+      assert.strictEqual(err.provider, 'remote');
+      assert.strictEqual(err.cause, cause);
+      assert.strictEqual(err.message, 'Provider "remote" failed to load: Test');
+    });
+
+    it('describes causes without a message', function() {
+      assert.include(new ProviderError('a', 'Test').message, ': Test');
+      assert.include(new ProviderError('a', undefined).message, ': undefined');
+    });
+  });
+
+
+  describe('TimeoutError', function() {
+    it('names the provider and timeout', function() {
+      const err = new TimeoutError('remote', 100);
+      assert.instanceOf(err, ProviderError);
+      assert.strictEqual(err.provider, 'remote');
+      assert.strictEqual(err.timeout, 100);
+      assert.include(err.message, '"remote"');
+      assert.include(err.message, '100ms');
+    });
+  });
+
+
+  describe('ValidationError', function() {
+    it('lists each violation in message', function() {
+      const err = new ValidationError([
+        { path: '', message: 'must be of type object, but is null' },
+        { path: 'db.host', message: 'is required' },
+      ]);
+
+      assert.strictEqual(err.message, 'Configuration is invalid:\n'
+        + '  (root): must be of type object, but is null\n'
+        + '  db.host: is required');
+    });
+  });
+
+});
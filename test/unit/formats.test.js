@@ -0,0 +1,132 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const {
+  assertFormat,
+  formatOf,
+  isFormat,
+  parse,
+} = require('../../lib/formats');
+
+
+describe('formats', function() {
+
+  describe('#isFormat', function() {
+    it('determines if formats are supported', function() {
+      ['dotenv', 'ini', 'json', 'toml', 'yaml'].forEach((x) => {
+        assert.isTrue(isFormat(x));
+      });
+
+      assert.isFalse(isFormat('xml'));
+      assert.isFalse(isFormat('hasOwnProperty'));
+      assert.isFalse(isFormat(42));
+    });
+  });
+
+
+  describe('#assertFormat', function() {
+    it('throws if format unknown', function() {
+      assert.throws(() => assertFormat('xml'), TypeError, 'Unknown format: xml');
+      assertFormat('yaml');
+    });
+  });
+
+
+  describe('#formatOf', function() {
+    it('gets formats by file extension', function() {
+      assert.strictEqual(formatOf('/a/b.json'), 'json');
+      assert.strictEqual(formatOf('b.yaml'), 'yaml');
+      assert.strictEqual(formatOf('b.YML'), 'yaml');
+      assert.strictEqual(formatOf('b.toml'), 'toml');
+      assert.strictEqual(formatOf('b.ini'), 'ini');
+      assert.strictEqual(formatOf('b.env'), 'dotenv');
+      assert.strictEqual(formatOf('/a/.env'), 'dotenv');
+    });
+
+    it('gets undefined for unknown extensions', function() {
+      assert.isUndefined(formatOf('b.js'));
+      assert.isUndefined(formatOf('b'));
+      assert.isUndefined(formatOf('.hasOwnProperty'));
+    });
+  });
+
+
+  describe('#parse', function() {
+    it('parses JSON', function() {
+      assert.deepEqual(parse('{ "a": { "b": 1 } }', 'json'), { a: { b: 1 } });
+    });
+
+    it('parses YAML', function() {
+      const text = 'a:\n  b: 1\n  c: [x, y]\nd: true\n';
+      assert.deepEqual(parse(text, 'yaml'), {
+        a: { b: 1, c: ['x', 'y'] },
+        d: true,
+      });
+    });
+
+    it('skips keys which can pollute prototypes', function() {
+      const json = parse('{"__proto__": {"x": 1}, "a": {"constructor": 1}, "port": 80}', 'json');
+      const yml = parse('__proto__:\n  x: 1\nport: 80\n', 'yaml');
+
+      assert.deepEqual(json, { a: {}, port: 80 });
+      assert.deepEqual(yml, { port: 80 });
+      assert.strictEqual(Object.getPrototypeOf(json), Object.prototype);
+      assert.strictEqual(Object.getPrototypeOf(yml), Object.prototype);
+      assert.isUndefined(json.x);
+      assert.isUndefined(yml.x);
+    });
+
+    it('parses TOML into plain objects', function() {
+      const text = 'a = 1\n[b]\nc = "x"\n[[d]]\ne = 2\n';
+      const result = parse(text, 'toml');
+
+      assert.deepEqual(result, { a: 1, b: { c: 'x' }, d: [{ e: 2 }] });
+      assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+      assert.strictEqual(Object.getPrototypeOf(result.b), Object.prototype);
+      assert.strictEqual(Object.getPrototypeOf(result.d[0]), Object.prototype);
+    });
+
+    it('keeps dates', function() {
+      const result = parse('a = 1979-05-27T07:32:00Z', 'toml');
+      assert.instanceOf(result.a, Date);
+    });
+
+    it('parses INI', function() {
+      assert.deepEqual(parse('a = 1\n[b]\nc = x\n', 'ini'), {
+        a: '1',
+        b: { c: 'x' },
+      });
+    });
+
+    it('parses dotenv', function() {
+      const text = '# Comment\nA=1\nB="x y"\n';
+      assert.deepEqual(parse(text, 'dotenv'), { A: '1', B: 'x y' });
+    });
+
+    it('parses empty documents as empty objects', function() {
+      assert.deepEqual(parse('', 'yaml'), {});
+      assert.deepEqual(parse('null', 'json'), {});
+    });
+
+    it('throws if text invalid', function() {
+      assert.throws(() => parse('{', 'json'), SyntaxError);
+      assert.throws(() => parse('a: [1', 'yaml'));
+      assert.throws(() => parse('a = ', 'toml'));
+    });
+
+    it('throws if text not an object', function() {
+      assert.throws(() => parse('[1]', 'json'), TypeError);
+      assert.throws(() => parse('x', 'yaml'), TypeError);
+    });
+
+    it('throws if text not a string', function() {
+      assert.throws(() => parse(42, 'json'), TypeError);
+    });
+
+    it('throws if format unknown', function() {
+      assert.throws(() => parse('', 'xml'), TypeError);
+    });
+  });
+
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const { MutationError } = require('../../lib/errors');
+const { guard } = require('../../lib/guard');
+
+
+describe('guard', function() {
+
+  describe('#guard', function() {
+    beforeEach(function() {
+      this.date = new Date(0);
+      this.value = guard({
+        db: { host: 'localhost', replicas: [{ host: 'a' }] },
+        created: this.date,
+      });
+    });
+
+    it('reads values', function() {
+      assert.strictEqual(this.value.db.host, 'localhost');
+      assert.strictEqual(this.value.db.replicas[0].host, 'a');
+      assert.strictEqual(this.value.db.replicas.length, 1);
+      assert.deepEqual(Object.keys(this.value), ['db', 'created']);
+      assert.deepEqual(this.value.db.replicas.map(x => x.host), ['a']);
+      assert.isTrue(Array.isArray(this.value.db.replicas));
+    });
+
+    it('returns the same Proxy for each read', function() {
+      assert.strictEqual(this.value.db, this.value.db);
+    });
+
+    it('does not wrap Dates', function() {
+      assert.strictEqual(this.value.created, this.date);
+    });
+
+    it('freezes Dates', function() {
+      assert.throws(() => this.value.created.setTime(5), TypeError);
+      assert.strictEqual(this.value.created.getTime(), 0);
+    });
+
+    it('throws naming the path of set properties', function() {
+      assert.throws(() => { this.value.db.host = 'x'; }, MutationError, '"db.host"');
+      assert.throws(() => { this.value.port = 1; }, MutationError, '"port"');
+      assert.throws(
+        () => { this.value.db.replicas[0].host = 'x'; },
+        MutationError,
+        '"db.replicas.0.host"'
+      );
+      assert.strictEqual(this.value.db.host, 'localhost');
+    });
+
+    it('throws naming the path of deleted properties', function() {
+      assert.throws(() => { delete this.value.db.host; }, MutationError, '"db.host"');
+    });
+
+    it('throws naming the path of defined properties', function() {
+      assert.throws(
+        () => Object.defineProperty(this.value.db, 'port', { value: 1 }),
+        MutationError,
+        '"db.port"'
+      );
+    });
+
+    it('throws when arrays are modified', function() {
+      assert.throws(() => this.value.db.replicas.push({}), MutationError, '"db.replicas.1"');
+      assert.throws(() => this.value.db.replicas.pop(), MutationError, '"db.replicas.0"');
+      assert.strictEqual(this.value.db.replicas.length, 1);
+    });
+
+    it('throws naming the object whose prototype is set', function() {
+      assert.throws(() => Object.setPrototypeOf(this.value.db, null), MutationError, '"db"');
+      assert.throws(() => Object.setPrototypeOf(this.value, null), MutationError, '"(root)"');
+    });
+
+    it('names symbol properties', function() {
+      assert.throws(() => { this.value[Symbol('x')] = 1; }, MutationError, 'Symbol(x)');
+    });
+
+    it('freezes Maps and Sets', function() {
+      const value = guard({ map: new Map([['a', 1]]), set: new Set([1]) });
+      assert.throws(() => value.map.set('b', 2), TypeError);
+      assert.throws(() => value.set.add(2), TypeError);
+      assert.strictEqual(value.map.get('a'), 1);
+    });
+
+    it('does not wrap instances of custom classes', function() {
+      class Client { constructor() { this.host = 'a'; } }
+      const client = new Client();
+      assert.strictEqual(guard({ client }).client, client);
+    });
+
+    it('returns other values as-is', function() {
+      assert.strictEqual(guard(42), 42);
+      assert.strictEqual(guard(null), null);
+      assert.strictEqual(guard(this.date), this.date);
+    });
+  });
+
+});
@@ -0,0 +1,222 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const { InterpolationError } = require('../../lib/errors');
+const { interpolate } = require('../../lib/interpolate');
+
+
+/*
+  Builds a reference to a path, such as "${a.b}".
+*/
+const ref = path => ['${', path, '}'].join('');
+
+
+describe('interpolate', function() {
+
+  describe('#interpolate', function() {
+    it('embeds referenced values in strings', function() {
+      const value = {
+        db: { host: 'localhost', port: 5432, ssl: false },
+        url: 'pg://' + ref('db.host') + ':' + ref('db.port') + '?ssl=' + ref('db.ssl'),
+      };
+
+      interpolate(value, {});
+      assert.strictEqual(value.url, 'pg://localhost:5432?ssl=false');
+    });
+
+    it('keeps the type of whole references', function() {
+      const value = {
+        db: {
+          port: 5432,
+          hosts: ['a', 'b'],
+          opts: { ssl: true },
+          none: null,
+        },
+        port: ref('db.port'),
+        hosts: ref('db.hosts'),
+        opts: ref('db.opts'),
+        none: ref('db.none'),
+      };
+
+      interpolate(value, {});
+      assert.strictEqual(value.port, 5432);
+      assert.deepEqual(value.hosts, ['a', 'b']);
+      assert.notStrictEqual(value.hosts, value.db.hosts);
+      assert.deepEqual(value.opts, { ssl: true });
+      assert.isNull(value.none);
+    });
+
+    it('resolves references in array items', function() {
+      const value = { a: 'x', b: [ref('a'), ref('a') + 'y'] };
+      interpolate(value, {});
+      assert.deepEqual(value.b, ['x', 'xy']);
+    });
+
+    it('resolves nested references', function() {
+      const value = {
+        c: ref('b') + '/c',
+        b: ref('a') + '/b',
+        a: 'a',
+        d: { e: ref('f.g') },
+        f: { g: ref('a') },
+      };
+
+      interpolate(value, {});
+      assert.strictEqual(value.c, 'a/b/c');
+      assert.strictEqual(value.b, 'a/b');
+      assert.strictEqual(value.d.e, 'a');
+    });
+
+    it('resolves references to objects containing references', function() {
+      const value = { a: { b: ref('c') }, c: 'x', d: ref('a') };
+      interpolate(value, {});
+      assert.deepEqual(value.d, { b: 'x' });
+    });
+
+    it('resolves environment variables', function() {
+      const value = { dir: ref('env:HOME') + '/data', home: ref('env:HOME') };
+      interpolate(value, { HOME: '/home/me' });
+      assert.strictEqual(value.dir, '/home/me/data');
+      assert.strictEqual(value.home, '/home/me');
+    });
+
+    it('leaves escaped references as-is', function() {
+      const value = { a: 'x', b: '$' + ref('a'), c: ref('a') + '-$' + ref('a') };
+      interpolate(value, {});
+      assert.strictEqual(value.b, ref('a'));
+      assert.strictEqual(value.c, 'x-' + ref('a'));
+    });
+
+    it('leaves other values as-is', function() {
+      const date = new Date();
+      const value = {
+        a: 1,
+        b: null,
+        c: date,
+        d: '$a {a} $',
+        e: undefined,
+      };
+
+      interpolate(value, {});
+      assert.deepEqual(value, {
+        a: 1,
+        b: null,
+        c: date,
+        d: '$a {a} $',
+        e: undefined,
+      });
+    });
+
+    it('returns the resolved value', function() {
+      const value = { a: 'x' };
+      assert.strictEqual(interpolate(value, {}), value);
+      assert.strictEqual(interpolate('x', {}), 'x');
+    });
+
+    it('throws if a reference is unresolved', function() {
+      const value = { db: { url: ref('db.host') + ':80' } };
+      assert.throws(
+        () => interpolate(value, {}),
+        InterpolationError,
+        'Failed to interpolate "db.url": unresolved reference "' + ref('db.host') + '"'
+      );
+    });
+
+    it('reports references to paths', function() {
+      const references = [];
+      const value = {
+        a: { b: 1 },
+        d: ref('a'),
+        e: 'x' + ref('a.b') + ref('env:HOME'),
+      };
+
+      interpolate(
+        value,
+        { HOME: '/' },
+        { onReference: (keys, path, whole) => references.push({ keys, path, whole }) }
+      );
+
+      assert.deepEqual(references, [
+        { keys: ['d'], path: ['a'], whole: true },
+        { keys: ['e'], path: ['a', 'b'], whole: false },
+      ]);
+    });
+
+    it('leaves references to missing paths in place when partial', function() {
+      const value = {
+        a: 1,
+        b: ref('missing'),
+        c: ref('a') + '-' + ref('missing.x') + '-$' + ref('a'),
+      };
+
+      assert.deepEqual(interpolate(value, {}, { partial: true }), {
+        a: 1,
+        b: ref('missing'),
+        c: '1-' + ref('missing.x') + '-' + ref('a'),
+      });
+    });
+
+    it('throws if partial and references are otherwise unresolvable', function() {
+      const options = { partial: true };
+      assert.throws(() => interpolate({ a: ref('env:NOPE') }, {}, options), InterpolationError);
+      assert.throws(() => interpolate({ a: ref('b.') }, {}, options), InterpolationError);
+      assert.throws(() => interpolate({ a: ref('a') }, {}, options), InterpolationError);
+    });
+
+    it('names the root path in errors', function() {
+      assert.throws(
+        () => interpolate(ref('a'), {}),
+        InterpolationError,
+        'Failed to interpolate "(root)"'
+      );
+    });
+
+    it('throws if an environment variable is not set', function() {
+      assert.throws(
+        () => interpolate({ a: ref('env:NOPE') }, {}),
+        InterpolationError,
+        'environment variable "NOPE" is not set'
+      );
+      assert.throws(
+        () => interpolate({ a: ref('env:hasOwnProperty') }, {}),
+        InterpolationError
+      );
+    });
+
+    it('throws if a reference is invalid', function() {
+      assert.throws(
+        () => interpolate({ a: 'x' + ref('b.') }, {}),
+        InterpolationError,
+        'invalid reference "' + ref('b.') + '"'
+      );
+      assert.throws(() => interpolate({ a: ref('') }, {}), InterpolationError);
+    });
+
+    it('throws if an embedded reference is not a scalar', function() {
+      assert.throws(
+        () => interpolate({ a: { b: 1 }, c: 'x' + ref('a') }, {}),
+        InterpolationError,
+        'reference "' + ref('a') + '" must be a string, number, or Boolean'
+      );
+    });
+
+    it('throws if references are circular', function() {
+      const value = { a: ref('b'), b: 'x' + ref('c'), c: ref('a') };
+      assert.throws(
+        () => interpolate(value, {}),
+        InterpolationError,
+        'Failed to interpolate "c": circular reference a -> b -> c -> a'
+      );
+    });
+
+    it('throws if a value references itself', function() {
+      assert.throws(
+        () => interpolate({ a: { b: ref('a') } }, {}),
+        InterpolationError,
+        'Failed to interpolate "a.b": circular reference a -> a.b -> a'
+      );
+    });
+  });
+
+});
@@ -1,11 +1,29 @@
 'use strict';
 
 const { assert } = require('chai');
-const Promise = require('bluebird');
+const { EventEmitter } = require('events');
+const { inspect } = require('util');
 
 const Kibbutz = require('../../lib/kibbutz');
 
 
+/*
+  Replaces process.emitWarning() with a function which collects the warnings
+  emitted, until the returned function is called to restore it.
+*/
+const captureWarnings = (warnings) => {
+  const { emitWarning } = process;
+  process.emitWarning = (warning) => { warnings.push(warning); };
+  return () => { process.emitWarning = emitWarning; };
+};
+
+
+/*
+  Builds a reference to a path, such as "${a.b}".
+*/
+const ref = path => ['${', path, '}'].join('');
+
+
 describe('Kibbutz', function() {
 
   describe('#constructor', function() {
@@ -67,6 +85,182 @@ describe('Kibbutz', function() {
       assert.strictEqual(count, 0);
       done();
     });
+
+    it('throws if mergeStrategy unknown', function() {
+      assert.throws(() => {
+        const config = new Kibbutz({ mergeStrategy: 'blah' });
+        assert.isNotOk(config);
+      }, TypeError);
+    });
+
+    it('throws if mergeStrategy not a string or function', function() {
+      assert.throws(() => {
+        const config = new Kibbutz({ mergeStrategy: 42 });
+        assert.isNotOk(config);
+      }, TypeError);
+    });
+
+    it('throws if mergeRules not an object', function() {
+      assert.throws(() => {
+        const config = new Kibbutz({ mergeRules: 42 });
+        assert.isNotOk(config);
+      }, TypeError);
+    });
+
+    it('throws if schema invalid', function() {
+      assert.throws(() => {
+        const config = new Kibbutz({ schema: { type: 'blah' } });
+        assert.isNotOk(config);
+      }, TypeError);
+    });
+
+    it('throws if interpolate invalid', function() {
+      assert.throws(() => new Kibbutz({ interpolate: 42 }), TypeError);
+      assert.throws(() => new Kibbutz({ interpolate: [] }), TypeError);
+      assert.throws(() => new Kibbutz({ interpolate: { env: 42 } }), TypeError);
+      assert.throws(() => new Kibbutz({ interpolate: { env: [] } }), TypeError);
+    });
+
+    it('resolves references when interpolate is true', function() {
+      const config = new Kibbutz({
+        value: { name: 'app', dir: '/srv/' + ref('name') },
+        interpolate: true,
+      });
+
+      assert.strictEqual(config.value.dir, '/srv/app');
+    });
+
+    it('resolves environment variables from interpolate.env', function() {
+      const config = new Kibbutz({
+        value: { dir: ref('env:DATA') + '/x' },
+        interpolate: { env: { DATA: '/data' } },
+      });
+
+      assert.strictEqual(config.value.dir, '/data/x');
+    });
+
+    it('throws on environment variables without interpolate.env', function() {
+      const value = { a: ref('env:HOME') };
+      assert.throws(() => new Kibbutz({ value, interpolate: true }), Kibbutz.errors.InterpolationError);
+      assert.throws(() => new Kibbutz({ value, interpolate: {} }), Kibbutz.errors.InterpolationError);
+    });
+
+    it('does not resolve references by default', function() {
+      const value = { a: 'x', b: ref('a') };
+      assert.deepEqual(new Kibbutz({ value }).value, value);
+      assert.deepEqual(new Kibbutz({ value, interpolate: false }).value, value);
+    });
+
+    it('throws if references are circular', function() {
+      assert.throws(() => new Kibbutz({
+        value: { a: ref('b'), b: ref('a') },
+        interpolate: true,
+      }), Kibbutz.errors.InterpolationError);
+    });
+
+    it('leaves references to paths yet to be loaded in place', async function() {
+      const config = new Kibbutz({
+        interpolate: true,
+        value: { url: ref('db.host') + ':5432', host: ref('db.host') },
+      });
+
+      assert.deepEqual(config.value, {
+        url: ref('db.host') + ':5432',
+        host: ref('db.host'),
+      });
+
+      const value = await config.loadAsync([{ db: { host: 'localhost' } }]);
+      assert.strictEqual(value.url, 'localhost:5432');
+      assert.strictEqual(value.host, 'localhost');
+    });
+
+    it('throws if secrets invalid', function() {
+      assert.throws(() => new Kibbutz({ secrets: 'db.password' }), TypeError);
+      assert.throws(() => new Kibbutz({ secrets: ['db.'] }), TypeError);
+    });
+
+    it('throws if decryptors invalid', function() {
+      assert.throws(() => new Kibbutz({ decryptors: 42 }), TypeError);
+      assert.throws(() => new Kibbutz({ decryptors: { v1: 42 } }), TypeError);
+    });
+
+    it('decrypts encrypted values', function() {
+      const config = new Kibbutz({
+        value: { db: { password: 'enc:v1:drowssap' } },
+        decryptors: { v1: x => x.split('').reverse().join('') },
+      });
+
+      assert.strictEqual(config.value.db.password, 'password');
+    });
+
+    it('does not decrypt without decryptors', function() {
+      const config = new Kibbutz({ value: { a: 'enc:v1:x' } });
+      assert.strictEqual(config.value.a, 'enc:v1:x');
+    });
+
+    it('throws if mergeRules has unknown rule', function() {
+      assert.throws(() => {
+        const config = new Kibbutz({ mergeRules: { foo: 'blah' } });
+        assert.isNotOk(config);
+      }, TypeError);
+    });
+
+    it('throws if profile invalid', function() {
+      assert.throws(() => new Kibbutz({ profile: '' }), TypeError);
+      assert.throws(() => new Kibbutz({ profile: 42 }), TypeError);
+      assert.throws(() => new Kibbutz({ profile: ['a', 42] }), TypeError);
+    });
+
+    it('applies the sections of the active profile', function() {
+      const config = new Kibbutz({
+        value: {
+          db: { host: 'localhost', port: 5432 },
+          $profiles: { production: { db: { host: 'db.example.com' } } },
+        },
+        profile: 'production',
+      });
+
+      assert.deepEqual(config.value, { db: { host: 'db.example.com', port: 5432 } });
+    });
+
+    it('applies no profile by default', function() {
+      const value = { a: 1, $profiles: { test: { a: 2 } } };
+      assert.strictEqual(new Kibbutz({ value }).value.a, 1);
+      assert.strictEqual(new Kibbutz({ value, profile: [] }).value.a, 1);
+    });
+
+    it('throws if profile sections invalid', function() {
+      assert.throws(() => new Kibbutz({ value: { $profiles: 42 } }), TypeError);
+    });
+  });
+
+
+  describe('#profiles', function() {
+    it('returns the active profiles', function() {
+      assert.deepEqual(new Kibbutz({ profile: 'a' }).profiles, ['a']);
+      assert.deepEqual(new Kibbutz({ profile: ['a', 'b'] }).profiles, ['a', 'b']);
+      assert.deepEqual(new Kibbutz({ profile: [] }).profiles, []);
+    });
+
+    it('returns a copy', function() {
+      const config = new Kibbutz({ profile: 'a' });
+      config.profiles.push('b');
+      assert.deepEqual(config.profiles, ['a']);
+    });
+  });
+
+
+  describe('#mergeStrategies', function() {
+    it('exposes built-in strategies', function() {
+      assert.isFunction(Kibbutz.mergeStrategies.firstInWins);
+      assert.isFunction(Kibbutz.mergeStrategies.lastInWins);
+      assert.isFunction(Kibbutz.mergeStrategies.deepReplace);
+      assert.isFunction(Kibbutz.mergeStrategies.override);
+    });
+
+    it('is frozen', function() {
+      assert.isFrozen(Kibbutz.mergeStrategies);
+    });
   });
 
 
@@ -96,6 +290,12 @@ describe('Kibbutz', function() {
       }, TypeError);
     });
 
+    it('accepts every known event', function() {
+      ['change', 'config', 'done', 'error'].forEach((eventName) => {
+        this.config.on(eventName, () => 42);
+      });
+    });
+
     it('throws if eventName an unknown event', function() {
       assert.throws(() => {
         this.config.on('blah', () => 42);
@@ -110,6 +310,69 @@ describe('Kibbutz', function() {
   });
 
 
+  describe('#errors', function() {
+    it('exposes error classes', function() {
+      assert.isFunction(Kibbutz.errors.KibbutzError);
+      assert.isFunction(Kibbutz.errors.ParseError);
+    });
+  });
+
+
+  describe('#AesGcmDecryptor', function() {
+    it('exposes AesGcmDecryptor class', function() {
+      const decryptor = new Kibbutz.AesGcmDecryptor({ key: Buffer.alloc(32) });
+      assert.isFunction(decryptor.decrypt);
+    });
+  });
+
+
+  describe('#ArgvProvider', function() {
+    it('exposes ArgvProvider class', function() {
+      const provider = new Kibbutz.ArgvProvider();
+      assert.isFunction(provider.load);
+    });
+  });
+
+
+  describe('#EnvProvider', function() {
+    it('exposes EnvProvider class', function() {
+      const provider = new Kibbutz.EnvProvider({ env: {} });
+      assert.isFunction(provider.load);
+    });
+
+    it('overrides later providers when listed first', async function() {
+      const config = new Kibbutz();
+      const env = new Kibbutz.EnvProvider({
+        prefix: 'APP',
+        env: { APP__DB__HOST: 'db.example.com' },
+      });
+
+      const value = await config.loadAsync([
+        env,
+        { db: { host: 'localhost', port: 5432 } },
+      ]);
+
+      assert.deepEqual(value, { db: { host: 'db.example.com', port: 5432 } });
+    });
+  });
+
+
+  describe('#formats', function() {
+    it('exposes format parsers', function() {
+      assert.deepEqual(Kibbutz.formats.parse('a = 1', 'toml'), { a: 1 });
+      assert.strictEqual(Kibbutz.formats.formatOf('a.yml'), 'yaml');
+    });
+  });
+
+
+  describe('#FileProvider', function() {
+    it('exposes FileProvider class', function() {
+      const provider = new Kibbutz.FileProvider();
+      assert.isFunction(provider.load);
+    });
+  });
+
+
   describe('#shared', function() {
     afterEach(function() {
       Kibbutz.shared = null;
@@ -129,455 +392,1920 @@ describe('Kibbutz', function() {
     it('gets null if not set', function() {
       assert.isNull(Kibbutz.shared);
     });
+
+    it('is registered under "default"', function() {
+      const config = new Kibbutz();
+      Kibbutz.shared = config;
+      assert.strictEqual(Kibbutz.get('default'), config);
+
+      Kibbutz.unregister('default');
+      assert.isNull(Kibbutz.shared);
+
+      Kibbutz.register('default', config);
+      assert.strictEqual(Kibbutz.shared, config);
+    });
   });
 
 
-  describe('#value', function() {
-    beforeEach(function(done) {
-      this.config = new Kibbutz({
-        value: { foo: 'bar' },
-      });
-      done();
+  describe('#register', function() {
+    afterEach(function() {
+      Kibbutz.unregister('a');
+      Kibbutz.unregister('b');
     });
 
-    it('returns object', function(done) {
-      assert.isObject(this.config.value);
-      done();
+    it('throws if name not a non-empty string', function() {
+      assert.throws(() => Kibbutz.register('', new Kibbutz()), TypeError);
+      assert.throws(() => Kibbutz.register(42, new Kibbutz()), TypeError);
     });
 
-    it('returns a frozen object', function(done) {
-      assert.isFrozen(this.config.value);
-      done();
+    it('throws if instance not a Kibbutz', function() {
+      assert.throws(() => Kibbutz.register('a', {}), TypeError);
+      assert.throws(() => Kibbutz.register('a', null), TypeError);
     });
-  });
 
+    it('registers isolated instances by name', function() {
+      const a = new Kibbutz();
+      const b = new Kibbutz();
 
-  describe('#load', () => {
-    beforeEach(function(done) {
-      this.provider = {
-        load(callback) {
-          process.nextTick(() => {
-            callback(undefined, { baz: 'qux' });
-          });
-        },
-      };
+      assert.strictEqual(Kibbutz.register('a', a), a);
+      Kibbutz.register('b', b);
 
-      this.errorProvider = {
-        load(callback) {
-          process.nextTick(() => {
-            callback({ message: 'Test' }, undefined);
-          });
-        },
-      };
+      assert.strictEqual(Kibbutz.get('a'), a);
+      assert.strictEqual(Kibbutz.get('b'), b);
+      assert.isNull(Kibbutz.shared);
+    });
 
-      this.config = new Kibbutz({
-        value: { foo: 'bar' },
-      });
-      done();
+    it('replaces registered instances', function() {
+      const config = new Kibbutz();
+      Kibbutz.register('a', new Kibbutz());
+      Kibbutz.register('a', config);
+      assert.strictEqual(Kibbutz.get('a'), config);
     });
+  });
 
-    it('throws if providers not array', function() {
-      assert.throws(() => {
-        this.config.load(42, () => 42);
-      }, TypeError);
+
+  describe('#get', function() {
+    it('throws if name not a non-empty string', function() {
+      assert.throws(() => Kibbutz.get(), TypeError);
     });
 
-    it('throws if callback not a function', function() {
-      assert.throws(() => {
-        this.config.load([
-          {
-            load() { return 'noice'; },
-          },
-        ], 'blah');
-      }, TypeError);
+    it('gets null if not registered', function() {
+      assert.isNull(Kibbutz.get('nope'));
     });
+  });
 
-    it('throws if provider is null', function() {
-      assert.throws(() => {
-        this.config.load(null, () => 42);
-      }, TypeError);
+
+  describe('#unregister', function() {
+    it('throws if name not a non-empty string', function() {
+      assert.throws(() => Kibbutz.unregister(''), TypeError);
     });
 
-    it('throws if provider is undefined', function() {
-      assert.throws(() => {
-        this.config.load(undefined, () => 42);
-      }, TypeError);
+    it('removes registered instances', function() {
+      Kibbutz.register('a', new Kibbutz());
+      assert.isTrue(Kibbutz.unregister('a'));
+      assert.isNull(Kibbutz.get('a'));
+      assert.isFalse(Kibbutz.unregister('a'));
     });
+  });
 
-    it('throws if provider does not have load method', function() {
-      assert.throws(() => {
-        this.config.load([{}], () => 42);
-      }, TypeError);
+
+  describe('static #ready', function() {
+    afterEach(function() {
+      Kibbutz.unregister('a');
+      Kibbutz.shared = null;
     });
 
-    it('calls each provider.load', function(done) {
-      let calledA = false;
-      let calledB = false;
+    it('throws if name not a non-empty string', function() {
+      assert.throws(() => Kibbutz.ready(42), TypeError);
+    });
 
-      const providerA = {
-        load(callback) {
-          calledA = true;
-          process.nextTick(() => {
-            callback(undefined, {});
-          });
-        },
-      };
+    it('waits for instance to be registered and loaded', async function() {
+      const ready = Kibbutz.ready('a');
+      const config = new Kibbutz();
 
-      const providerB = {
-        load(callback) {
-          calledB = true;
-          process.nextTick(() => {
-            callback(undefined, {});
-          });
-        },
-      };
+      Kibbutz.register('a', config);
+      await config.loadAsync([{ foo: 'bar' }]);
 
-      this.config.load([providerA, providerB], () => {
-        assert.isTrue(calledA);
-        assert.isTrue(calledB);
-        done();
-      });
+      assert.strictEqual(await ready, config);
     });
 
-    it('calls callback with errors', function(done) {
-      this.config.load([this.errorProvider], (err) => {
-        assert.isObject(err);
-        done();
-      });
+    it('resolves with loaded registered instances', async function() {
+      const config = new Kibbutz();
+      await config.loadAsync([{ foo: 'bar' }]);
+      Kibbutz.register('a', config);
+
+      assert.strictEqual(await Kibbutz.ready('a'), config);
     });
 
-    it('calls callback with config result', function(done) {
-      this.config.load([this.provider], (err, conf) => {
-        assert.isObject(conf);
-        done();
-      });
+    it('waits for the shared instance by default', async function() {
+      const ready = Kibbutz.ready();
+      const other = Kibbutz.ready();
+      const config = new Kibbutz();
+
+      Kibbutz.shared = config;
+      await config.loadAsync([{}]);
+
+      assert.strictEqual(await ready, config);
+      assert.strictEqual(await other, config);
     });
+  });
 
-    it('calls providers in order', function(done) {
-      const results = [];
 
-      const providerA = {
-        load(callback) {
-          results.push('a');
-          process.nextTick(() => {
-            callback(undefined, { keyA: 'a' });
-          });
-        },
-      };
+  describe('static #ready', function() {
+    it('waits for loads in progress', async function() {
+      const config = new Kibbutz();
+      let finish;
+      const provider = () => new Promise((resolve) => { finish = resolve; });
 
-      const providerB = {
-        load(callback) {
-          results.push('b');
-          process.nextTick(() => {
-            callback(undefined, { keyB: 'b' });
-          });
-        },
-      };
+      const first = config.loadAsync([{ a: 1 }]);
+      const second = config.loadAsync([provider]);
+      let resolved = false;
+      const ready = config.ready().then((x) => { resolved = true; return x; });
 
-      this.config.load([providerA, providerB], function() {
+      await first;
+      await new Promise(resolve => setImmediate(resolve));
+      assert.isFalse(resolved);
+
+      finish({ b: 2 });
+      await second;
+
+      assert.strictEqual(await ready, config);
+      assert.deepEqual(config.value, { a: 1, b: 2 });
+    });
+
+    it('rejects if a load fails', async function() {
+      const config = new Kibbutz();
+      const ready = config.ready();
+      const cause = new Error('Test');
+
+      await config.loadAsync([() => Promise.reject(cause)]).catch(() => {});
+
+      try {
+        await ready;
+      } catch (err) {
+        assert.instanceOf(err, Kibbutz.errors.ProviderError);
+        assert.strictEqual(err.cause, cause);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('resolves immediately once loaded', async function() {
+      const config = new Kibbutz();
+      await config.loadAsync([{}]);
+      assert.strictEqual(await config.ready(), config);
+    });
+  });
+
+
+  describe('#value', function() {
+    beforeEach(function(done) {
+      this.config = new Kibbutz({
+        value: { foo: 'bar' },
+      });
+      done();
+    });
+
+    it('returns object', function(done) {
+      assert.isObject(this.config.value);
+      done();
+    });
+
+    it('returns a frozen object', function(done) {
+      assert.isFrozen(this.config.value);
+      done();
+    });
+
+    it('returns a deep-frozen object', async function() {
+      await this.config.loadAsync([{ db: { hosts: ['a', 'b'], ssl: { ca: 'x' } } }]);
+      this.config.append({ list: [{ id: 1 }] });
+
+      const { db, list } = this.config.value;
+      assert.isFrozen(db);
+      assert.isFrozen(db.hosts);
+      assert.isFrozen(db.ssl);
+      assert.isFrozen(list);
+      assert.isFrozen(list[0]);
+      assert.throws(() => { db.ssl.ca = 'y'; }, TypeError);
+      assert.strictEqual(this.config.value.db.ssl.ca, 'x');
+    });
+
+    it('freezes Dates', function() {
+      const date = new Date(0);
+      const config = new Kibbutz({ value: { d: date } });
+
+      assert.throws(() => config.value.d.setTime(5), TypeError);
+      assert.strictEqual(config.value.d.getTime(), 0);
+      assert.throws(() => config.get('d').setTime(5), TypeError);
+      date.setTime(5);
+      assert.strictEqual(config.value.d.getTime(), 0);
+    });
+
+    it('does not freeze fragments', async function() {
+      const fragment = { db: { host: 'x' } };
+      const config = new Kibbutz({
+        value: { db: { host: 'a' } },
+        mergeStrategy: (current, incoming) => incoming,
+      });
+
+      await config.loadAsync([fragment]);
+      assert.strictEqual(config.value.db.host, 'x');
+      assert.isNotFrozen(fragment.db);
+    });
+
+    it('preserves null values', async function() {
+      const config = new Kibbutz({
+        value: { a: null, b: { c: null } },
+        schema: { properties: { d: { default: null } } },
+      });
+
+      await config.loadAsync([{ b: { c: 1 }, e: null }]);
+      config.append({ f: [null] });
+
+      assert.deepEqual(config.value, {
+        a: null,
+        b: { c: null },
+        d: null,
+        e: null,
+        f: [null],
+      });
+      assert.isNull(config.get('a'));
+    });
+
+    it('copies Buffers, RegExps, Maps, and Sets', async function() {
+      const fragment = {
+        buf: Buffer.from('abc'),
+        pattern: /^a/i,
+        hosts: new Map([['primary', { port: 1 }]]),
+        tags: new Set(['a']),
+      };
+
+      await this.config.loadAsync([fragment]);
+      this.config.append({
+        hosts: new Map([['primary', { ssl: true }], ['replica', { port: 2 }]]),
+        tags: new Set(['b']),
+      });
+
+      const { value } = this.config;
+      assert.notStrictEqual(value.buf, fragment.buf);
+      assert.strictEqual(value.buf.toString(), 'abc');
+      assert.notStrictEqual(value.pattern, fragment.pattern);
+      assert.isTrue(value.pattern.test('ABC'));
+      assert.deepEqual(Array.from(value.hosts), [
+        ['primary', { port: 1, ssl: true }],
+        ['replica', { port: 2 }],
+      ]);
+      assert.deepEqual(Array.from(value.tags), ['a', 'b']);
+      assert.deepEqual(Array.from(fragment.hosts.keys()), ['primary']);
+      assert.throws(() => value.hosts.set('x', {}), TypeError);
+    });
+
+    it('treats instances of custom classes as opaque values', async function() {
+      class Client {
+        constructor() { this.password = 'enc:v1:x'; }
+      }
+
+      const client = new Client();
+      const config = new Kibbutz({
+        value: { client },
+        decryptors: { v1: () => 'decrypted' },
+        interpolate: true,
+      });
+
+      await config.loadAsync([{ client: { host: 'a' } }], { mergeStrategy: 'lastInWins' });
+      assert.deepEqual(config.value.client, { host: 'a' });
+
+      config.append([{ client }], { mergeStrategy: 'lastInWins' });
+      assert.strictEqual(config.value.client, client);
+      assert.strictEqual(config.get('client'), client);
+      assert.strictEqual(client.password, 'enc:v1:x');
+      assert.isNotFrozen(client);
+      assert.isFalse(config.has('client.password'));
+    });
+
+    it('throws if guardMutations invalid', function() {
+      assert.throws(() => new Kibbutz({ guardMutations: 'yes' }), TypeError);
+    });
+
+    it('guards mutations when guardMutations is true', async function() {
+      const config = new Kibbutz({
+        value: { db: { host: 'a', hosts: ['b'] } },
+        guardMutations: true,
+      });
+
+      await config.loadAsync([{ db: { port: 1 } }]);
+
+      const { value } = config;
+      assert.strictEqual(value.db.host, 'a');
+      assert.strictEqual(value.db.port, 1);
+      assert.deepEqual(config.get('db'), { host: 'a', hosts: ['b'], port: 1 });
+      assert.throws(() => { value.db.host = 'x'; }, Kibbutz.errors.MutationError, '"db.host"');
+      assert.throws(() => value.db.hosts.push('c'), Kibbutz.errors.MutationError, '"db.hosts.1"');
+      assert.throws(() => { delete value.db; }, Kibbutz.errors.MutationError, '"db"');
+      assert.strictEqual(config.value.db.host, 'a');
+    });
+
+    it('raises change events when guardMutations is true', function() {
+      const config = new Kibbutz({ value: { a: { b: 1 } }, guardMutations: true });
+      const calls = [];
+
+      config.on('change', (value, previous, changes) => calls.push(changes));
+      config.append({ a: { c: 2 } });
+
+      assert.deepEqual(calls, [{ added: ['a.c'], removed: [], modified: [] }]);
+      assert.deepEqual(config.toJSON(), { a: { b: 1, c: 2 } });
+    });
+  });
+
+
+  describe('#get', function() {
+    beforeEach(function() {
+      this.config = new Kibbutz({
+        value: {
+          db: { primary: { host: 'localhost' }, replicas: ['a', 'b'] },
+          debug: false,
+        },
+      });
+    });
+
+    it('gets value at dotted path', function() {
+      assert.strictEqual(this.config.get('db.primary.host'), 'localhost');
+      assert.strictEqual(this.config.get('db.replicas.1'), 'b');
+      assert.isFalse(this.config.get('debug'));
+    });
+
+    it('gets value at array path', function() {
+      assert.strictEqual(this.config.get(['db', 'replicas', 0]), 'a');
+    });
+
+    it('returns default value if path missing', function() {
+      assert.isUndefined(this.config.get('db.primary.port'));
+      assert.strictEqual(this.config.get('db.primary.port', 80), 80);
+      assert.strictEqual(this.config.get('db.primary.host.length', 1), 1);
+      assert.strictEqual(this.config.get('toString', 'x'), 'x');
+    });
+
+    it('returns deep-frozen copies of objects', function() {
+      const db = this.config.get('db');
+      assert.deepEqual(db, this.config.value.db);
+      assert.notStrictEqual(db, this.config.value.db);
+      assert.isFrozen(db);
+      assert.isFrozen(db.primary);
+      assert.isFrozen(db.replicas);
+    });
+
+    it('throws if path invalid', function() {
+      assert.throws(() => this.config.get(), TypeError);
+      assert.throws(() => this.config.get(''), TypeError);
+      assert.throws(() => this.config.get('db..host'), TypeError);
+      assert.throws(() => this.config.get([]), TypeError);
+      assert.throws(() => this.config.get(['db', 1.5]), TypeError);
+      assert.throws(() => this.config.get(['db', '']), TypeError);
+    });
+  });
+
+
+  describe('#explain', function() {
+    beforeEach(async function() {
+      class Remote {
+        constructor() { this.value = { cache: { ttl: 60, size: 1 } }; }
+        load() { return this.value; }
+      }
+
+      this.config = new Kibbutz({
+        value: { cache: { ttl: 30 } },
+        schema: { properties: { level: { default: 'info' } } },
+      });
+
+      await this.config.loadAsync([new Remote(), { db: { port: 1 } }]);
+      this.config.append({ cache: { ttl: 5 } });
+      this.config.append([{ cache: { ttl: 7 } }], {
+        mergeStrategy: 'lastInWins',
+      });
+    });
+
+    it('explains winning source and shadowed values', function() {
+      assert.deepEqual(this.config.explain('cache.ttl'), {
+        value: 7,
+        source: 'append#2',
+        shadowed: [
+          { source: 'constructor', value: 30 },
+          { source: 'Remote', value: 60 },
+          { source: 'append#1', value: 5 },
+        ],
+      });
+    });
+
+    it('names the source of profile values', async function() {
+      const config = new Kibbutz({ value: { a: 1 }, profile: 'production' });
+
+      await config.loadAsync([{ a: 2, $profiles: { production: { a: 3 } } }], {
+        mergeStrategy: 'lastInWins',
+      });
+
+      assert.deepEqual(config.explain('a'), {
+        value: 3,
+        source: 'provider[0]',
+        shadowed: [{ source: 'constructor', value: 1 }],
+      });
+    });
+
+    it('redacts secret values', async function() {
+      const config = new Kibbutz({
+        value: { db: { password: 'a' } },
+        secrets: ['db.password'],
+      });
+
+      config.append({ db: { password: 'b' } });
+
+      assert.deepEqual(config.explain('db.password'), {
+        value: '[REDACTED]',
+        source: 'constructor',
+        shadowed: [{ source: 'append#1', value: '[REDACTED]' }],
+      });
+      assert.deepEqual(config.explain('db').value, { password: '[REDACTED]' });
+    });
+
+    it('explains new values within change listeners', async function() {
+      const config = new Kibbutz({ value: { a: 1 } });
+      const explained = [];
+
+      config.on('change', () => explained.push(config.explain('b')));
+      await config.loadAsync([{ name: 'p', load: () => ({ b: 2 }) }]);
+      config.append([{ b: 3 }], { mergeStrategy: 'lastInWins' });
+
+      assert.deepEqual(explained, [
+        { value: 2, source: 'p', shadowed: [] },
+        { value: 3, source: 'append#1', shadowed: [{ source: 'p', value: 2 }] },
+      ]);
+    });
+
+    it('explains values from constructor and providers', function() {
+      assert.strictEqual(this.config.explain('cache.size').source, 'Remote');
+      assert.strictEqual(this.config.explain(['db']).source, 'provider[1]');
+    });
+
+    it('explains schema defaults', function() {
+      assert.deepEqual(this.config.explain('level'), {
+        value: 'info',
+        source: 'schema',
+        shadowed: [],
+      });
+    });
+
+    it('explains missing paths', function() {
+      assert.deepEqual(this.config.explain('nope'), {
+        value: undefined,
+        source: undefined,
+        shadowed: [],
+      });
+    });
+
+    it('returns deep-frozen values', function() {
+      const result = this.config.explain('cache');
+      assert.isFrozen(result.value);
+      assert.isFrozen(result.shadowed[0].value);
+    });
+
+    it('throws if path invalid', function() {
+      assert.throws(() => this.config.explain(''), TypeError);
+    });
+  });
+
+
+  describe('#sources', function() {
+    it('maps each value to its source', async function() {
+      const config = new Kibbutz({
+        value: { cache: { ttl: 30 } },
+        schema: {
+          properties: {
+            level: { default: 'info' },
+            hosts: { type: 'object' },
+          },
+        },
+      });
+
+      await config.loadAsync([
+        function remote() { return { cache: { size: 1 }, hosts: '{"a":1}' }; },
+      ]);
+      config.append({ debug: true });
+
+      assert.deepEqual(config.sources(), {
+        'cache.ttl': 'constructor',
+        'cache.size': 'remote',
+        'hosts.a': 'remote',
+        debug: 'append#1',
+        level: 'schema',
+      });
+    });
+
+    it('returns empty object if no values', function() {
+      assert.deepEqual(new Kibbutz().sources(), {});
+    });
+
+    it('maps new values within change listeners', async function() {
+      const config = new Kibbutz({ value: { a: 1 } });
+      let sources;
+
+      config.on('change', () => { sources = config.sources(); });
+      await config.loadAsync([{ name: 'p', load: () => ({ b: 2 }) }]);
+
+      assert.deepEqual(sources, { a: 'constructor', b: 'p' });
+    });
+
+    it('ignores layers which fail to load', async function() {
+      const config = new Kibbutz({
+        value: { a: 1 },
+        schema: { properties: { b: { type: 'number' } } },
+      });
+
+      try {
+        await config.loadAsync([{ b: 'x' }]);
+      } catch (err) {
+        assert.instanceOf(err, Kibbutz.errors.ValidationError);
+        assert.deepEqual(config.sources(), { a: 'constructor' });
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('names the sources of keys containing dots', function() {
+      const config = new Kibbutz({ value: { 'a.b': 1, c: { 'd.e': 1 } } });
+      config.append({ c: { d: 2 } });
+
+      assert.deepEqual(config.sources(), {
+        'a.b': 'constructor',
+        'c.d.e': 'constructor',
+        'c.d': 'append#1',
+      });
+    });
+
+    it('tracks reloaded fragments', async function() {
+      const config = new Kibbutz();
+      const provider = {
+        name: 'watched',
+        value: { a: 1 },
+        load() { return this.value; },
+        watch(notify) { this.notify = notify; },
+      };
+
+      await config.loadAsync([{ a: 0, b: 0 }, provider], {
+        mergeStrategy: 'lastInWins',
+      });
+
+      const changed = new Promise((resolve) => {
+        config.on('change', resolve);
+      });
+      provider.value = { c: 1 };
+      provider.notify();
+      await changed;
+
+      assert.deepEqual(config.sources(), {
+        a: 'provider[0]',
+        b: 'provider[0]',
+        c: 'watched',
+      });
+    });
+  });
+
+
+  describe('#toJSON', function() {
+    beforeEach(function() {
+      this.config = new Kibbutz({
+        value: {
+          db: { host: 'localhost', password: 'a' },
+          api: { token: 'b' },
+          keys: ['c'],
+        },
+        secrets: ['*.token', 'keys'],
+        schema: {
+          properties: {
+            db: { properties: { password: { secret: true } } },
+          },
+        },
+      });
+    });
+
+    it('redacts secret values', function() {
+      assert.deepEqual(this.config.toJSON(), {
+        db: { host: 'localhost', password: '[REDACTED]' },
+        api: { token: '[REDACTED]' },
+        keys: '[REDACTED]',
+      });
+    });
+
+    it('redacts secret values when stringified', function() {
+      const json = JSON.stringify(this.config);
+      assert.include(json, '"password":"[REDACTED]"');
+      assert.notInclude(json, '"a"');
+    });
+
+    it('redacts secret values when inspected', function() {
+      const str = inspect(this.config);
+      assert.include(str, 'localhost');
+      assert.include(str, '[REDACTED]');
+      assert.notInclude(str, '\'b\'');
+    });
+
+    it('does not redact value or get()', function() {
+      assert.strictEqual(this.config.value.db.password, 'a');
+      assert.strictEqual(this.config.get('api.token'), 'b');
+      assert.deepEqual(this.config.get('keys'), ['c']);
+    });
+
+    it('redacts secret values when value is stringified or inspected', function() {
+      const { value } = this.config;
+      const expected = {
+        db: { host: 'localhost', password: '[REDACTED]' },
+        api: { token: '[REDACTED]' },
+        keys: '[REDACTED]',
+      };
+
+      assert.deepEqual(JSON.parse(JSON.stringify(value)), expected);
+      assert.strictEqual(inspect(value), inspect(expected));
+      assert.deepEqual(Object.keys(value), ['db', 'api', 'keys']);
+    });
+
+    it('redacts secret values of values given to listeners', async function() {
+      const config = new Kibbutz({ value: { a: 'x' }, secrets: ['a', 'b'] });
+      const logged = [];
+
+      config.on('change', (value, previous) => {
+        logged.push(JSON.stringify(value), JSON.stringify(previous));
+      });
+      config.on('done', value => logged.push(inspect(value)));
+      await config.loadAsync([{ b: 'y', c: 'z' }]);
+
+      assert.deepEqual(logged, [
+        '{"a":"[REDACTED]","b":"[REDACTED]","c":"z"}',
+        '{"a":"[REDACTED]"}',
+        '{ a: \'[REDACTED]\', b: \'[REDACTED]\', c: \'z\' }',
+      ]);
+    });
+
+    it('redacts secret values of guarded values when stringified', function() {
+      const config = new Kibbutz({
+        value: { a: 'x', b: 'y' },
+        secrets: ['a'],
+        guardMutations: true,
+      });
+
+      assert.strictEqual(JSON.stringify(config.value), '{"a":"[REDACTED]","b":"y"}');
+      assert.strictEqual(config.value.a, 'x');
+    });
+
+    it('returns value as-is without secrets', function() {
+      const config = new Kibbutz({ value: { a: 1 } });
+      assert.deepEqual(config.toJSON(), { a: 1 });
+      assert.notStrictEqual(config.toJSON(), config.value);
+    });
+
+    it('redacts values interpolated from decrypted values', function() {
+      const config = new Kibbutz({
+        interpolate: true,
+        decryptors: { v1: x => x.split('').reverse().join('') },
+        value: {
+          token: 'enc:v1:terc3s',
+          header: 'Bearer ' + ref('token'),
+          copy: ref('token'),
+          chain: ref('copy'),
+        },
+      });
+
+      assert.strictEqual(config.value.header, 'Bearer s3cret');
+      assert.deepEqual(config.toJSON(), {
+        token: '[REDACTED]',
+        header: '[REDACTED]',
+        copy: '[REDACTED]',
+        chain: '[REDACTED]',
+      });
+      assert.notInclude(JSON.stringify(config), 's3cret');
+      assert.notInclude(inspect(config), 's3cret');
+      assert.strictEqual(config.explain('copy').value, '[REDACTED]');
+    });
+
+    it('redacts values interpolated from secret values', function() {
+      const config = new Kibbutz({
+        interpolate: true,
+        secrets: ['db.password'],
+        value: {
+          db: { user: 'u', password: 'p4ss' },
+          url: 'pg://' + ref('db.user') + ':' + ref('db.password') + '@h',
+          user: ref('db.user'),
+          db2: ref('db'),
+        },
+      });
+
+      assert.deepEqual(config.toJSON(), {
+        db: { user: 'u', password: '[REDACTED]' },
+        url: '[REDACTED]',
+        user: 'u',
+        db2: { user: 'u', password: '[REDACTED]' },
+      });
+      assert.notInclude(JSON.stringify(config), 'p4ss');
+    });
+  });
+
+
+  describe('#has', function() {
+    beforeEach(function() {
+      this.config = new Kibbutz({
+        value: { db: { host: 'localhost' }, debug: false },
+      });
+    });
+
+    it('returns true if path exists', function() {
+      assert.isTrue(this.config.has('db.host'));
+      assert.isTrue(this.config.has(['db']));
+      assert.isTrue(this.config.has('debug'));
+    });
+
+    it('returns false if path missing', function() {
+      assert.isFalse(this.config.has('db.port'));
+      assert.isFalse(this.config.has('cache.host'));
+    });
+
+    it('throws if path invalid', function() {
+      assert.throws(() => this.config.has(42), TypeError);
+    });
+  });
+
+
+  describe('#require', function() {
+    beforeEach(function() {
+      this.config = new Kibbutz({
+        value: { db: { primary: { host: 'localhost' } } },
+      });
+    });
+
+    it('gets value at path', function() {
+      assert.strictEqual(this.config.require('db.primary.host'), 'localhost');
+    });
+
+    it('returns deep-frozen copies of objects', function() {
+      const primary = this.config.require(['db', 'primary']);
+      assert.deepEqual(primary, { host: 'localhost' });
+      assert.isFrozen(primary);
+    });
+
+    it('throws MissingPathError naming path if missing', function() {
+      assert.throws(() => {
+        this.config.require(['db', 'replica', 'host']);
+      }, Kibbutz.errors.MissingPathError, '"db.replica.host"');
+    });
+
+    it('throws if path invalid', function() {
+      assert.throws(() => this.config.require('.'), TypeError);
+    });
+  });
+
+
+  describe('#load', () => {
+    beforeEach(function(done) {
+      this.provider = {
+        load(callback) {
+          process.nextTick(() => {
+            callback(undefined, { baz: 'qux' });
+          });
+        },
+      };
+
+      this.errorProvider = {
+        load(callback) {
+          process.nextTick(() => {
+            callback({ message: 'Test' }, undefined);
+          });
+        },
+      };
+
+      this.config = new Kibbutz({
+        value: { foo: 'bar' },
+      });
+      done();
+    });
+
+    it('throws if providers not array', function() {
+      assert.throws(() => {
+        this.config.load(42, () => 42);
+      }, TypeError);
+    });
+
+    it('applies profile sections before merging each fragment', async function() {
+      const config = new Kibbutz({ profile: ['production', 'eu'] });
+
+      await config.loadAsync([
+        {
+          a: 1,
+          b: 1,
+          $profiles: { production: { a: 2, b: 2 }, eu: { b: 3 } },
+        },
+        { c: 1, $profiles: { production: { a: 4, c: 2 } } },
+      ]);
+
+      assert.deepEqual(config.value, { a: 2, b: 3, c: 2 });
+    });
+
+    it('fails if profile sections invalid', async function() {
+      try {
+        await this.config.loadAsync([{ $profiles: { test: 42 } }]);
+      } catch (err) {
+        assert.instanceOf(err, TypeError);
+        assert.deepEqual(this.config.value, { foo: 'bar' });
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('throws if callback not a function', function() {
+      assert.throws(() => {
+        this.config.load([
+          {
+            load() { return 'noice'; },
+          },
+        ], 'blah');
+      }, TypeError);
+    });
+
+    it('throws if provider is null', function() {
+      assert.throws(() => {
+        this.config.load(null, () => 42);
+      }, TypeError);
+    });
+
+    it('throws if provider is undefined', function() {
+      assert.throws(() => {
+        this.config.load(undefined, () => 42);
+      }, TypeError);
+    });
+
+    it('throws if provider not a function or object', function() {
+      assert.throws(() => {
+        this.config.load([42], () => 42);
+      }, TypeError);
+    });
+
+    it('throws if provider an array', function() {
+      assert.throws(() => {
+        this.config.load([[]], () => 42);
+      }, TypeError);
+    });
+
+    it('loads providers whose load returns a Promise', function(done) {
+      const p = {
+        load() { return Promise.resolve({ baz: 'qux' }); },
+      };
+
+      this.config.load([p], (err, conf) => {
+        assert.strictEqual(conf.baz, 'qux');
+        done();
+      });
+    });
+
+    it('loads async function providers', function(done) {
+      const p = async () => ({ baz: 'qux' });
+
+      this.config.load([p], (err, conf) => {
+        assert.strictEqual(conf.baz, 'qux');
+        done();
+      });
+    });
+
+    it('loads static object providers', function(done) {
+      this.config.load([{ baz: 'qux' }], (err, conf) => {
+        assert.strictEqual(conf.baz, 'qux');
+        done();
+      });
+    });
+
+    it('calls callback with error when Promise rejects', function(done) {
+      const error = new Error('Test');
+      const p = async () => { throw error; };
+
+      this.config.load([p], (err) => {
+        assert.instanceOf(err, Kibbutz.errors.ProviderError);
+        assert.strictEqual(err.provider, 'p');
+        assert.strictEqual(err.cause, error);
+        done();
+      });
+    });
+
+    it('calls callback with error when provider throws', function(done) {
+      const error = new Error('Test');
+      const p = {
+        load() { throw error; },
+      };
+
+      this.config.load([{}, p], (err) => {
+        assert.instanceOf(err, Kibbutz.errors.ProviderError);
+        assert.strictEqual(err.provider, 'provider[1]');
+        assert.strictEqual(err.cause, error);
+        done();
+      });
+    });
+
+    it('calls each provider.load', function(done) {
+      let calledA = false;
+      let calledB = false;
+
+      const providerA = {
+        load(callback) {
+          calledA = true;
+          process.nextTick(() => {
+            callback(undefined, {});
+          });
+        },
+      };
+
+      const providerB = {
+        load(callback) {
+          calledB = true;
+          process.nextTick(() => {
+            callback(undefined, {});
+          });
+        },
+      };
+
+      this.config.load([providerA, providerB], () => {
+        assert.isTrue(calledA);
+        assert.isTrue(calledB);
+        done();
+      });
+    });
+
+    it('calls callback with errors', function(done) {
+      this.config.load([this.errorProvider], (err) => {
+        assert.instanceOf(err, Kibbutz.errors.ProviderError);
+        assert.include(err.message, 'Test');
+        done();
+      });
+    });
+
+    it('calls callback with config result', function(done) {
+      this.config.load([this.provider], (err, conf) => {
+        assert.isObject(conf);
+        done();
+      });
+    });
+
+    it('calls providers in order', function(done) {
+      const results = [];
+
+      const providerA = {
+        load(callback) {
+          results.push('a');
+          process.nextTick(() => {
+            callback(undefined, { keyA: 'a' });
+          });
+        },
+      };
+
+      const providerB = {
+        load(callback) {
+          results.push('b');
+          process.nextTick(() => {
+            callback(undefined, { keyB: 'b' });
+          });
+        },
+      };
+
+      this.config.load([providerA, providerB], function() {
         assert.strictEqual(results[0], 'a');
         assert.strictEqual(results[1], 'b');
         done();
       });
     });
 
-    it('emits "config" when configuration loaded', function(done) {
-      let emitted = false;
-      this.config.on('config', () => {
-        emitted = true;
+    it('emits "config" when configuration loaded', function(done) {
+      let emitted = false;
+      this.config.on('config', () => {
+        emitted = true;
+      });
+
+      this.config.load([this.provider], () => {
+        assert.isTrue(emitted);
+        done();
+      });
+    });
+
+    it('passes provider name and fragment to config listeners', function(done) {
+      const calls = [];
+      this.config.on('config', (...args) => calls.push(args));
+
+      const named = { name: 'named', load: () => ({ a: 1 }) };
+
+      this.config.load([this.provider, named], () => {
+        assert.deepEqual(calls, [
+          ['provider[0]', { baz: 'qux' }],
+          ['named', { a: 1 }],
+        ]);
+        done();
+      });
+    });
+
+    it('emits "done" when all config loaded', function(done) {
+      let emitted = false;
+      this.config.on('done', () => {
+        emitted = true;
+      });
+
+      this.config.load([this.provider], () => {
+        assert.isTrue(emitted);
+        done();
+      });
+    });
+
+    it('should pass full config value to done listeners', function(done) {
+      this.config.on('done', (conf) => {
+        assert.deepEqual(conf, {
+          foo: 'bar',
+          baz: 'qux',
+        });
+      });
+
+      this.config.load([this.provider], () => {
+        done();
+      });
+    });
+
+    it('throws if eventName not string', function() {
+      assert.throws(() => {
+        this.config.on(42, () => { });
+      }, TypeError);
+    });
+
+    it('does not overwrite string-valued keys', function(done) {
+      const p = {
+        load(callback) {
+          process.nextTick(() => {
+            callback(undefined, { foo: 'qux' });
+          });
+        },
+      };
+
+      const foo = 'bar';
+      const c = new Kibbutz({
+        value: { foo },
+      });
+
+      c.load([p], (err, conf) => {
+        assert.strictEqual(conf.foo, foo);
+        done();
+      });
+    });
+
+    it('does not overwrite number-valued keys', function(done) {
+      const p = {
+        load(callback) {
+          process.nextTick(() => {
+            callback(undefined, { foo: 24 });
+          });
+        },
+      };
+
+      const foo = 42;
+      const c = new Kibbutz({
+        value: { foo },
+      });
+
+      c.load([p], (err, conf) => {
+        assert.strictEqual(conf.foo, foo);
+        done();
+      });
+    });
+
+    it('does not overwrite date-valued keys', function(done) {
+      const p = {
+        load(callback) {
+          process.nextTick(() => {
+            callback(undefined, { foo: new Date(1991, 9, 24) });
+            // oh well whatever nevermind
+          });
+        },
+      };
+
+      const foo = new Date(1978, 6, 20);
+      const c = new Kibbutz({
+        value: { foo },
+      });
+
+      c.load([p], (err, conf) => {
+        assert.instanceOf(conf.foo, Date);
+        assert.strictEqual(conf.foo.getTime(), foo.getTime());
+        done();
+      });
+    });
+
+    it('does not overwrite function-valued keys', function(done) {
+      const p = {
+        load(callback) {
+          process.nextTick(() => {
+            callback(undefined, { foo: 42 });
+          });
+        },
+      };
+
+      const foo = function() { return 42; };
+      const c = new Kibbutz({
+        value: { foo },
+      });
+
+      c.load([p], (err, conf) => {
+        assert.isFunction(conf.foo);
+        done();
+      });
+    });
+
+    it('does not overwrite Boolean-valued keys', function(done) {
+      const p = {
+        load(callback) {
+          process.nextTick(() => {
+            callback(undefined, { foo: false });
+          });
+        },
+      };
+
+      const foo = true;
+      const c = new Kibbutz({
+        value: { foo },
+      });
+
+      c.load([p], (err, conf) => {
+        assert.strictEqual(conf.foo, foo);
+        done();
+      });
+    });
+
+    it('merges into array-valued keys', function(done) {
+      const alsoFoo = ['c'];
+      const p = {
+        load(callback) {
+          process.nextTick(() => {
+            callback(undefined, { foo: alsoFoo });
+          });
+        },
+      };
+
+      const foo = ['a', 'b'];
+      const c = new Kibbutz({
+        value: { foo },
+      });
+
+      c.load([p], (err, conf) => {
+        assert.strictEqual(conf.foo[0], foo[0]);
+        assert.strictEqual(conf.foo[1], foo[1]);
+        assert.strictEqual(conf.foo[2], alsoFoo[0]);
+        done();
+      });
+    });
+
+    it('merges into object-valued keys', function(done) {
+      const alsoFoo = { qux: 'quux' };
+      const p = {
+        load(callback) {
+          process.nextTick(() => {
+            callback(undefined, {
+              foo: alsoFoo,
+            });
+          });
+        },
+      };
+
+      const foo = { bar: 'baz' };
+      const c = new Kibbutz({
+        value: { foo },
+      });
+
+      c.load([p], (err, conf) => {
+        assert.strictEqual(conf.foo.bar, foo.bar);
+        assert.strictEqual(conf.foo.qux, alsoFoo.qux);
+        done();
+      });
+    });
+
+    it('merges multiple object-valued keys', function(done) {
+      const b = { qux: { quux: 'corge' } };
+      const p = {
+        load(callback) {
+          process.nextTick(() => {
+            callback(undefined, b);
+          });
+        },
+      };
+
+      const a = { foo: { bar: 'baz' } };
+      const c = new Kibbutz({
+        value: a,
+      });
+
+      c.load([p], (err, conf) => {
+        assert.strictEqual(conf.foo.bar, a.foo.bar);
+        assert.strictEqual(conf.qux.quux, b.qux.quux);
+        done();
+      });
+    });
+
+    it('gives back Date if first loaded object is a Date', function(done) {
+      const b = { foo: 'bar' };
+      const p = {
+        load(callback) {
+          process.nextTick(() => {
+            callback(undefined, b);
+          });
+        },
+      };
+
+      const a = new Date(267148800000);
+      const c = new Kibbutz({
+        value: a,
+      });
+
+      c.load([p], (err, conf) => {
+        assert.instanceOf(conf, Date);
+        assert.strictEqual(conf.getTime(), a.getTime());
+        done();
+      });
+    });
+
+    it('sets value property with fully merged config', function(done) {
+      this.config.load([this.provider], () => {
+        assert.strictEqual(this.config.value.foo, 'bar');
+        assert.strictEqual(this.config.value.baz, 'qux');
+        done();
+      });
+    });
+
+    it('calls callback with undefined for error on success', function(done) {
+      this.config.load([this.provider], (err) => {
+        assert.strictEqual(err, undefined);
+        done();
+      });
+    });
+
+    it('should call callback with error when encountered', function(done) {
+      this.config.load([this.errorProvider], (err) => {
+        assert.isOk(err);
+        done();
+      });
+    });
+
+    it('throws if options not an object', function() {
+      assert.throws(() => {
+        this.config.load([this.provider], 42, () => 42);
+      }, TypeError);
+    });
+
+    it('throws if options have unknown keys', function() {
+      assert.throws(() => {
+        this.config.load([this.provider], { concurency: 2 }, () => 42);
+      }, TypeError, 'unknown key: concurency');
+    });
+
+    it('throws if options mergeStrategy unknown', function() {
+      assert.throws(() => {
+        this.config.load([this.provider], { mergeStrategy: 'blah' }, () => 42);
+      }, TypeError);
+    });
+
+    it('uses mergeStrategy given to constructor', function(done) {
+      const c = new Kibbutz({
+        value: { foo: 'bar' },
+        mergeStrategy: 'lastInWins',
+      });
+
+      c.load([{
+        load(callback) { callback(undefined, { foo: 'baz' }); },
+      }], (err, conf) => {
+        assert.strictEqual(conf.foo, 'baz');
+        done();
+      });
+    });
+
+    it('uses mergeStrategy given in options', function(done) {
+      const p = {
+        load(callback) { callback(undefined, { foo: 'baz' }); },
+      };
+
+      this.config.load([p], { mergeStrategy: 'lastInWins' }, (err, conf) => {
+        assert.strictEqual(conf.foo, 'baz');
+        done();
+      });
+    });
+
+    it('uses custom mergeStrategy function', function(done) {
+      const p = {
+        load(callback) { callback(undefined, { foo: 'baz' }); },
+      };
+      const mergeStrategy = (current, incoming) => current + incoming;
+
+      this.config.load([p], { mergeStrategy }, (err, conf) => {
+        assert.strictEqual(conf.foo, 'barbaz');
+        done();
+      });
+    });
+
+    it('uses mergeRules given to constructor', function(done) {
+      const c = new Kibbutz({
+        value: { hosts: ['a', 'b'] },
+        mergeRules: { hosts: 'union' },
+      });
+
+      c.load([{
+        load(callback) { callback(undefined, { hosts: ['b', 'c'] }); },
+      }], (err, conf) => {
+        assert.deepEqual(conf.hosts, ['a', 'b', 'c']);
+        done();
+      });
+    });
+
+    it('uses mergeRules given in options', function(done) {
+      const c = new Kibbutz({
+        value: { hosts: ['a', 'b'], origins: ['x'] },
+        mergeRules: { hosts: 'union', origins: 'union' },
+      });
+      const p = {
+        load(callback) {
+          callback(undefined, { hosts: ['b', 'c'], origins: ['x'] });
+        },
+      };
+
+      c.load([p], { mergeRules: { hosts: 'replace' } }, (err, conf) => {
+        assert.deepEqual(conf.hosts, ['b', 'c']);
+        assert.deepEqual(conf.origins, ['x']);
+        done();
+      });
+    });
+
+    it('throws if options mergeRules invalid', function() {
+      assert.throws(() => {
+        this.config.load([this.provider], { mergeRules: 42 }, () => 42);
+      }, TypeError);
+    });
+
+    it('throws if concurrency not a positive integer', function() {
+      assert.throws(() => {
+        this.config.load([this.provider], { concurrency: 0 }, () => 42);
+      }, TypeError);
+      assert.throws(() => {
+        this.config.load([this.provider], { concurrency: 1.5 }, () => 42);
+      }, TypeError);
+    });
+
+    it('throws if any provider invalid before loading', function() {
+      let called = false;
+      const p = {
+        load(callback) {
+          called = true;
+          callback(undefined, {});
+        },
+      };
+
+      assert.throws(() => {
+        this.config.load([p, 42], () => 42);
+      }, TypeError);
+      assert.isFalse(called);
+    });
+
+    it('calls callback when providers empty', function(done) {
+      this.config.load([], (err, conf) => {
+        assert.deepEqual(conf, { foo: 'bar' });
+        done();
+      });
+    });
+
+    it('runs providers concurrently when concurrency given', function(done) {
+      const started = [];
+      const delayed = (key, ms) => ({
+        load(callback) {
+          started.push(key);
+          setTimeout(() => {
+            callback(undefined, { key, [key]: true });
+          }, ms);
+        },
       });
 
-      this.config.load([this.provider], () => {
-        assert.isTrue(emitted);
+      const providers = [delayed('a', 20), delayed('b', 1), delayed('c', 5)];
+
+      this.config.load(providers, { concurrency: Infinity }, (err, conf) => {
+        assert.deepEqual(started, ['a', 'b', 'c']);
+        assert.strictEqual(conf.key, 'a');
+        assert.isTrue(conf.a && conf.b && conf.c);
         done();
       });
+      assert.deepEqual(started, ['a', 'b', 'c']);
     });
 
-    it('passes load fragment to config listeners', function(done) {
-      this.config.on('config', (fragment) => {
-        assert.deepEqual(fragment, { baz: 'qux' });
-      });
+    it('limits providers running at once to concurrency', function(done) {
+      let running = 0;
+      let max = 0;
+      const p = {
+        load(callback) {
+          running++;
+          max = Math.max(max, running);
+          setTimeout(() => {
+            running--;
+            callback(undefined, {});
+          }, 1);
+        },
+      };
 
-      this.config.load([this.provider], () => {
+      this.config.load([p, p, p, p, p], { concurrency: 2 }, () => {
+        assert.strictEqual(max, 2);
         done();
       });
     });
 
-    it('emits "done" when all config loaded', function(done) {
-      let emitted = false;
-      this.config.on('done', () => {
-        emitted = true;
+    it('emits "config" in provider order when concurrent', function(done) {
+      const fragments = [];
+      const delayed = (key, ms) => ({
+        load(callback) {
+          setTimeout(() => { callback(undefined, { key }); }, ms);
+        },
       });
 
-      this.config.load([this.provider], () => {
-        assert.isTrue(emitted);
-        done();
+      this.config.on('config', (name, fragment) => {
+        fragments.push(fragment.key);
       });
-    });
 
-    it('should pass full config value to done listeners', function(done) {
-      this.config.on('done', (conf) => {
-        assert.deepEqual(conf, {
-          foo: 'bar',
-          baz: 'qux',
-        });
-      });
+      const providers = [delayed('a', 10), delayed('b', 1), delayed('c', 5)];
 
-      this.config.load([this.provider], () => {
+      this.config.load(providers, { concurrency: 3 }, () => {
+        assert.deepEqual(fragments, ['a', 'b', 'c']);
         done();
       });
     });
 
-    it('throws if eventName not string', function() {
-      assert.throws(() => {
-        this.config.on(42, () => { });
-      }, TypeError);
+    it('calls callback once with error when concurrent', function(done) {
+      let calls = 0;
+      const failing = {
+        load(callback) {
+          setTimeout(() => { callback(new Error('Test')); }, 1);
+        },
+      };
+
+      this.config.load([failing, failing], { concurrency: 2 }, (err) => {
+        calls++;
+        assert.instanceOf(err, Error);
+        setTimeout(() => {
+          assert.strictEqual(calls, 1);
+          done();
+        }, 5);
+      });
     });
 
-    it('does not overwrite string-valued keys', function(done) {
+    it('ignores providers finishing after failure', function(done) {
       const p = {
         load(callback) {
-          process.nextTick(() => {
-            callback(undefined, { foo: 'qux' });
-          });
+          setTimeout(() => { callback(undefined, { baz: 'corge' }); }, 5);
         },
       };
 
-      const foo = 'bar';
-      const c = new Kibbutz({
-        value: { foo },
+      this.config.load([p, this.errorProvider], { concurrency: 2 }, (err) => {
+        assert.isOk(err);
+        setTimeout(() => {
+          assert.isUndefined(this.config.value.baz);
+          done();
+        }, 10);
       });
+    });
 
-      c.load([p], (err, conf) => {
-        assert.strictEqual(conf.foo, foo);
+    it('skips optional providers which fail', function(done) {
+      const errs = [];
+      const configs = [];
+      const optional = {
+        name: 'optional',
+        optional: true,
+        load: () => Promise.reject(new Error('Test')),
+      };
+
+      this.config.on('error', err => errs.push(err));
+      this.config.on('config', name => configs.push(name));
+
+      this.config.load([optional, { baz: 'qux' }], (err, conf) => {
+        assert.isUndefined(err);
+        assert.deepEqual(conf, { foo: 'bar', baz: 'qux' });
+        assert.deepEqual(configs, ['provider[1]']);
+        assert.strictEqual(errs.length, 1);
+        assert.instanceOf(errs[0], Kibbutz.errors.ProviderError);
+        assert.strictEqual(errs[0].provider, 'optional');
         done();
       });
     });
 
-    it('does not overwrite number-valued keys', function(done) {
-      const p = {
-        load(callback) {
-          process.nextTick(() => {
-            callback(undefined, { foo: 24 });
-          });
-        },
+    it('emits optional failures as warnings without error listeners', function(done) {
+      const warnings = [];
+      const restore = captureWarnings(warnings);
+      const optional = {
+        optional: true,
+        load: () => Promise.reject(new Error('Test')),
       };
 
-      const foo = 42;
-      const c = new Kibbutz({
-        value: { foo },
-      });
-
-      c.load([p], (err, conf) => {
-        assert.strictEqual(conf.foo, foo);
+      this.config.load([optional], (err, conf) => {
+        restore();
+        assert.isUndefined(err);
+        assert.deepEqual(conf, { foo: 'bar' });
+        assert.strictEqual(warnings.length, 1);
+        assert.instanceOf(warnings[0], Kibbutz.errors.ProviderError);
         done();
       });
     });
 
-    it('does not overwrite date-valued keys', function(done) {
-      const p = {
+    it('does not report optional failures after load fails', function(done) {
+      let reported = false;
+      const optional = {
+        optional: true,
         load(callback) {
-          process.nextTick(() => {
-            callback(undefined, { foo: new Date(1991, 9, 24) });
-            // oh well whatever nevermind
-          });
+          setTimeout(() => callback(new Error('Test')), 5);
         },
       };
 
-      const foo = new Date(1978, 6, 20);
-      const c = new Kibbutz({
-        value: { foo },
-      });
+      this.config.on('error', () => { reported = true; });
 
-      c.load([p], (err, conf) => {
-        assert.strictEqual(conf.foo, foo);
-        done();
+      this.config.load([optional, this.errorProvider], { concurrency: 2 }, (err) => {
+        assert.isOk(err);
+        setTimeout(() => {
+          assert.isFalse(reported);
+          done();
+        }, 10);
       });
     });
 
-    it('does not overwrite function-valued keys', function(done) {
-      const p = {
-        load(callback) {
-          process.nextTick(() => {
-            callback(undefined, { foo: 42 });
-          });
+    it('retries failing providers', function(done) {
+      let calls = 0;
+      const flaky = {
+        retry: { retries: 2, delay: 1 },
+        load() {
+          calls++;
+          if (calls < 3) return Promise.reject(new Error('Test'));
+          return Promise.resolve({ baz: 'qux' });
         },
       };
 
-      const foo = function() { return 42; };
-      const c = new Kibbutz({
-        value: { foo },
+      this.config.load([flaky], (err, conf) => {
+        assert.isUndefined(err);
+        assert.strictEqual(conf.baz, 'qux');
+        assert.strictEqual(calls, 3);
+        done();
       });
+    });
 
-      c.load([p], (err, conf) => {
-        assert.isFunction(conf.foo);
+    it('fails with TimeoutError when provider too slow', function(done) {
+      const slow = {
+        timeout: 5,
+        load(callback) { setTimeout(() => callback(undefined, {}), 50); },
+      };
+
+      this.config.load([slow], (err) => {
+        assert.instanceOf(err, Kibbutz.errors.TimeoutError);
+        assert.strictEqual(err.provider, 'provider[0]');
         done();
       });
     });
 
-    it('does not overwrite Boolean-valued keys', function(done) {
+    it('throws if provider policies invalid', function() {
+      assert.throws(() => {
+        this.config.load([{ load: () => ({}), timeout: -1 }], () => 42);
+      }, TypeError);
+    });
+
+    it('does not start providers after failure', function(done) {
+      let called = false;
       const p = {
         load(callback) {
-          process.nextTick(() => {
-            callback(undefined, { foo: false });
-          });
+          called = true;
+          callback(undefined, {});
         },
       };
 
-      const foo = true;
+      this.config.load([this.errorProvider, p], { concurrency: 1 }, () => {
+        assert.isFalse(called);
+        done();
+      });
+    });
+
+    it('uses constructor mergeStrategy when options omit it', function(done) {
       const c = new Kibbutz({
-        value: { foo },
+        value: { foo: 'bar' },
+        mergeStrategy: 'lastInWins',
       });
 
-      c.load([p], (err, conf) => {
-        assert.strictEqual(conf.foo, foo);
+      c.load([{
+        load(callback) { callback(undefined, { foo: 'baz' }); },
+      }], {}, (err, conf) => {
+        assert.strictEqual(conf.foo, 'baz');
         done();
       });
     });
+  });
 
-    it('merges into array-valued keys', function(done) {
-      const alsoFoo = ['c'];
-      const p = {
+
+  describe('#loadAsync', function() {
+    beforeEach(function(done) {
+      this.configValue = { foo: 'bar', baz: 'qux' };
+
+      this.provider = {
         load(callback) {
           process.nextTick(() => {
-            callback(undefined, { foo: alsoFoo });
+            callback(undefined, { baz: 'qux' });
           });
         },
       };
 
-      const foo = ['a', 'b'];
-      const c = new Kibbutz({
-        value: { foo },
-      });
-
-      c.load([p], (err, conf) => {
-        assert.strictEqual(conf.foo[0], foo[0]);
-        assert.strictEqual(conf.foo[1], foo[1]);
-        assert.strictEqual(conf.foo[2], alsoFoo[0]);
-        done();
-      });
-    });
-
-    it('merges into object-valued keys', function(done) {
-      const alsoFoo = { qux: 'quux' };
-      const p = {
+      this.errorProvider = {
         load(callback) {
           process.nextTick(() => {
-            callback(undefined, {
-              foo: alsoFoo,
-            });
+            callback({ message: 'Test' }, undefined);
           });
         },
       };
 
-      const foo = { bar: 'baz' };
-      const c = new Kibbutz({
-        value: { foo },
+      this.config = new Kibbutz({
+        value: { foo: 'bar' },
       });
+      done();
+    });
 
-      c.load([p], (err, conf) => {
-        assert.strictEqual(conf.foo.bar, foo.bar);
-        assert.strictEqual(conf.foo.qux, alsoFoo.qux);
-        done();
+    it('returns native Promise', function() {
+      const result = this.config.loadAsync([this.provider]);
+      assert.instanceOf(result, Promise);
+    });
+
+    it('throws if timeout option invalid', function() {
+      [0, -1, '10', NaN].forEach((timeout) => {
+        assert.throws(() => {
+          this.config.load([this.provider], { timeout }, () => 42);
+        }, TypeError);
       });
     });
 
-    it('merges multiple object-valued keys', function(done) {
-      const b = { qux: { quux: 'corge' } };
-      const p = {
+    it('applies timeout option to providers', async function() {
+      const slow = ms => ({
+        load(callback) { setTimeout(() => callback(undefined, {}), ms); },
+      });
+      const patient = Object.assign(slow(20), { timeout: 100 });
+
+      await this.config.loadAsync([patient], { timeout: 5 });
+
+      try {
+        await this.config.loadAsync([{}, slow(50)], { timeout: 5 });
+      } catch (err) {
+        assert.instanceOf(err, Kibbutz.errors.TimeoutError);
+        assert.strictEqual(err.provider, 'provider[1]');
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('applies timeout option when reloading', async function() {
+      let calls = 0;
+      const provider = {
         load(callback) {
-          process.nextTick(() => {
-            callback(undefined, b);
-          });
+          calls++;
+          const ms = (calls === 1) ? 1 : 50;
+          setTimeout(() => callback(undefined, {}), ms);
         },
+        watch(notify) { this.notify = notify; },
       };
 
-      const a = { foo: { bar: 'baz' } };
-      const c = new Kibbutz({
-        value: a,
+      await this.config.loadAsync([provider], { timeout: 5 });
+
+      const failed = new Promise((resolve) => {
+        this.config.on('error', resolve);
       });
+      provider.notify();
 
-      c.load([p], (err, conf) => {
-        assert.strictEqual(conf.foo.bar, a.foo.bar);
-        assert.strictEqual(conf.qux.quux, b.qux.quux);
-        done();
+      assert.instanceOf(await failed, Kibbutz.errors.TimeoutError);
+    });
+
+    it('throws if limits option invalid', function() {
+      [42, { maxDepth: 0 }, { maxKeys: '10' }].forEach((limits) => {
+        assert.throws(() => {
+          this.config.load([this.provider], { limits }, () => 42);
+        }, TypeError, 'Option "limits');
       });
     });
 
-    it('gives back Date if first loaded object is a Date', function(done) {
-      const b = { foo: 'bar' };
-      const p = {
-        load(callback) {
-          process.nextTick(() => {
-            callback(undefined, b);
-          });
+    it('applies limits option to providers', async function() {
+      const trusted = { limits: { maxKeys: 10 }, load: () => ({ a: 1, b: 2 }) };
+
+      await this.config.loadAsync([trusted], { limits: { maxKeys: 1 } });
+
+      try {
+        await this.config.loadAsync([{ c: 1 }, { d: { e: 1 } }], { limits: { maxKeys: 1 } });
+      } catch (err) {
+        assert.instanceOf(err, Kibbutz.errors.ProviderError);
+        assert.strictEqual(err.provider, 'provider[1]');
+        assert.instanceOf(err.cause, Kibbutz.errors.LimitError);
+        assert.strictEqual(err.cause.path, 'd.e');
+        assert.deepEqual(this.config.value, { foo: 'bar', a: 1, b: 2 });
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('skips optional providers which exceed limits', async function() {
+      const errs = [];
+      this.config.on('error', err => errs.push(err));
+
+      const untrusted = { optional: true, load: () => ({ a: { b: { c: 1 } } }) };
+      const value = await this.config.loadAsync(
+        [untrusted, { baz: 'qux' }],
+        { limits: { maxDepth: 2 } }
+      );
+
+      assert.deepEqual(value, { foo: 'bar', baz: 'qux' });
+      assert.instanceOf(errs[0].cause, Kibbutz.errors.LimitError);
+    });
+
+    it('applies limits option when reloading', async function() {
+      let calls = 0;
+      const provider = {
+        load() {
+          calls++;
+          return (calls === 1) ? { a: 1 } : { a: 1, b: 2 };
         },
+        watch(notify) { this.notify = notify; },
       };
 
-      const a = new Date(267148800000);
-      const c = new Kibbutz({
-        value: a,
-      });
+      await this.config.loadAsync([provider], { limits: { maxKeys: 1 } });
 
-      c.load([p], (err, conf) => {
-        assert.strictEqual(conf, a);
-        done();
+      const failed = new Promise((resolve) => {
+        this.config.on('error', resolve);
       });
+      provider.notify();
+
+      assert.instanceOf((await failed).cause, Kibbutz.errors.LimitError);
+      assert.deepEqual(this.config.value, { foo: 'bar', a: 1 });
     });
 
-    it('sets value property with fully merged config', function(done) {
-      this.config.load([this.provider], () => {
-        assert.strictEqual(this.config.value.foo, 'bar');
-        assert.strictEqual(this.config.value.baz, 'qux');
-        done();
-      });
+    it('rejects with CircularReferenceError if a fragment contains itself', async function() {
+      const fragment = { a: 1 };
+      fragment.self = fragment;
+
+      try {
+        await this.config.loadAsync([() => fragment]);
+      } catch (err) {
+        assert.instanceOf(err, Kibbutz.errors.ProviderError);
+        assert.instanceOf(err.cause, Kibbutz.errors.CircularReferenceError);
+        assert.strictEqual(err.cause.path, 'self');
+        return;
+      }
+
+      assert.fail();
     });
 
-    it('calls callback with undefined for error on success', function(done) {
-      this.config.load([this.provider], (err) => {
-        assert.strictEqual(err, undefined);
-        done();
-      });
+    it('strips keys which can pollute prototypes', async function() {
+      const fragment = JSON.parse('{"__proto__": {"polluted": 1}, "baz": {"constructor": 1}}');
+      const value = await this.config.loadAsync([() => fragment]);
+
+      assert.deepEqual(value, { foo: 'bar', baz: {} });
+      assert.isUndefined({}.polluted);
+      assert.isUndefined(value.polluted);
     });
 
-    it('should call callback with error when encountered', function(done) {
-      this.config.load([this.errorProvider], (err) => {
-        assert.isOk(err);
-        done();
+    describe('signal', function() {
+      beforeEach(function() {
+        const emitter = new EventEmitter();
+
+        this.signal = {
+          aborted: false,
+          addEventListener: (name, fn) => emitter.on(name, fn),
+          removeEventListener: (name, fn) => emitter.removeListener(name, fn),
+        };
+
+        this.abort = () => {
+          this.signal.aborted = true;
+          emitter.emit('abort');
+        };
+
+        this.listeners = () => emitter.listenerCount('abort');
       });
-    });
-  });
 
+      it('throws if signal invalid', function() {
+        const invalid = [
+          42,
+          {},
+          { aborted: false },
+          Object.assign({}, this.signal, { removeEventListener: 42 }),
+        ];
+
+        invalid.forEach((signal) => {
+          assert.throws(() => {
+            this.config.load([this.provider], { signal }, () => 42);
+          }, TypeError);
+        });
+      });
+
+      it('rejects with AbortError when aborted', async function() {
+        let started = false;
+        const hanging = { load(callback) { return callback; } };
+        const next = { load() { started = true; return {}; } };
+
+        const loading = this.config.loadAsync([hanging, next], {
+          signal: this.signal,
+        });
+        this.abort();
+
+        try {
+          await loading;
+        } catch (err) {
+          assert.instanceOf(err, Kibbutz.errors.AbortError);
+          assert.isFalse(started);
+          assert.deepEqual(this.config.value, { foo: 'bar' });
+          assert.strictEqual(this.listeners(), 0);
+          return;
+        }
+
+        assert.fail();
+      });
+
+      it('makes no more attempts once aborted', async function() {
+        let calls = 0;
+        const provider = {
+          retry: { retries: 5, delay: 300 },
+          load: () => {
+            calls++;
+            return Promise.reject(new Error('Test'));
+          },
+        };
+
+        const loading = this.config.loadAsync([provider], { signal: this.signal });
+        await new Promise((resolve) => { setTimeout(resolve, 20); });
+        this.abort();
+
+        try {
+          await loading;
+        } catch (err) {
+          assert.instanceOf(err, Kibbutz.errors.AbortError);
+          assert.strictEqual(calls, 1);
+          assert.strictEqual(this.listeners(), 0);
+          return;
+        }
+
+        assert.fail();
+      });
+
+      it('gives the signal to providers', async function() {
+        let signal;
+        const provider = (callback, options) => {
+          ({ signal } = options);
+          callback(undefined, {});
+        };
+
+        await this.config.loadAsync([provider], { signal: this.signal });
+        assert.strictEqual(signal, this.signal);
+      });
+
+      it('rejects with AbortError when already aborted', async function() {
+        this.abort();
+
+        try {
+          await this.config.loadAsync([this.provider], { signal: this.signal });
+        } catch (err) {
+          assert.instanceOf(err, Kibbutz.errors.AbortError);
+          return;
+        }
+
+        assert.fail();
+      });
 
-  describe('#loadAsync', function() {
-    beforeEach(function(done) {
-      this.configValue = { foo: 'bar', baz: 'qux' };
+      it('stops listening once loaded', async function() {
+        await this.config.loadAsync([this.provider], { signal: this.signal });
+        assert.strictEqual(this.listeners(), 0);
 
-      this.provider = {
-        load(callback) {
-          process.nextTick(() => {
-            callback(undefined, { baz: 'qux' });
-          });
-        },
-      };
+        this.abort();
+        assert.strictEqual(this.config.value.baz, 'qux');
+      });
 
-      this.errorProvider = {
-        load(callback) {
-          process.nextTick(() => {
-            callback({ message: 'Test' }, undefined);
+      it('stops listening once failed', async function() {
+        try {
+          await this.config.loadAsync([this.errorProvider], {
+            signal: this.signal,
           });
-        },
-      };
+        } catch (err) {
+          assert.strictEqual(this.listeners(), 0);
+          return;
+        }
 
-      this.config = new Kibbutz({
-        value: { foo: 'bar' },
+        assert.fail();
       });
-      done();
     });
 
-    it('returns Promise', function() {
-      const result = this.config.loadAsync([this.provider]);
-      assert.instanceOf(result, Promise);
+    it('resolves with value from async providers', async function() {
+      const result = await this.config.loadAsync([
+        async () => ({ qux: 'quux' }),
+        { load: () => Promise.resolve({ corge: 'grault' }) },
+      ]);
+
+      assert.deepEqual(result, {
+        foo: 'bar',
+        qux: 'quux',
+        corge: 'grault',
+      });
     });
 
     it('rejects when providers not array', function(done) {
@@ -622,8 +2350,8 @@ describe('Kibbutz', function() {
         });
     });
 
-    it('rejects if providers not have load method', function(done) {
-      this.config.loadAsync([{}])
+    it('rejects if provider not a function or object', function(done) {
+      this.config.loadAsync([42])
         .then(() => {
           done('Nope');
         })
@@ -636,6 +2364,153 @@ describe('Kibbutz', function() {
         });
     });
 
+    it('resolves when value satisfies schema', async function() {
+      const config = new Kibbutz({
+        schema: {
+          properties: { port: { type: 'integer' } },
+          required: ['port'],
+        },
+      });
+
+      const value = await config.loadAsync([{ port: 80 }]);
+      assert.strictEqual(value.port, 80);
+    });
+
+    it('rejects with ValidationError listing every violation', async function() {
+      const config = new Kibbutz({
+        value: { foo: 'bar' },
+        schema: {
+          properties: {
+            db: { properties: { port: { type: 'integer' } } },
+          },
+          required: ['db', 'name'],
+        },
+      });
+
+      let emitted = false;
+      config.on('done', () => { emitted = true; });
+
+      try {
+        await config.loadAsync([{ db: { port: 'x' } }]);
+      } catch (err) {
+        assert.instanceOf(err, Kibbutz.errors.ValidationError);
+        assert.deepEqual(err.errors.map(x => x.path), ['name', 'db.port']);
+        assert.include(err.message, 'db.port');
+        assert.include(err.message, 'name: is required');
+        assert.isFalse(emitted);
+        assert.deepEqual(config.value, { foo: 'bar' });
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('applies schema defaults and coerces values', async function() {
+      const config = new Kibbutz({
+        schema: {
+          properties: {
+            host: { type: 'string', default: 'localhost' },
+            port: { type: 'integer' },
+            timeout: { type: 'integer', format: 'duration', default: 1000 },
+          },
+          required: ['port'],
+        },
+      });
+
+      const value = await config.loadAsync([{ port: '8080', timeout: '5s' }]);
+      assert.deepEqual(value, { host: 'localhost', port: 8080, timeout: 5000 });
+    });
+
+    it('interpolates after merging and applying defaults', async function() {
+      const config = new Kibbutz({
+        interpolate: true,
+        schema: {
+          properties: {
+            db: {
+              properties: {
+                host: { type: 'string', default: 'localhost' },
+                port: { type: 'integer' },
+              },
+            },
+            port: { type: 'integer' },
+          },
+        },
+      });
+
+      const value = await config.loadAsync([
+        { url: 'pg://' + ref('db.host') + ':' + ref('db.port'), port: ref('db.port') },
+        { db: { port: '5432' } },
+      ]);
+
+      assert.strictEqual(value.url, 'pg://localhost:5432');
+      assert.strictEqual(value.port, 5432);
+    });
+
+    it('rejects with InterpolationError if a reference is unresolved', async function() {
+      const config = new Kibbutz({ value: { a: 'x' }, interpolate: true });
+
+      try {
+        await config.loadAsync([{ b: ref('c') }]);
+      } catch (err) {
+        assert.instanceOf(err, Kibbutz.errors.InterpolationError);
+        assert.strictEqual(err.path, 'b');
+        assert.deepEqual(config.value, { a: 'x' });
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('decrypts values before applying the schema', async function() {
+      const decryptor = new Kibbutz.AesGcmDecryptor({ key: Buffer.alloc(32) });
+      const config = new Kibbutz({
+        decryptors: { v1: decryptor },
+        schema: { properties: { port: { type: 'integer' } } },
+      });
+
+      const value = await config.loadAsync([
+        { port: 'enc:v1:' + decryptor.encrypt('8080'), host: 'localhost' },
+      ]);
+
+      assert.deepEqual(value, { port: 8080, host: 'localhost' });
+      assert.deepEqual(config.toJSON(), {
+        port: '[REDACTED]',
+        host: 'localhost',
+      });
+    });
+
+    it('rejects with DecryptionError if a value cannot be decrypted', async function() {
+      const config = new Kibbutz({
+        value: { a: 'x' },
+        decryptors: { v1: () => { throw new Error('Bad key'); } },
+      });
+
+      try {
+        await config.loadAsync([{ db: { password: 'enc:v1:x' } }]);
+      } catch (err) {
+        assert.instanceOf(err, Kibbutz.errors.DecryptionError);
+        assert.strictEqual(err.path, 'db.password');
+        assert.deepEqual(config.value, { a: 'x' });
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('does not let defaults outrank later fragments', async function() {
+      const config = new Kibbutz({
+        mergeStrategy: 'firstInWins',
+        schema: {
+          properties: { host: { type: 'string', default: 'localhost' } },
+        },
+      });
+
+      assert.strictEqual(config.value.host, 'localhost');
+
+      const value = await config.loadAsync([{ host: 'example.com' }]);
+      assert.strictEqual(value.host, 'example.com');
+    });
+
     it('rejects if provider errors', function(done) {
       this.config.loadAsync([this.errorProvider])
         .then(() => {
@@ -656,6 +2531,318 @@ describe('Kibbutz', function() {
           done(err);
         });
     });
+
+    it('passes options to load', function(done) {
+      const p = {
+        load(callback) { callback(undefined, { foo: 'baz' }); },
+      };
+
+      this.config.loadAsync([p], { mergeStrategy: 'lastInWins' })
+        .then((result) => {
+          assert.strictEqual(result.foo, 'baz');
+          done();
+        })
+        .catch((err) => {
+          done(err);
+        });
+    });
+  });
+
+
+  describe('#onChange', function() {
+    beforeEach(function() {
+      this.config = new Kibbutz({
+        value: { db: { pool: { max: 10 }, host: 'a' }, cache: { ttl: 30 } },
+      });
+    });
+
+    it('raises change event with changes when appending', function() {
+      const calls = [];
+      this.config.on('change', (...args) => calls.push(args));
+
+      const previous = this.config.value;
+      this.config.append([{ db: { port: 80 }, cache: { ttl: 60 } }], {
+        mergeStrategy: 'lastInWins',
+      });
+
+      assert.strictEqual(calls.length, 1);
+      assert.strictEqual(calls[0][0], this.config.value);
+      assert.strictEqual(calls[0][1], previous);
+      assert.deepEqual(calls[0][2], {
+        added: ['db.port'],
+        removed: [],
+        modified: ['cache.ttl'],
+      });
+    });
+
+    it('raises change event with changes when loading', async function() {
+      const calls = [];
+      this.config.on('change', (...args) => calls.push(args));
+
+      await this.config.loadAsync([{ log: { level: 'info' } }]);
+
+      assert.strictEqual(calls.length, 1);
+      assert.deepEqual(calls[0][2].added, ['log']);
+    });
+
+    it('does not raise change event if nothing changed', function() {
+      let changes = 0;
+      this.config.on('change', () => { changes++; });
+
+      this.config.append({ db: { host: 'b' } });
+
+      assert.strictEqual(changes, 0);
+    });
+
+    it('calls listener when path changes', function() {
+      const calls = [];
+      this.config.onChange('db.pool', (...args) => calls.push(args));
+
+      this.config.append([{ db: { pool: { max: 20, min: 1 } } }], {
+        mergeStrategy: 'lastInWins',
+      });
+
+      assert.strictEqual(calls.length, 1);
+      assert.deepEqual(calls[0], [
+        { max: 20, min: 1 },
+        { max: 10 },
+        { added: ['db.pool.min'], removed: [], modified: ['db.pool.max'] },
+      ]);
+      assert.isFrozen(calls[0][0]);
+      assert.isFrozen(calls[0][1]);
+    });
+
+    it('calls listener when containing object added', function() {
+      const config = new Kibbutz();
+      const calls = [];
+      config.onChange(['db', 'pool'], (...args) => calls.push(args));
+
+      config.append({ db: { pool: { max: 5 } } });
+
+      assert.deepEqual(calls, [[
+        { max: 5 },
+        undefined,
+        { added: ['db'], removed: [], modified: [] },
+      ]]);
+    });
+
+    it('does not call listener when other paths change', function() {
+      let calls = 0;
+      this.config.onChange('db.pool', () => { calls++; });
+
+      this.config.append([{ db: { host: 'b' }, cache: { ttl: 60 } }], {
+        mergeStrategy: 'lastInWins',
+      });
+
+      assert.strictEqual(calls, 0);
+    });
+
+    it('returns same instance of Kibbutz', function() {
+      assert.strictEqual(this.config.onChange('db', () => 42), this.config);
+    });
+
+    it('throws if path invalid', function() {
+      assert.throws(() => this.config.onChange('', () => 42), TypeError);
+    });
+
+    it('throws if listener not a function', function() {
+      assert.throws(() => this.config.onChange('db', 42), TypeError);
+    });
+  });
+
+
+  describe('watching', function() {
+    beforeEach(function() {
+      this.watchable = value => ({
+        value,
+        notify: undefined,
+        stopped: false,
+        load() { return this.value; },
+        watch(notify) {
+          this.notify = notify;
+          return () => { this.stopped = true; };
+        },
+      });
+
+      this.next = (config, eventName) => new Promise((resolve) => {
+        config.on(eventName, (...args) => resolve(args));
+      });
+    });
+
+    it('rebuilds value when a provider changes', async function() {
+      const config = new Kibbutz({ value: { a: 0 } });
+      const first = this.watchable({ b: 1, c: { d: 1 } });
+      const second = this.watchable({ b: 2, e: 2 });
+
+      await config.loadAsync([first, second]);
+      config.append({ f: 3 });
+      const before = config.value;
+
+      const changed = this.next(config, 'change');
+      first.value = { c: { g: 1 } };
+      first.notify();
+
+      const [value, previous] = await changed;
+      assert.deepEqual(value, {
+        a: 0,
+        c: { g: 1 },
+        b: 2,
+        e: 2,
+        f: 3,
+      });
+      assert.strictEqual(config.value, value);
+      assert.strictEqual(previous, before);
+      assert.isFrozen(value);
+    });
+
+    it('raises config event with re-fetched fragment', async function() {
+      const config = new Kibbutz();
+      const provider = this.watchable({ a: 1 });
+      await config.loadAsync([provider]);
+
+      const loaded = this.next(config, 'config');
+      provider.value = { a: 2 };
+      provider.notify();
+
+      assert.deepEqual(await loaded, ['provider[0]', { a: 2 }]);
+    });
+
+    it('reloads in the order changes are notified', async function() {
+      const config = new Kibbutz();
+      const provider = this.watchable({ a: 1 });
+      const values = [];
+      await config.loadAsync([provider]);
+
+      config.on('change', value => values.push(value.a));
+      const done = new Promise((resolve) => {
+        config.on('change', () => { if (values.length === 2) resolve(); });
+      });
+
+      const queue = [2, 3];
+      provider.load = () => ({ a: queue.shift() });
+      provider.notify();
+      provider.notify();
+
+      await done;
+      assert.deepEqual(values, [2, 3]);
+    });
+
+    it('keeps value and raises error if reload fails', async function() {
+      const error = new Error('Test');
+      const config = new Kibbutz();
+      const provider = this.watchable({ a: 1 });
+      await config.loadAsync([provider]);
+
+      const failed = this.next(config, 'error');
+      provider.load = () => Promise.reject(error);
+      provider.notify();
+
+      const [err] = await failed;
+      assert.instanceOf(err, Kibbutz.errors.ProviderError);
+      assert.strictEqual(err.cause, error);
+      assert.deepEqual(config.value, { a: 1 });
+    });
+
+    it('keeps value if reloaded value invalid', async function() {
+      const config = new Kibbutz({
+        schema: { properties: { a: { type: 'integer' } } },
+      });
+      const provider = this.watchable({ a: 1 });
+      await config.loadAsync([provider]);
+
+      const failed = this.next(config, 'error');
+      provider.value = { a: 'x' };
+      provider.notify();
+
+      const [err] = await failed;
+      assert.instanceOf(err, Kibbutz.errors.ValidationError);
+      assert.deepEqual(config.value, { a: 1 });
+
+      const changed = this.next(config, 'change');
+      provider.value = { b: 2 };
+      provider.notify();
+
+      const [value] = await changed;
+      assert.deepEqual(value, { b: 2 });
+    });
+
+    it('emits reload errors as warnings without error listeners', async function() {
+      const config = new Kibbutz();
+      const provider = this.watchable({ a: 1 });
+      await config.loadAsync([provider]);
+
+      const warnings = [];
+      const restore = captureWarnings(warnings);
+
+      try {
+        provider.load = () => Promise.reject(new Error('Test'));
+        provider.notify();
+
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(config.value, { a: 1 });
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].message, 'Provider "provider[0]" failed to load: Test');
+      } finally {
+        restore();
+      }
+    });
+
+    it('raises error if watch throws', async function() {
+      const error = new Error('Test');
+      const config = new Kibbutz();
+      const errs = [];
+      config.on('error', err => errs.push(err));
+
+      const provider = {
+        load() { return { a: 1 }; },
+        watch() { throw error; },
+      };
+
+      const value = await config.loadAsync([provider]);
+      assert.deepEqual(value, { a: 1 });
+      assert.deepEqual(errs, [error]);
+    });
+
+    it('does not watch providers if load fails', async function() {
+      const config = new Kibbutz({
+        schema: { required: ['b'] },
+      });
+      const provider = this.watchable({ a: 1 });
+
+      try {
+        await config.loadAsync([provider]);
+      } catch (err) {
+        assert.isUndefined(provider.notify);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('stops watching every provider', async function() {
+      const config = new Kibbutz();
+      const first = this.watchable({ a: 1 });
+      const second = {
+        load() { return { b: 1 }; },
+        watch(notify) { this.notify = notify; },
+      };
+
+      await config.loadAsync([first, second, { c: 1 }]);
+
+      let changes = 0;
+      config.on('change', () => { changes++; });
+
+      assert.strictEqual(config.unwatch(), config);
+      assert.isTrue(first.stopped);
+
+      first.value = { a: 2 };
+      first.notify();
+      second.notify();
+
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(changes, 0);
+      assert.deepEqual(config.value, { a: 1, b: 1, c: 1 });
+    });
   });
 
 
@@ -673,6 +2860,114 @@ describe('Kibbutz', function() {
       }, TypeError);
     });
 
+    it('applies schema defaults without validating', function() {
+      const config = new Kibbutz({
+        schema: {
+          properties: {
+            port: { type: 'integer', default: 80 },
+            debug: { type: 'boolean' },
+          },
+          required: ['name'],
+        },
+      });
+
+      config.append({ debug: 'true' });
+      assert.deepEqual(config.value, { port: 80, debug: true });
+
+      config.append({ port: 8080 });
+      assert.deepEqual(config.value, { port: 8080, debug: true });
+    });
+
+    it('resolves references', function() {
+      const config = new Kibbutz({ value: { a: 'x' }, interpolate: true });
+      config.append({ b: ref('a') + 'y' });
+      assert.strictEqual(config.value.b, 'xy');
+
+      assert.throws(
+        () => config.append({ c: ref('c') }),
+        Kibbutz.errors.InterpolationError
+      );
+      assert.deepEqual(config.value, { a: 'x', b: 'xy' });
+    });
+
+    it('resolves references to paths loaded later', async function() {
+      const config = new Kibbutz({ interpolate: true });
+      config.append({ url: 'http://' + ref('host') });
+      assert.strictEqual(config.value.url, 'http://' + ref('host'));
+
+      await config.loadAsync([{ host: 'example.com' }]);
+      assert.strictEqual(config.value.url, 'http://example.com');
+    });
+
+    it('throws on unresolved references once a load has completed', async function() {
+      const config = new Kibbutz({ value: { a: 'x' }, interpolate: true });
+      await config.loadAsync([]);
+
+      assert.throws(
+        () => config.append({ b: ref('missing.path') }),
+        Kibbutz.errors.InterpolationError,
+        'unresolved reference'
+      );
+      assert.deepEqual(config.value, { a: 'x' });
+    });
+
+    it('skips keys of appended text which can pollute prototypes', function() {
+      this.config.append('{"__proto__": {"x": 1}, "port": 80}', { format: 'json' });
+      assert.deepEqual(this.config.value, { foo: 'bar', port: 80 });
+      assert.isUndefined({}.x);
+    });
+
+    it('appends text in the given format', function() {
+      this.config.append('baz: qux\nlist: [1, 2]\n', { format: 'yaml' });
+      this.config.append('A=1', { format: 'dotenv', mergeStrategy: 'lastInWins' });
+
+      assert.deepEqual(this.config.value, {
+        foo: 'bar',
+        baz: 'qux',
+        list: [1, 2],
+        A: '1',
+      });
+      assert.strictEqual(this.config.explain('baz').source, 'append#1');
+    });
+
+    it('applies the profile sections of appended text', function() {
+      const text = [
+        'port: 80',
+        '$profiles:',
+        '  test:',
+        '    port: 8080',
+        '  production:',
+        '    port: 443',
+      ].join('\n');
+      const config = new Kibbutz({ value: { foo: 'bar' }, profile: 'test' });
+
+      config.append(text, { format: 'yaml' });
+      assert.deepEqual(config.value, { foo: 'bar', port: 8080 });
+    });
+
+    it('throws if text appended without a known format', function() {
+      assert.throws(() => this.config.append('a: 1'), TypeError);
+      assert.throws(() => this.config.append('a: 1', null), TypeError);
+      assert.throws(() => this.config.append('a: 1', 42), TypeError);
+      assert.throws(() => this.config.append('a: 1', {}), TypeError);
+      assert.throws(() => this.config.append('a: 1', { format: 'xml' }), TypeError);
+    });
+
+    it('throws ParseError if appended text invalid', function() {
+      this.config.append({ baz: 'qux' });
+
+      try {
+        this.config.append('a: [1', { format: 'yaml' });
+      } catch (err) {
+        assert.instanceOf(err, Kibbutz.errors.ParseError);
+        assert.strictEqual(err.path, 'append#2');
+        assert.deepEqual(this.config.value, { foo: 'bar', baz: 'qux' });
+        return;
+      }
+
+      assert.fail();
+    });
+
     it('returns self', function(done) {
       const res = this.config.append({ baz: 'qux' });
       assert.strictEqual(res, this.config);
@@ -720,6 +3015,53 @@ describe('Kibbutz', function() {
       assert.isFrozen(this.config.value);
       done();
     });
+
+    it('uses mergeStrategy given in options', function() {
+      this.config.append([{ foo: 'baz' }], { mergeStrategy: 'lastInWins' });
+      assert.strictEqual(this.config.value.foo, 'baz');
+    });
+
+    it('uses mergeStrategy given to constructor', function() {
+      const c = new Kibbutz({
+        value: { foo: 'bar' },
+        mergeStrategy: 'deepReplace',
+      });
+      c.append({ foo: 'baz' });
+      assert.strictEqual(c.value.foo, 'baz');
+    });
+
+    it('merges objects and replaces arrays with the override strategy', function() {
+      const c = new Kibbutz({
+        value: { db: { host: 'a', port: 1 }, hosts: ['a', 'b'] },
+        mergeStrategy: 'override',
+      });
+      c.append({ db: { port: 2 }, hosts: ['c'] });
+      assert.deepEqual(c.value, { db: { host: 'a', port: 2 }, hosts: ['c'] });
+    });
+
+    it('throws if options not an object', function() {
+      assert.throws(() => {
+        this.config.append([{ foo: 'baz' }], 42);
+      }, TypeError);
+    });
+
+    it('throws if options have unknown keys', function() {
+      assert.throws(() => {
+        this.config.append([{ a: 1 }], { b: 2 });
+      }, TypeError, 'unknown key: b');
+      assert.throws(() => {
+        this.config.append([{ a: 1 }], { format: 'json' });
+      }, TypeError, 'unknown key: format');
+      assert.throws(() => {
+        this.config.append('a: 1', { format: 'yaml', strategy: 'lastInWins' });
+      }, TypeError, 'unknown key: strategy');
+      assert.deepEqual(this.config.value, { foo: 'bar' });
+    });
+
+    it('uses mergeRules given in options', function() {
+      this.config.append([{ foo: 'baz' }], { mergeRules: { foo: 'replace' } });
+      assert.strictEqual(this.config.value.foo, 'baz');
+    });
   });
 
 });
@@ -0,0 +1,136 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const { CircularReferenceError, LimitError } = require('../../lib/errors');
+const { assertLimits, checkFragment } = require('../../lib/limits');
+
+
+describe('limits', function() {
+
+  describe('#assertLimits', function() {
+    it('accepts valid limits', function() {
+      assertLimits(undefined, 'Option');
+      assertLimits(null, 'Option');
+      assertLimits({}, 'Option');
+      assertLimits({ maxDepth: 1, maxKeys: Infinity }, 'Option');
+    });
+
+    it('throws if limits not an object', function() {
+      [42, 'a', [], new Map()].forEach((limits) => {
+        assert.throws(
+          () => assertLimits(limits, 'Option'),
+          TypeError,
+          'Option "limits" must be an object'
+        );
+      });
+    });
+
+    it('throws if maxDepth invalid', function() {
+      [0, -1, 1.5, '1', NaN].forEach((maxDepth) => {
+        assert.throws(
+          () => assertLimits({ maxDepth }, 'Option'),
+          TypeError,
+          'Option "limits.maxDepth"'
+        );
+      });
+    });
+
+    it('throws if maxKeys invalid', function() {
+      [0, -1, 1.5, '1', NaN].forEach((maxKeys) => {
+        assert.throws(
+          () => assertLimits({ maxKeys }, 'Provider property'),
+          TypeError,
+          'Provider property "limits.maxKeys"'
+        );
+      });
+    });
+  });
+
+
+  describe('#checkFragment', function() {
+    it('accepts fragments within limits', function() {
+      const fragment = { a: { b: [1, 2] }, c: 3 };
+
+      checkFragment(fragment);
+      checkFragment(fragment, {});
+      checkFragment(fragment, { maxDepth: 3, maxKeys: 5 });
+    });
+
+    it('ignores scalars', function() {
+      checkFragment(42, { maxDepth: 1, maxKeys: 1 });
+      checkFragment(null, { maxDepth: 1, maxKeys: 1 });
+    });
+
+    it('throws naming the path which is too deep', function() {
+      try {
+        checkFragment({ a: { b: { c: 1 } } }, { maxDepth: 2 });
+      } catch (err) {
+        assert.instanceOf(err, LimitError);
+        assert.strictEqual(err.path, 'a.b');
+        assert.strictEqual(err.limit, 'maxDepth');
+        assert.strictEqual(err.max, 2);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('throws naming the first key over the limit', function() {
+      try {
+        checkFragment({ a: { b: 1 }, c: 2 }, { maxKeys: 2 });
+      } catch (err) {
+        assert.instanceOf(err, LimitError);
+        assert.strictEqual(err.path, 'c');
+        assert.strictEqual(err.limit, 'maxKeys');
+        assert.strictEqual(err.max, 2);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('counts the fragment itself toward the depth', function() {
+      checkFragment([], { maxDepth: 1 });
+      assert.throws(() => checkFragment([[]], { maxDepth: 1 }), LimitError, '"0"');
+    });
+
+    it('counts the items of arrays, Maps, and Sets', function() {
+      const fragment = {
+        list: [1],
+        map: new Map([['a', 1]]),
+        set: new Set([1]),
+      };
+
+      checkFragment(fragment, { maxKeys: 6 });
+      assert.throws(() => checkFragment(fragment, { maxKeys: 5 }), LimitError, '"set.0"');
+    });
+
+    it('throws naming the path of circular references', function() {
+      const fragment = { a: { list: [] } };
+      fragment.a.list.push(fragment.a);
+
+      try {
+        checkFragment(fragment);
+      } catch (err) {
+        assert.instanceOf(err, CircularReferenceError);
+        assert.strictEqual(err.path, 'a.list.0');
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('throws if the fragment contains itself', function() {
+      const fragment = new Map();
+      fragment.set('self', fragment);
+      assert.throws(() => checkFragment(fragment), CircularReferenceError, '"self"');
+    });
+
+    it('accepts values referenced more than once', function() {
+      const shared = { a: 1 };
+      checkFragment({ x: shared, y: shared });
+    });
+  });
+
+});
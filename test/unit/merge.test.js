@@ -0,0 +1,567 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const { CircularReferenceError } = require('../../lib/errors');
+const {
+  compileRules,
+  deepCopy,
+  merge,
+  resolveStrategy,
+  strategies,
+} = require('../../lib/merge');
+
+
+describe('merge', function() {
+
+  describe('#resolveStrategy', function() {
+    it('returns firstInWins when strategy not supplied', function() {
+      assert.strictEqual(resolveStrategy(), strategies.firstInWins);
+    });
+
+    it('returns built-in strategy by name', function() {
+      assert.strictEqual(resolveStrategy('lastInWins'), strategies.lastInWins);
+      assert.strictEqual(resolveStrategy('override'), strategies.override);
+    });
+
+    it('returns custom strategy functions', function() {
+      const custom = () => 42;
+      assert.strictEqual(resolveStrategy(custom), custom);
+    });
+
+    it('throws if strategy name unknown', function() {
+      assert.throws(() => {
+        resolveStrategy('blah');
+      }, TypeError);
+    });
+
+    it('throws if strategy not a string or function', function() {
+      assert.throws(() => {
+        resolveStrategy(42);
+      }, TypeError);
+    });
+  });
+
+
+  describe('#merge', function() {
+    it('returns a when b is not an object', function() {
+      const a = { foo: 'bar' };
+      assert.strictEqual(merge(a, 42), a);
+    });
+
+    it('concatenates arrays', function() {
+      assert.deepEqual(merge(['a'], ['b']), ['a', 'b']);
+    });
+
+    it('does not merge object into array', function() {
+      assert.deepEqual(merge(['a'], { foo: 'bar' }), ['a']);
+    });
+
+    it('does not merge array into object', function() {
+      assert.deepEqual(merge({ foo: 'bar' }, ['a']), { foo: 'bar' });
+    });
+
+    it('preserves null values', function() {
+      const result = merge({ a: null }, { a: { b: 1 }, c: null });
+      assert.deepEqual(result, { a: null, c: null });
+    });
+
+    it('skips keys which can pollute prototypes', function() {
+      const b = JSON.parse('{"__proto__": {"polluted": 1}, "a": {"constructor": {"prototype": 1}}}');
+      const result = merge({ a: {} }, b, { strategy: strategies.lastInWins });
+
+      assert.deepEqual(result, { a: {} });
+      assert.isUndefined({}.polluted);
+      assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+    });
+
+    it('skips unsafe keys of copied objects', function() {
+      const b = JSON.parse('{"a": {"b": {"__proto__": {"polluted": 1}, "c": 1}}}');
+      const result = merge({}, b);
+
+      assert.deepEqual(result, { a: { b: { c: 1 } } });
+      assert.isUndefined({}.polluted);
+      assert.isUndefined(result.a.b.polluted);
+    });
+
+    it('throws naming the path of circular references', function() {
+      const b = { a: { list: [] } };
+      b.a.list.push(b);
+
+      try {
+        merge({}, b);
+      } catch (err) {
+        assert.instanceOf(err, CircularReferenceError);
+        assert.strictEqual(err.path, 'a.list.0');
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('throws if circular references are merged into each other', function() {
+      const a = { self: { value: 1 } };
+      const b = {};
+      b.self = b;
+
+      assert.throws(
+        () => merge(a, b, { strategy: strategies.lastInWins }),
+        CircularReferenceError,
+        '"self"'
+      );
+    });
+
+    it('merges Maps by key', function() {
+      const result = merge(
+        { map: new Map([['a', { x: 1 }], ['b', 1]]) },
+        { map: new Map([['a', { y: 2 }], ['b', 2], ['c', 3]]) }
+      );
+
+      assert.deepEqual(Array.from(result.map), [
+        ['a', { x: 1, y: 2 }],
+        ['b', 1],
+        ['c', 3],
+      ]);
+    });
+
+    it('passes Map keys and paths to strategy', function() {
+      const calls = [];
+      const strategy = (current, incoming, context) => {
+        if (current instanceof Map) return context.merge(current, incoming);
+        calls.push([context.key, context.path]);
+        return incoming;
+      };
+
+      const result = merge(
+        { map: new Map([[1, 'a']]) },
+        { map: new Map([[1, 'b']]) },
+        { strategy }
+      );
+
+      assert.deepEqual(calls, [[1, 'map.1']]);
+      assert.strictEqual(result.map.get(1), 'b');
+    });
+
+    it('merges Sets by adding new items', function() {
+      const result = merge(
+        { set: new Set([1, { a: 1 }]) },
+        { set: new Set([1, 2, { a: 1 }, { b: 2 }]) }
+      );
+
+      assert.deepEqual(Array.from(result.set), [1, { a: 1 }, 2, { b: 2 }]);
+    });
+
+    it('does not merge Maps and Sets into other values', function() {
+      const a = { map: new Map(), set: new Set(), obj: {} };
+      const result = merge(a, { map: {}, set: [1], obj: new Map([['a', 1]]) });
+      assert.strictEqual(result.map.size, 0);
+      assert.strictEqual(result.set.size, 0);
+      assert.deepEqual(result.obj, {});
+    });
+
+    it('does not merge into instances of custom classes', function() {
+      class Client { constructor() { this.host = 'a'; } }
+      const client = new Client();
+      const result = merge({ client }, { client: { host: 'b', port: 1 } });
+      assert.strictEqual(result.client, client);
+      assert.deepEqual(client, { host: 'a' });
+    });
+
+    it('deep-copies new keys', function() {
+      const b = { foo: { bar: ['baz'] } };
+      const result = merge({}, b);
+      assert.deepEqual(result, b);
+      assert.notStrictEqual(result.foo, b.foo);
+      assert.notStrictEqual(result.foo.bar, b.foo.bar);
+    });
+
+    it('uses firstInWins by default', function() {
+      const result = merge({ foo: 'bar' }, { foo: 'baz' });
+      assert.strictEqual(result.foo, 'bar');
+    });
+
+    it('passes current, incoming, and context to strategy', function() {
+      const calls = [];
+      const strategy = (current, incoming, context) => {
+        calls.push([current, incoming, context.key, context.path]);
+        return context.merge(current, incoming);
+      };
+
+      merge({ foo: { bar: 1 } }, { foo: { bar: 2 } }, { strategy });
+
+      assert.deepEqual(calls[0].slice(2), ['foo', 'foo']);
+      assert.deepEqual(calls[1], [1, 2, 'bar', 'foo.bar']);
+    });
+
+    it('sets keys to value returned by strategy', function() {
+      const result = merge({ foo: 1 }, { foo: 2 }, {
+        strategy: (a, b) => a + b,
+      });
+      assert.strictEqual(result.foo, 3);
+    });
+  });
+
+
+  describe('#strategies', function() {
+    describe('firstInWins', function() {
+      it('does not overwrite existing keys', function() {
+        const result = merge(
+          { foo: 'bar', baz: { qux: 1 } },
+          { foo: 'qux', baz: { qux: 2, quux: 3 } },
+          { strategy: strategies.firstInWins }
+        );
+        assert.deepEqual(result, { foo: 'bar', baz: { qux: 1, quux: 3 } });
+      });
+    });
+
+    describe('lastInWins', function() {
+      it('overwrites existing scalar keys', function() {
+        const result = merge(
+          { foo: 'bar', baz: { qux: 1 } },
+          { foo: 'qux', baz: { qux: 2, quux: 3 } },
+          { strategy: strategies.lastInWins }
+        );
+        assert.deepEqual(result, { foo: 'qux', baz: { qux: 2, quux: 3 } });
+      });
+
+      it('concatenates arrays', function() {
+        const result = merge(
+          { foo: ['a'] },
+          { foo: ['b'] },
+          { strategy: strategies.lastInWins }
+        );
+        assert.deepEqual(result.foo, ['a', 'b']);
+      });
+
+      it('replaces values of a different shape', function() {
+        const result = merge(
+          { foo: ['a'], bar: 'baz' },
+          { foo: { b: 1 }, bar: { qux: 1 } },
+          { strategy: strategies.lastInWins }
+        );
+        assert.deepEqual(result, { foo: { b: 1 }, bar: { qux: 1 } });
+      });
+
+      it('replaces Dates', function() {
+        const date = new Date(267148800000);
+        const result = merge(
+          { foo: new Date(0) },
+          { foo: date },
+          { strategy: strategies.lastInWins }
+        );
+        assert.instanceOf(result.foo, Date);
+        assert.notStrictEqual(result.foo, date);
+        assert.strictEqual(result.foo.getTime(), date.getTime());
+      });
+
+      it('replaces instances of custom classes', function() {
+        class Client {}
+        const client = new Client();
+        const result = merge(
+          { client: { host: 'a' } },
+          { client },
+          { strategy: strategies.lastInWins }
+        );
+        assert.strictEqual(result.client, client);
+      });
+
+      it('replaces Maps with Sets', function() {
+        const result = merge(
+          { a: new Map() },
+          { a: new Set([1]) },
+          { strategy: strategies.lastInWins }
+        );
+        assert.instanceOf(result.a, Set);
+      });
+    });
+
+    describe('deepReplace', function() {
+      it('replaces objects and arrays wholesale', function() {
+        const b = { foo: { baz: 2 }, bar: ['b'] };
+        const result = merge(
+          { foo: { qux: 1 }, bar: ['a'] },
+          b,
+          { strategy: strategies.deepReplace }
+        );
+        assert.deepEqual(result, b);
+        assert.notStrictEqual(result.foo, b.foo);
+      });
+    });
+
+    describe('override', function() {
+      it('merges objects, and replaces other values', function() {
+        const incoming = { db: { port: 2 }, hosts: ['c'], name: 'b' };
+        const result = merge(
+          { db: { host: 'a', port: 1 }, hosts: ['a', 'b'], name: 'a' },
+          incoming,
+          { strategy: strategies.override }
+        );
+
+        assert.deepEqual(result, { db: { host: 'a', port: 2 }, hosts: ['c'], name: 'b' });
+        assert.notStrictEqual(result.hosts, incoming.hosts);
+      });
+    });
+  });
+
+
+  describe('#compileRules', function() {
+    it('throws if rules not an object', function() {
+      assert.throws(() => {
+        compileRules(42);
+      }, TypeError);
+    });
+
+    it('throws if rule unknown', function() {
+      assert.throws(() => {
+        compileRules({ foo: 'blah' });
+      }, TypeError);
+    });
+
+    it('throws if rule has unexpected argument', function() {
+      assert.throws(() => {
+        compileRules({ foo: 'union:id' });
+      }, TypeError);
+    });
+
+    it('throws if mergeByKey has no key', function() {
+      assert.throws(() => {
+        compileRules({ foo: 'mergeByKey' });
+      }, TypeError);
+      assert.throws(() => {
+        compileRules({ foo: 'mergeByKey:' });
+      }, TypeError);
+    });
+
+    it('finds rules by exact path', function() {
+      const compiled = compileRules({ 'foo.bar': 'replace' });
+      assert.isFunction(compiled.find('foo.bar'));
+      assert.isUndefined(compiled.find('foo'));
+    });
+
+    it('finds rules by wildcard path', function() {
+      const compiled = compileRules({ 'foo.*.bar': 'replace' });
+      assert.isFunction(compiled.find('foo.baz.bar'));
+      assert.isUndefined(compiled.find('foo.baz.qux'));
+      assert.isUndefined(compiled.find('foo.baz'));
+    });
+
+    it('gives later rule sets precedence', function() {
+      const compiled = compileRules(
+        { foo: 'replace', 'bar.*': 'replace' },
+        { foo: 'keep', 'bar.*': 'keep' }
+      );
+      assert.strictEqual(compiled.find('foo'), compiled.find('bar.baz'));
+    });
+  });
+
+
+  describe('#rules', function() {
+    const mergeWith = (a, b, mergeRules, strategy) => merge(a, b, {
+      strategy,
+      rules: compileRules(mergeRules),
+    });
+
+    it('keep retains existing value', function() {
+      const result = mergeWith(
+        { foo: ['a'], bar: 'b' },
+        { foo: ['b'], bar: 'c' },
+        { foo: 'keep' },
+        strategies.lastInWins
+      );
+      assert.deepEqual(result, { foo: ['a'], bar: 'c' });
+    });
+
+    it('replace uses incoming value', function() {
+      const result = mergeWith(
+        { db: { hosts: ['a', 'b'], name: 'x' } },
+        { db: { hosts: ['b', 'c'], name: 'y' } },
+        { 'db.hosts': 'replace' }
+      );
+      assert.deepEqual(result, { db: { hosts: ['b', 'c'], name: 'x' } });
+    });
+
+    it('concat concatenates arrays', function() {
+      const result = mergeWith(
+        { foo: ['a'] },
+        { foo: ['b'] },
+        { foo: 'concat' },
+        strategies.deepReplace
+      );
+      assert.deepEqual(result.foo, ['a', 'b']);
+    });
+
+    it('concat falls back to strategy for non-arrays', function() {
+      const result = mergeWith({ foo: 'a' }, { foo: 'b' }, { foo: 'concat' });
+      assert.strictEqual(result.foo, 'a');
+    });
+
+    it('union removes duplicates', function() {
+      const result = mergeWith(
+        { features: ['a', 'b', 'a', { c: 1 }] },
+        { features: ['b', 'd', { c: 1 }] },
+        { features: 'union' }
+      );
+      assert.deepEqual(result.features, ['a', 'b', { c: 1 }, 'd']);
+    });
+
+    it('union falls back to strategy for non-arrays', function() {
+      const result = mergeWith({ foo: 'a' }, { foo: 'b' }, { foo: 'union' });
+      assert.strictEqual(result.foo, 'a');
+    });
+
+    it('merge deep-merges objects', function() {
+      const result = mergeWith(
+        { foo: { a: 1 } },
+        { foo: { b: 2 } },
+        { foo: 'merge' },
+        strategies.deepReplace
+      );
+      assert.deepEqual(result.foo, { a: 1, b: 2 });
+    });
+
+    it('merge falls back to strategy for arrays', function() {
+      const result = mergeWith(
+        { foo: ['a'] },
+        { foo: ['b'] },
+        { foo: 'merge' },
+        strategies.deepReplace
+      );
+      assert.deepEqual(result.foo, ['b']);
+    });
+
+    it('mergeByKey merges items with matching keys', function() {
+      const result = mergeWith(
+        { plugins: [{ id: 'a', opts: { x: 1 } }, { id: 'b' }, 'c'] },
+        { plugins: [{ id: 'a', opts: { y: 2 } }, { id: 'd' }, 'c'] },
+        { plugins: 'mergeByKey:id' }
+      );
+      assert.deepEqual(result.plugins, [
+        { id: 'a', opts: { x: 1, y: 2 } },
+        { id: 'b' },
+        'c',
+        { id: 'd' },
+        'c',
+      ]);
+    });
+
+    it('mergeByKey passes item paths to strategy', function() {
+      const paths = [];
+      mergeWith(
+        { plugins: [{ id: 'a', opts: { x: 1 } }] },
+        { plugins: [{ id: 'a', opts: { x: 2 } }] },
+        { plugins: 'mergeByKey:id' },
+        (current, incoming, context) => {
+          paths.push(context.path);
+          return strategies.firstInWins(current, incoming, context);
+        }
+      );
+      assert.deepEqual(paths, [
+        'plugins.0',
+        'plugins.0.id',
+        'plugins.0.opts',
+        'plugins.0.opts.x',
+      ]);
+    });
+
+    it('mergeByKey falls back to strategy for non-arrays', function() {
+      const result = mergeWith(
+        { foo: 'a' },
+        { foo: 'b' },
+        { foo: 'mergeByKey:id' }
+      );
+      assert.strictEqual(result.foo, 'a');
+    });
+
+    it('applies rules matching wildcard paths', function() {
+      const result = mergeWith(
+        { services: { a: { hosts: ['x'] } } },
+        { services: { a: { hosts: ['y'] } } },
+        { 'services.*.hosts': 'replace' }
+      );
+      assert.deepEqual(result.services.a.hosts, ['y']);
+    });
+  });
+
+
+  describe('#deepCopy', function() {
+    it('returns empty object when undefined', function() {
+      assert.deepEqual(deepCopy(), {});
+    });
+
+    it('copies nested arrays', function() {
+      const obj = [[1], { foo: 'bar' }, 2];
+      const result = deepCopy(obj);
+      assert.deepEqual(result, obj);
+      assert.notStrictEqual(result[0], obj[0]);
+    });
+
+    it('preserves null', function() {
+      assert.isNull(deepCopy(null));
+      assert.deepEqual(deepCopy({ a: null, b: [null] }), { a: null, b: [null] });
+    });
+
+    it('copies Dates, RegExps, and Buffers by value', function() {
+      const obj = { date: new Date(42), pattern: /a+/gi, buf: Buffer.from('abc') };
+      const result = deepCopy(obj);
+
+      assert.instanceOf(result.date, Date);
+      assert.notStrictEqual(result.date, obj.date);
+      assert.strictEqual(result.date.getTime(), 42);
+      assert.instanceOf(result.pattern, RegExp);
+      assert.notStrictEqual(result.pattern, obj.pattern);
+      assert.strictEqual(String(result.pattern), '/a+/gi');
+      assert.isTrue(Buffer.isBuffer(result.buf));
+      assert.notStrictEqual(result.buf, obj.buf);
+      assert.strictEqual(result.buf.toString(), 'abc');
+    });
+
+    it('copies Maps and Sets deeply', function() {
+      const obj = {
+        map: new Map([['a', { b: 1 }]]),
+        set: new Set([1, { c: 2 }]),
+      };
+      const result = deepCopy(obj);
+
+      assert.instanceOf(result.map, Map);
+      assert.notStrictEqual(result.map, obj.map);
+      assert.deepEqual(result.map.get('a'), { b: 1 });
+      assert.notStrictEqual(result.map.get('a'), obj.map.get('a'));
+      assert.instanceOf(result.set, Set);
+      assert.notStrictEqual(result.set, obj.set);
+      assert.deepEqual(Array.from(result.set), [1, { c: 2 }]);
+    });
+
+    it('copies objects without prototypes', function() {
+      const obj = Object.create(null);
+      obj.a = 1;
+      assert.deepEqual(deepCopy({ obj }), { obj: { a: 1 } });
+    });
+
+    it('does not copy instances of custom classes', function() {
+      class Client {}
+      const client = new Client();
+      const result = deepCopy({ client });
+      assert.strictEqual(result.client, client);
+    });
+
+    it('skips keys which can pollute prototypes', function() {
+      const obj = JSON.parse('{"__proto__": {"polluted": 1}, "prototype": 1, "a": 1}');
+      const result = deepCopy(obj);
+
+      assert.deepEqual(result, { a: 1 });
+      assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+    });
+
+    it('copies values referenced more than once', function() {
+      const shared = { a: 1 };
+      assert.deepEqual(deepCopy([shared, shared]), [{ a: 1 }, { a: 1 }]);
+    });
+
+    it('throws naming the path of circular references', function() {
+      const map = new Map();
+      map.set('self', { map });
+      assert.throws(() => deepCopy({ map }), CircularReferenceError, '"map.self.map"');
+    });
+  });
+
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const {
+  displayPath,
+  joinPath,
+  lookup,
+  matchPath,
+  toKeys,
+} = require('../../lib/path');
+
+
+describe('path', function() {
+
+  describe('#toKeys', function() {
+    it('splits dotted paths', function() {
+      assert.deepEqual(toKeys('a.b.0'), ['a', 'b', '0']);
+    });
+
+    it('converts array paths to strings', function() {
+      assert.deepEqual(toKeys(['a', 0]), ['a', '0']);
+    });
+
+    it('throws if path invalid', function() {
+      assert.throws(() => toKeys('a.'), TypeError);
+      assert.throws(() => toKeys([]), TypeError);
+      assert.throws(() => toKeys([null]), TypeError);
+      assert.throws(() => toKeys({}), TypeError);
+    });
+  });
+
+
+  describe('#lookup', function() {
+    it('finds nested values', function() {
+      const obj = { a: { b: [null, 'x'] } };
+      assert.deepEqual(lookup(obj, ['a', 'b', '1']), { found: true, value: 'x' });
+      assert.deepEqual(lookup(obj, ['a', 'b', '0']), { found: true, value: null });
+    });
+
+    it('does not find missing values', function() {
+      const obj = { a: { b: undefined, c: null }, d: 'x' };
+      assert.isFalse(lookup(obj, ['a', 'b']).found);
+      assert.isFalse(lookup(obj, ['a', 'c', 'd']).found);
+      assert.isFalse(lookup(obj, ['d', 'length']).found);
+      assert.isFalse(lookup(obj, ['hasOwnProperty']).found);
+    });
+
+    it('does not look within Maps or instances of custom classes', function() {
+      class Client { constructor() { this.host = 'a'; } }
+      const obj = { client: new Client(), map: new Map([['a', 1]]) };
+      assert.isTrue(lookup(obj, ['client']).found);
+      assert.isFalse(lookup(obj, ['client', 'host']).found);
+      assert.isFalse(lookup(obj, ['map', 'a']).found);
+    });
+  });
+
+
+  describe('#matchPath', function() {
+    it('matches equal paths', function() {
+      assert.isTrue(matchPath(['a', 'b'], ['a', 'b']));
+      assert.isFalse(matchPath(['a', 'b'], ['a', 'c']));
+      assert.isFalse(matchPath(['a'], ['a', 'b']));
+    });
+
+    it('matches any key with "*" segments', function() {
+      assert.isTrue(matchPath(['a', '*'], ['a', 'b']));
+      assert.isTrue(matchPath(['*', 'b'], ['a', 'b']));
+      assert.isFalse(matchPath(['*', 'b'], ['a', 'c']));
+    });
+  });
+
+
+  describe('#joinPath', function() {
+    it('appends keys with dots', function() {
+      assert.strictEqual(joinPath('a.b', 'c'), 'a.b.c');
+      assert.strictEqual(joinPath('a', 0), 'a.0');
+    });
+
+    it('returns the key at the root', function() {
+      assert.strictEqual(joinPath('', 'a'), 'a');
+      assert.strictEqual(joinPath('', 0), '0');
+    });
+  });
+
+
+  describe('#displayPath', function() {
+    it('returns non-empty paths as they are', function() {
+      assert.strictEqual(displayPath('a.b'), 'a.b');
+    });
+
+    it('substitutes the root path', function() {
+      assert.strictEqual(displayPath(''), '(root)');
+    });
+  });
+
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const { compileRules } = require('../../lib/merge');
+const { applyProfiles, assertProfile } = require('../../lib/profiles');
+
+
+describe('profiles', function() {
+
+  describe('#assertProfile', function() {
+    it('returns a single profile as a list', function() {
+      assert.deepEqual(assertProfile('production'), ['production']);
+    });
+
+    it('returns a copy of a list of profiles', function() {
+      const profile = ['production', 'eu'];
+      const result = assertProfile(profile);
+      assert.deepEqual(result, ['production', 'eu']);
+      assert.notStrictEqual(result, profile);
+    });
+
+    it('returns no profiles without the option', function() {
+      assert.deepEqual(assertProfile(), []);
+      assert.deepEqual(assertProfile(null), []);
+      assert.deepEqual(assertProfile([]), []);
+    });
+
+    it('throws if profile invalid', function() {
+      assert.throws(() => assertProfile(''), TypeError);
+      assert.throws(() => assertProfile(42), TypeError);
+      assert.throws(() => assertProfile({}), TypeError);
+      assert.throws(() => assertProfile(['a', '']), TypeError);
+      assert.throws(() => assertProfile(['a', 42]), TypeError);
+    });
+  });
+
+
+  describe('#applyProfiles', function() {
+    it('merges the active profile over the fragment', function() {
+      const fragment = {
+        db: { host: 'localhost', port: 5432 },
+        debug: true,
+        $profiles: {
+          production: { db: { host: 'db.example.com' }, debug: false },
+          test: { db: { port: 5433 } },
+        },
+      };
+
+      assert.deepEqual(applyProfiles(fragment, ['production']), {
+        db: { host: 'db.example.com', port: 5432 },
+        debug: false,
+      });
+    });
+
+    it('merges several profiles in order', function() {
+      const fragment = {
+        a: 1,
+        $profiles: {
+          x: { a: 2, b: 2 },
+          y: { b: 3 },
+        },
+      };
+
+      assert.deepEqual(applyProfiles(fragment, ['y', 'x']), { a: 2, b: 2 });
+      assert.deepEqual(applyProfiles(fragment, ['x', 'y']), { a: 2, b: 3 });
+    });
+
+    it('ignores profiles without sections', function() {
+      const fragment = { a: 1, $profiles: { x: { a: 2 } } };
+      assert.deepEqual(applyProfiles(fragment, ['y']), { a: 1 });
+      assert.deepEqual(applyProfiles(fragment, []), { a: 1 });
+    });
+
+    it('does not modify the fragment', function() {
+      const fragment = { a: { b: 1 }, $profiles: { x: { a: { b: 2 } } } };
+      applyProfiles(fragment, ['x']);
+      assert.deepEqual(fragment, { a: { b: 1 }, $profiles: { x: { a: { b: 2 } } } });
+    });
+
+    it('returns fragments without sections as-is', function() {
+      const fragment = { a: 1 };
+      assert.strictEqual(applyProfiles(fragment, ['x']), fragment);
+      assert.strictEqual(applyProfiles(null, ['x']), null);
+      assert.deepEqual(applyProfiles([1], ['x']), [1]);
+    });
+
+    it('merges using the given rules', function() {
+      const fragment = {
+        list: [1, 2],
+        $profiles: { x: { list: [2, 3] } },
+      };
+      const options = { rules: compileRules({ list: 'union' }) };
+
+      assert.deepEqual(applyProfiles(fragment, ['x']), { list: [2, 3] });
+      assert.deepEqual(applyProfiles(fragment, ['x'], options), { list: [1, 2, 3] });
+    });
+
+    it('throws if sections invalid', function() {
+      assert.throws(() => applyProfiles({ $profiles: 42 }, ['x']), TypeError);
+      assert.throws(() => applyProfiles({ $profiles: null }, ['x']), TypeError);
+      assert.throws(() => applyProfiles({ $profiles: { x: [] } }, ['x']), TypeError);
+      assert.throws(() => applyProfiles({ $profiles: { y: 42 } }, ['x']), TypeError);
+    });
+  });
+
+});
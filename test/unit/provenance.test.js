@@ -0,0 +1,170 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const { compileRules, strategies } = require('../../lib/merge');
+const {
+  eachLeaf,
+  findSource,
+  ownerOf,
+  trace,
+} = require('../../lib/provenance');
+
+
+describe('provenance', function() {
+
+  const firstInWins = {
+    strategy: strategies.firstInWins,
+    rules: compileRules(),
+  };
+
+  const lastInWins = {
+    strategy: strategies.lastInWins,
+    rules: compileRules(),
+  };
+
+  const source = (name, fragment, mergeOptions = firstInWins) => ({
+    name,
+    fragment,
+    mergeOptions,
+  });
+
+
+  describe('#eachLeaf', function() {
+    it('visits leaf paths', function() {
+      const paths = [];
+      eachLeaf({ a: { 'b.c': 1, c: [1] }, d: {} }, ['x'], x => paths.push(x));
+      assert.deepEqual(paths, [['x', 'a', 'b.c'], ['x', 'a', 'c'], ['x', 'd']]);
+    });
+  });
+
+
+  describe('#findSource', function() {
+    it('finds first source with first-in-wins', function() {
+      const sources = [
+        source('a', { ttl: 30 }),
+        source('b', { ttl: 60 }),
+      ];
+
+      assert.deepEqual(findSource(sources, ['ttl']), {
+        source: 'a',
+        candidates: [
+          { source: 'a', value: 30 },
+          { source: 'b', value: 60 },
+        ],
+        winner: 0,
+      });
+    });
+
+    it('finds last source with last-in-wins', function() {
+      const sources = [
+        source('a', { ttl: 30 }),
+        source('b', { ttl: 60 }, lastInWins),
+        source('c', { ttl: 60 }, lastInWins),
+      ];
+
+      const result = findSource(sources, ['ttl']);
+      assert.strictEqual(result.source, 'b');
+      assert.strictEqual(result.winner, 1);
+    });
+
+    it('finds source which last changed an object', function() {
+      const sources = [
+        source('a', { db: { host: 'x' } }),
+        source('b', { db: { host: 'y', port: 1 } }),
+        source('c', { other: 1 }),
+      ];
+
+      const result = findSource(sources, ['db']);
+      assert.strictEqual(result.source, 'b');
+      assert.deepEqual(result.candidates[0].value, { host: 'x' });
+    });
+
+    it('finds no source for missing paths', function() {
+      const result = findSource([source('a', { b: 1 })], ['c']);
+      assert.isUndefined(result.source);
+      assert.strictEqual(result.winner, -1);
+      assert.deepEqual(result.candidates, []);
+    });
+
+    it('finds source which changed a value without supplying it', function() {
+      const sources = [
+        source('a', { list: [1] }),
+        source('b', { list: [2] }),
+      ];
+
+      const result = findSource(sources, ['list', '1']);
+      assert.strictEqual(result.source, 'b');
+      assert.strictEqual(result.winner, -1);
+    });
+  });
+
+
+  describe('#trace', function() {
+    it('maps leaf paths to sources', function() {
+      const owners = trace([
+        source('a', { db: { host: 'x' }, ttl: 30 }),
+        source('b', { db: { port: 1 }, ttl: 60 }),
+        source('c', { db: { host: 'z' } }, lastInWins),
+      ]);
+
+      assert.deepEqual(Array.from(owners.values(), x => x.path.join('.')).sort(), [
+        'db.host',
+        'db.port',
+        'ttl',
+      ]);
+      assert.strictEqual(ownerOf(owners, ['db', 'host']), 'c');
+      assert.strictEqual(ownerOf(owners, ['db', 'port']), 'b');
+      assert.strictEqual(ownerOf(owners, ['ttl']), 'a');
+    });
+
+    it('distinguishes keys containing dots from nested keys', function() {
+      const owners = trace([
+        source('a', { a: { b: 1 } }),
+        source('b', { 'a.b': 2 }),
+      ]);
+
+      assert.strictEqual(ownerOf(owners, ['a', 'b']), 'a');
+      assert.strictEqual(ownerOf(owners, ['a.b']), 'b');
+    });
+
+    it('replaces sources of values within replaced objects', function() {
+      const owners = trace([
+        source('a', { db: { host: 'x', port: 1 } }),
+        source('b', { db: 'none' }, lastInWins),
+      ]);
+
+      assert.deepEqual(Array.from(owners.values()), [{ path: ['db'], source: 'b' }]);
+    });
+
+    it('removes sources of removed values', function() {
+      const remove = {
+        strategy: () => ({}),
+        rules: compileRules(),
+      };
+
+      const owners = trace([
+        source('a', { db: { host: 'x' } }),
+        source('b', { db: { port: 1 } }, remove),
+      ]);
+
+      assert.strictEqual(owners.size, 0);
+    });
+  });
+
+
+  describe('#ownerOf', function() {
+    it('finds the source of values within leaves', function() {
+      const owners = trace([source('a', { list: [1, 2] })]);
+      assert.strictEqual(ownerOf(owners, ['list']), 'a');
+      assert.strictEqual(ownerOf(owners, ['list', '1']), 'a');
+    });
+
+    it('finds no source for missing paths', function() {
+      const owners = trace([source('a', { b: 1 })]);
+      assert.isUndefined(ownerOf(owners, ['c']));
+      assert.isUndefined(ownerOf(owners, ['c', 'b']));
+    });
+  });
+
+});
@@ -0,0 +1,642 @@
+'use strict';
+
+const { assert } = require('chai');
+const { EventEmitter } = require('events');
+
+const {
+  AbortError,
+  CircularReferenceError,
+  LimitError,
+  ProviderError,
+  TimeoutError,
+} = require('../../lib/errors');
+const {
+  assertProvider,
+  fetchFragment,
+  invoke,
+  isOptional,
+  nameOf,
+  subscribe,
+} = require('../../lib/provider');
+
+
+/*
+  Builds an object which behaves like an AbortController, whose "listeners"
+  method counts the listeners of its signal.
+*/
+const controller = () => {
+  const emitter = new EventEmitter();
+  const signal = {
+    aborted: false,
+    addEventListener: (name, fn) => emitter.on(name, fn),
+    removeEventListener: (name, fn) => emitter.removeListener(name, fn),
+  };
+
+  return {
+    signal,
+    abort: () => {
+      signal.aborted = true;
+      emitter.emit('abort');
+    },
+    listeners: () => emitter.listenerCount('abort'),
+  };
+};
+
+
+/*
+  Returns a Promise which resolves after the given number of milliseconds.
+*/
+const delay = ms => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+
+describe('provider', function() {
+
+  describe('#assertProvider', function() {
+    it('accepts functions', function() {
+      assertProvider(() => ({}));
+    });
+
+    it('accepts objects', function() {
+      assertProvider({ load() { return {}; } });
+      assertProvider({ foo: 'bar' });
+    });
+
+    it('accepts instances of classes with a load() method', function() {
+      class Remote {
+        constructor() { this.value = {}; }
+        load() { return this.value; }
+      }
+
+      assertProvider(new Remote());
+    });
+
+    it('throws if an instance of a class without a load() method', function() {
+      class Remote {}
+      assert.throws(() => assertProvider(new Remote()), TypeError);
+      assert.throws(() => assertProvider(new Map()), TypeError);
+    });
+
+    it('throws if null', function() {
+      assert.throws(() => {
+        assertProvider(null);
+      }, TypeError);
+    });
+
+    it('throws if scalar', function() {
+      assert.throws(() => {
+        assertProvider('blah');
+      }, TypeError);
+    });
+
+    it('accepts valid policies', function() {
+      const load = () => ({});
+
+      assertProvider({ load, optional: true, timeout: 100 });
+      assertProvider({ load, timeout: Infinity });
+      assertProvider({ load, retry: {} });
+      assertProvider({
+        load,
+        retry: { retries: 0, delay: 0, factor: 1 },
+      });
+      assertProvider({ load, limits: { maxDepth: 4, maxKeys: Infinity } });
+    });
+
+    it('ignores policies of static objects', function() {
+      assertProvider({ optional: 'yes', timeout: -1, retry: 42 });
+    });
+
+    it('throws if optional not a Boolean', function() {
+      assert.throws(() => assertProvider({
+        load() { return {}; },
+        optional: 'yes',
+      }), TypeError);
+    });
+
+    it('throws if timeout not a positive number', function() {
+      const provider = () => ({});
+
+      [0, -1, '100', NaN].forEach((timeout) => {
+        provider.timeout = timeout;
+        assert.throws(() => assertProvider(provider), TypeError);
+      });
+    });
+
+    it('throws if retry invalid', function() {
+      const provider = () => ({});
+
+      [
+        42,
+        [],
+        { retries: -1 },
+        { retries: 1.5 },
+        { delay: -1 },
+        { delay: '1' },
+        { factor: 0.5 },
+      ].forEach((retry) => {
+        provider.retry = retry;
+        assert.throws(() => assertProvider(provider), TypeError);
+      });
+    });
+
+    it('throws if limits invalid', function() {
+      const provider = () => ({});
+
+      [42, [], { maxDepth: 0 }, { maxKeys: 1.5 }].forEach((limits) => {
+        provider.limits = limits;
+        assert.throws(() => assertProvider(provider), TypeError, 'Provider property "limits');
+      });
+    });
+  });
+
+
+  describe('#isOptional', function() {
+    it('returns true if optional', function() {
+      assert.isTrue(isOptional({ load() { return {}; }, optional: true }));
+    });
+
+    it('returns false otherwise', function() {
+      assert.isFalse(isOptional({ load() { return {}; } }));
+      assert.isFalse(isOptional({ optional: true }));
+    });
+  });
+
+
+  describe('#fetchFragment', function() {
+    it('resolves with fragment', async function() {
+      assert.deepEqual(await fetchFragment(() => ({ a: 1 }), 'a'), { a: 1 });
+    });
+
+    it('rejects with ProviderError naming provider', async function() {
+      const error = new Error('Test');
+
+      try {
+        await fetchFragment(() => Promise.reject(error), 'remote');
+      } catch (err) {
+        assert.instanceOf(err, ProviderError);
+        assert.strictEqual(err.provider, 'remote');
+        assert.strictEqual(err.cause, error);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('retries with backoff', async function() {
+      const times = [];
+      const provider = {
+        retry: { retries: 2, delay: 5, factor: 3 },
+        load() {
+          times.push(Date.now());
+          if (times.length < 3) return Promise.reject(new Error('Test'));
+          return Promise.resolve({ a: times.length });
+        },
+      };
+
+      assert.deepEqual(await fetchFragment(provider, 'a'), { a: 3 });
+      assert.isAtLeast(times[1] - times[0], 4);
+      assert.isAtLeast(times[2] - times[1], 14);
+    });
+
+    it('rejects once retries exhausted', async function() {
+      let calls = 0;
+      const provider = {
+        retry: { retries: 1, delay: 1 },
+        load() {
+          calls++;
+          return Promise.reject(new Error(`Test ${calls}`));
+        },
+      };
+
+      try {
+        await fetchFragment(provider, 'a');
+      } catch (err) {
+        assert.strictEqual(calls, 2);
+        assert.strictEqual(err.cause.message, 'Test 2');
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('uses default retry policy', async function() {
+      let calls = 0;
+      const provider = {
+        retry: { delay: 1 },
+        load() {
+          calls++;
+          return Promise.reject(new Error('Test'));
+        },
+      };
+
+      try {
+        await fetchFragment(provider, 'a');
+      } catch (err) {
+        assert.strictEqual(calls, 4);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('rejects with TimeoutError when too slow', async function() {
+      const provider = {
+        timeout: 5,
+        load(callback) { setTimeout(() => callback(undefined, {}), 50); },
+      };
+
+      try {
+        await fetchFragment(provider, 'slow');
+      } catch (err) {
+        assert.instanceOf(err, TimeoutError);
+        assert.strictEqual(err.provider, 'slow');
+        assert.strictEqual(err.timeout, 5);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('retries after timeouts', async function() {
+      let calls = 0;
+      const provider = {
+        timeout: 5,
+        retry: { retries: 1, delay: 1 },
+        load(callback) {
+          calls++;
+          const ms = (calls === 1) ? 50 : 1;
+          setTimeout(() => callback(undefined, { calls }), ms);
+        },
+      };
+
+      assert.deepEqual(await fetchFragment(provider, 'a'), { calls: 2 });
+    });
+
+    it('resolves before timeout', async function() {
+      const provider = { timeout: 50, load: () => ({ a: 1 }) };
+      assert.deepEqual(await fetchFragment(provider, 'a'), { a: 1 });
+    });
+
+    it('rejects before timeout', async function() {
+      const provider = {
+        timeout: 50,
+        load: () => Promise.reject(new Error('Test')),
+      };
+
+      try {
+        await fetchFragment(provider, 'a');
+      } catch (err) {
+        assert.notInstanceOf(err, TimeoutError);
+        assert.instanceOf(err, ProviderError);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('ignores policies of static objects', async function() {
+      const fragment = { timeout: 1, retry: {} };
+      assert.strictEqual(await fetchFragment(fragment, 'a'), fragment);
+    });
+
+    it('rejects with AbortError without loading when already aborted', async function() {
+      const ctrl = controller();
+      let calls = 0;
+      ctrl.abort();
+
+      try {
+        await fetchFragment(() => { calls++; return {}; }, 'a', { signal: ctrl.signal });
+      } catch (err) {
+        assert.instanceOf(err, AbortError);
+        assert.strictEqual(calls, 0);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('stops retrying once aborted', async function() {
+      const ctrl = controller();
+      let calls = 0;
+      const provider = {
+        retry: { retries: 5, delay: 300 },
+        load: () => {
+          calls++;
+          return Promise.reject(new Error('Test'));
+        },
+      };
+
+      const fetching = fetchFragment(provider, 'a', { signal: ctrl.signal });
+      await delay(20);
+      ctrl.abort();
+
+      try {
+        await fetching;
+      } catch (err) {
+        assert.instanceOf(err, AbortError);
+        await delay(20);
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(ctrl.listeners(), 0);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('does not retry attempts failing after abort', async function() {
+      const ctrl = controller();
+      let calls = 0;
+      const provider = {
+        retry: { retries: 5, delay: 0 },
+        load: () => {
+          calls++;
+          ctrl.abort();
+          return Promise.reject(new Error('Test'));
+        },
+      };
+
+      try {
+        await fetchFragment(provider, 'a', { signal: ctrl.signal });
+      } catch (err) {
+        assert.instanceOf(err, AbortError);
+        assert.strictEqual(calls, 1);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('stops waiting for the timeout once aborted', async function() {
+      const ctrl = controller();
+      const provider = { timeout: 1000, load: () => new Promise(() => {}) };
+      const fetching = fetchFragment(provider, 'a', { signal: ctrl.signal });
+
+      ctrl.abort();
+
+      try {
+        await fetching;
+      } catch (err) {
+        assert.instanceOf(err, AbortError);
+        assert.strictEqual(ctrl.listeners(), 0);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('stops listening for abort once loaded', async function() {
+      const ctrl = controller();
+      const provider = {
+        timeout: 1000,
+        retry: { retries: 1, delay: 0 },
+        calls: 0,
+        load() {
+          this.calls++;
+          return (this.calls === 1) ? Promise.reject(new Error('Test')) : { a: 1 };
+        },
+      };
+
+      const fragment = await fetchFragment(provider, 'a', { signal: ctrl.signal });
+      assert.deepEqual(fragment, { a: 1 });
+      assert.strictEqual(ctrl.listeners(), 0);
+    });
+
+    it('gives the signal to providers', async function() {
+      const ctrl = controller();
+      let given;
+
+      await fetchFragment((callback, options) => {
+        given = options.signal;
+        callback(undefined, {});
+      }, 'a', { signal: ctrl.signal });
+
+      assert.strictEqual(given, ctrl.signal);
+    });
+
+    it('rejects fragments which exceed limits', async function() {
+      const provider = { limits: { maxKeys: 1 }, load: () => ({ a: 1, b: 2 }) };
+
+      try {
+        await fetchFragment(provider, 'remote');
+      } catch (err) {
+        assert.instanceOf(err, ProviderError);
+        assert.strictEqual(err.provider, 'remote');
+        assert.instanceOf(err.cause, LimitError);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('does not retry fragments which exceed limits', async function() {
+      let calls = 0;
+      const provider = {
+        limits: { maxDepth: 1 },
+        retry: { retries: 2, delay: 0 },
+        load: () => {
+          calls++;
+          return { a: {} };
+        },
+      };
+
+      try {
+        await fetchFragment(provider, 'a');
+      } catch (err) {
+        assert.instanceOf(err.cause, LimitError);
+        assert.strictEqual(calls, 1);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('uses default limits', async function() {
+      const provider = () => ({ a: { b: 1 } });
+      const limits = { maxDepth: 2 };
+
+      assert.deepEqual(await fetchFragment(provider, 'a', { limits }), { a: { b: 1 } });
+
+      try {
+        await fetchFragment({ a: { b: { c: 1 } } }, 'a', { limits });
+      } catch (err) {
+        assert.instanceOf(err.cause, LimitError);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('prefers limits of the provider to default limits', async function() {
+      const provider = { limits: { maxDepth: 3 }, load: () => ({ a: { b: 1 } }) };
+      const fragment = await fetchFragment(provider, 'a', { limits: { maxDepth: 1 } });
+      assert.deepEqual(fragment, { a: { b: 1 } });
+    });
+
+    it('rejects fragments with circular references', async function() {
+      const fragment = { a: {} };
+      fragment.a.b = fragment;
+
+      try {
+        await fetchFragment(() => fragment, 'a');
+      } catch (err) {
+        assert.instanceOf(err, ProviderError);
+        assert.instanceOf(err.cause, CircularReferenceError);
+        assert.strictEqual(err.cause.path, 'a.b');
+        return;
+      }
+
+      assert.fail();
+    });
+  });
+
+
+  describe('#invoke', function() {
+    it('resolves with static objects as-is', async function() {
+      const fragment = { foo: 'bar' };
+      assert.strictEqual(await invoke(fragment), fragment);
+    });
+
+    it('calls load with callback', async function() {
+      const provider = {
+        load(callback) {
+          setImmediate(() => callback(undefined, { foo: 'bar' }));
+        },
+      };
+
+      assert.deepEqual(await invoke(provider), { foo: 'bar' });
+    });
+
+    it('calls load with provider as "this"', async function() {
+      const provider = {
+        fragment: { foo: 'bar' },
+        load() { return this.fragment; },
+      };
+
+      assert.strictEqual(await invoke(provider), provider.fragment);
+    });
+
+    it('uses Promise returned by load', async function() {
+      const provider = {
+        load(callback) {
+          assert.isFunction(callback);
+          return Promise.resolve({ foo: 'bar' });
+        },
+      };
+
+      assert.deepEqual(await invoke(provider), { foo: 'bar' });
+    });
+
+    it('uses return value of parameterless load', async function() {
+      const provider = {
+        load() { return { foo: 'bar' }; },
+      };
+
+      assert.deepEqual(await invoke(provider), { foo: 'bar' });
+    });
+
+    it('calls function providers', async function() {
+      assert.deepEqual(await invoke(async () => ({ foo: 'bar' })), {
+        foo: 'bar',
+      });
+    });
+
+    it('calls function providers with callback', async function() {
+      const provider = (callback) => { callback(null, { foo: 'bar' }); };
+      assert.deepEqual(await invoke(provider), { foo: 'bar' });
+    });
+
+    it('rejects with callback errors', async function() {
+      const error = new Error('Test');
+      const provider = (callback) => { callback(error); };
+
+      try {
+        await invoke(provider);
+      } catch (err) {
+        assert.strictEqual(err, error);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('rejects when load throws', async function() {
+      const error = new Error('Test');
+      const provider = () => { throw error; };
+
+      try {
+        await invoke(provider);
+      } catch (err) {
+        assert.strictEqual(err, error);
+        return;
+      }
+
+      assert.fail();
+    });
+  });
+
+
+  describe('#nameOf', function() {
+    it('uses name property', function() {
+      assert.strictEqual(nameOf({ name: 'remote', load() {} }, 0), 'remote');
+      assert.strictEqual(nameOf(function remote() {}, 0), 'remote');
+    });
+
+    it('uses class name', function() {
+      class Remote { load() { return this; } }
+      assert.strictEqual(nameOf(new Remote(), 0), 'Remote');
+    });
+
+    it('uses index otherwise', function() {
+      const bare = Object.create(null);
+      bare.load = () => ({});
+      const anonymous = new (class { load() { return this; } })();
+
+      assert.strictEqual(nameOf({ load() {} }, 1), 'provider[1]');
+      assert.strictEqual(nameOf(() => ({}), 2), 'provider[2]');
+      assert.strictEqual(nameOf(bare, 3), 'provider[3]');
+      assert.strictEqual(nameOf(anonymous, 4), 'provider[4]');
+      assert.strictEqual(nameOf({ name: '', load() {} }, 5), 'provider[5]');
+    });
+
+    it('uses index for static configuration objects', function() {
+      assert.strictEqual(nameOf({ name: 'app' }, 0), 'provider[0]');
+    });
+  });
+
+
+  describe('#subscribe', function() {
+    it('calls watch with notify function', function() {
+      const notify = () => 42;
+      const stop = () => 24;
+      let given;
+      const provider = {
+        load() { return {}; },
+        watch(fn) {
+          given = fn;
+          return stop;
+        },
+      };
+
+      assert.strictEqual(subscribe(provider, notify), stop);
+      assert.strictEqual(given, notify);
+    });
+
+    it('watches function providers', function() {
+      const provider = () => ({});
+      provider.watch = () => 42;
+      assert.strictEqual(subscribe(provider, () => 0), 42);
+    });
+
+    it('ignores providers without watch', function() {
+      assert.isUndefined(subscribe({ load() { return {}; } }, () => 0));
+      assert.isUndefined(subscribe(() => ({}), () => 0));
+    });
+
+    it('ignores static configuration objects', function() {
+      let called = false;
+      const provider = { watch() { called = true; } };
+      assert.isUndefined(subscribe(provider, () => 0));
+      assert.isFalse(called);
+    });
+  });
+
+});
@@ -0,0 +1,180 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const ArgvProvider = require('../../../lib/providers/argv');
+
+
+describe('ArgvProvider', function() {
+
+  describe('#constructor', function() {
+    it('throws if options not an object', function() {
+      assert.throws(() => new ArgvProvider(42), TypeError);
+    });
+
+    it('throws if name not a non-empty string', function() {
+      assert.throws(() => new ArgvProvider({ name: '' }), TypeError);
+      assert.throws(() => new ArgvProvider({ name: 42 }), TypeError);
+    });
+
+    it('defaults name to class name', function() {
+      assert.strictEqual(new ArgvProvider().name, 'ArgvProvider');
+      assert.strictEqual(new ArgvProvider({ name: 'cli' }).name, 'cli');
+    });
+
+    it('throws if prefix not a non-empty string', function() {
+      assert.throws(() => new ArgvProvider({ prefix: '' }), TypeError);
+      assert.throws(() => new ArgvProvider({ prefix: 42 }), TypeError);
+    });
+
+    it('throws if coerce not a Boolean', function() {
+      assert.throws(() => new ArgvProvider({ coerce: 'yes' }), TypeError);
+    });
+
+    it('throws if argv not an array of strings', function() {
+      assert.throws(() => new ArgvProvider({ argv: '--foo' }), TypeError);
+      assert.throws(() => new ArgvProvider({ argv: [42] }), TypeError);
+    });
+  });
+
+
+  describe('#load', function() {
+    it('maps dotted names to nested keys', function() {
+      const provider = new ArgvProvider({
+        argv: ['--db.host=localhost', '--db.port=5432', '--name=app'],
+      });
+
+      assert.deepEqual(provider.load(), {
+        db: { host: 'localhost', port: '5432' },
+        name: 'app',
+      });
+    });
+
+    it('sets flags without values to true', function() {
+      const provider = new ArgvProvider({ argv: ['--feature.enabled'] });
+      assert.deepEqual(provider.load(), { feature: { enabled: true } });
+    });
+
+    it('uses the argument following a flag as its value', function() {
+      const provider = new ArgvProvider({
+        argv: ['--db.host', 'localhost', '--port', '80', '--offset', '-1', '--name=app'],
+      });
+
+      assert.deepEqual(provider.load(), {
+        db: { host: 'localhost' },
+        port: '80',
+        offset: '-1',
+        name: 'app',
+      });
+    });
+
+    it('does not use flags or "--" as the value of a flag', function() {
+      const provider = new ArgvProvider({
+        argv: ['--a', '--b', '-v', '--c', '--', 'x'],
+      });
+
+      assert.deepEqual(provider.load(), { a: true, b: true, c: true });
+    });
+
+    it('does not use the argument following a negated flag', function() {
+      const provider = new ArgvProvider({ argv: ['--no-cache', 'serve'] });
+      assert.deepEqual(provider.load(), { cache: false });
+    });
+
+    it('sets negated flags to false', function() {
+      const provider = new ArgvProvider({ argv: ['--no-feature.enabled'] });
+      assert.deepEqual(provider.load(), { feature: { enabled: false } });
+    });
+
+    it('does not negate names with values', function() {
+      const provider = new ArgvProvider({ argv: ['--no-cache=yes'] });
+      assert.deepEqual(provider.load(), { 'no-cache': 'yes' });
+    });
+
+    it('keeps text after first "=" as value', function() {
+      const provider = new ArgvProvider({ argv: ['--query=a=b'] });
+      assert.deepEqual(provider.load(), { query: 'a=b' });
+    });
+
+    it('collects repeated names into arrays', function() {
+      const provider = new ArgvProvider({
+        argv: ['--host=a', '--host=b', '--host=c'],
+      });
+
+      assert.deepEqual(provider.load(), { host: ['a', 'b', 'c'] });
+    });
+
+    it('gives nested objects precedence over scalars', function() {
+      const provider = new ArgvProvider({
+        argv: ['--db=x', '--db.host=localhost', '--db=y'],
+      });
+
+      assert.deepEqual(provider.load(), { db: { host: 'localhost' } });
+    });
+
+    it('ignores arguments without prefix', function() {
+      const provider = new ArgvProvider({
+        argv: ['serve', '-v', '--port=80'],
+      });
+
+      assert.deepEqual(provider.load(), { port: '80' });
+    });
+
+    it('ignores names with empty keys', function() {
+      const provider = new ArgvProvider({ argv: ['--db..host=x', '--=y'] });
+      assert.deepEqual(provider.load(), {});
+    });
+
+    it('ignores names with keys which can pollute prototypes', function() {
+      const provider = new ArgvProvider({
+        argv: ['--__proto__.polluted=1', '--a.constructor.prototype.polluted=1', '--b=2'],
+      });
+
+      assert.deepEqual(provider.load(), { b: '2' });
+      assert.isUndefined({}.polluted);
+    });
+
+    it('stops at "--"', function() {
+      const provider = new ArgvProvider({ argv: ['--a=1', '--', '--b=2'] });
+      assert.deepEqual(provider.load(), { a: '1' });
+    });
+
+    it('uses given prefix', function() {
+      const provider = new ArgvProvider({
+        prefix: '--config.',
+        argv: ['--config.db.host=localhost', '--config.debug', '--verbose'],
+      });
+
+      assert.deepEqual(provider.load(), { db: { host: 'localhost' }, debug: true });
+    });
+
+    it('coerces values when coerce is true', function() {
+      const provider = new ArgvProvider({
+        coerce: true,
+        argv: ['--port=8080', '--debug=false', '--tags=["a","b"]', '--name=x', '--retries', '3'],
+      });
+
+      assert.deepEqual(provider.load(), {
+        port: 8080,
+        debug: false,
+        tags: ['a', 'b'],
+        name: 'x',
+        retries: 3,
+      });
+    });
+
+    it('loads process arguments by default', function() {
+      const { argv } = process;
+      const original = argv.slice();
+      argv.splice(2, argv.length, '--kibbutz-test=yes');
+
+      try {
+        const provider = new ArgvProvider();
+        assert.deepEqual(provider.load(), { 'kibbutz-test': 'yes' });
+      } finally {
+        argv.splice(0, argv.length, ...original);
+      }
+    });
+  });
+
+});
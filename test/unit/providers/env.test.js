@@ -0,0 +1,187 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const EnvProvider = require('../../../lib/providers/env');
+
+
+describe('EnvProvider', function() {
+
+  describe('#constructor', function() {
+    it('throws if options not an object', function() {
+      assert.throws(() => new EnvProvider(), TypeError);
+      assert.throws(() => new EnvProvider(42), TypeError);
+    });
+
+    it('throws if name not a non-empty string', function() {
+      assert.throws(() => new EnvProvider({ name: '', env: {} }), TypeError);
+      assert.throws(() => new EnvProvider({ name: 42, env: {} }), TypeError);
+    });
+
+    it('defaults name to class name', function() {
+      assert.strictEqual(new EnvProvider({ env: {} }).name, 'EnvProvider');
+      assert.strictEqual(new EnvProvider({ name: 'env', env: {} }).name, 'env');
+    });
+
+    it('throws if prefix not a string', function() {
+      assert.throws(() => new EnvProvider({ prefix: 42, env: {} }), TypeError);
+    });
+
+    it('throws if separator not a non-empty string', function() {
+      assert.throws(() => new EnvProvider({ separator: '', env: {} }), TypeError);
+      assert.throws(() => new EnvProvider({ separator: 42, env: {} }), TypeError);
+    });
+
+    it('throws if coerce not a Boolean', function() {
+      assert.throws(() => new EnvProvider({ coerce: 'yes', env: {} }), TypeError);
+    });
+
+    it('throws if transformKey not a function', function() {
+      assert.throws(() => new EnvProvider({ transformKey: 42, env: {} }), TypeError);
+    });
+
+    it('throws if env not an object', function() {
+      assert.throws(() => new EnvProvider({}), TypeError);
+      assert.throws(() => new EnvProvider({ env: 42 }), TypeError);
+      assert.throws(() => new EnvProvider({ env: [] }), TypeError);
+    });
+  });
+
+
+  describe('#load', function() {
+    it('maps prefixed variables to nested keys', function() {
+      const provider = new EnvProvider({
+        prefix: 'APP',
+        env: {
+          APP__DB__HOST: 'localhost',
+          APP__DB__PORT: '5432',
+          APP__NAME: 'app',
+          OTHER__NAME: 'other',
+          APPLICATION: 'nope',
+        },
+      });
+
+      assert.deepEqual(provider.load(), {
+        db: { host: 'localhost', port: '5432' },
+        name: 'app',
+      });
+    });
+
+    it('loads all variables without prefix', function() {
+      const provider = new EnvProvider({ env: { FOO: 'bar', BAZ__QUX: 'x' } });
+      assert.deepEqual(provider.load(), { foo: 'bar', baz: { qux: 'x' } });
+    });
+
+    it('splits names on given separator', function() {
+      const provider = new EnvProvider({
+        prefix: 'APP',
+        separator: '_',
+        env: { APP_DB_HOST: 'localhost' },
+      });
+
+      assert.deepEqual(provider.load(), { db: { host: 'localhost' } });
+    });
+
+    it('skips names with empty keys', function() {
+      const provider = new EnvProvider({
+        prefix: 'APP',
+        env: { APP__DB____HOST: 'localhost', APP__: 'x' },
+      });
+
+      assert.deepEqual(provider.load(), {});
+    });
+
+    it('ignores names with keys which can pollute prototypes', function() {
+      const provider = new EnvProvider({
+        prefix: 'APP',
+        separator: '.',
+        env: {
+          'APP.__PROTO__.POLLUTED': '1',
+          'APP.A.CONSTRUCTOR.PROTOTYPE': '1',
+          'APP.B': '2',
+        },
+      });
+
+      assert.deepEqual(provider.load(), { b: '2' });
+      assert.isUndefined({}.polluted);
+    });
+
+    it('transforms keys with transformKey', function() {
+      const provider = new EnvProvider({
+        prefix: 'APP',
+        transformKey: x => x.toLowerCase().replace(/_(.)/g, (m, c) => c.toUpperCase()),
+        env: { APP__DB__MAX_POOL: '10' },
+      });
+
+      assert.deepEqual(provider.load(), { db: { maxPool: '10' } });
+    });
+
+    it('gives nested objects precedence over scalars', function() {
+      const provider = new EnvProvider({
+        prefix: 'APP',
+        env: {
+          APP__DB: 'x',
+          APP__DB__HOST: 'localhost',
+          APP__CACHE__TTL: '30',
+          APP__CACHE: 'y',
+          APP__cache: 'z',
+        },
+      });
+
+      assert.deepEqual(provider.load(), {
+        cache: { ttl: '30' },
+        db: { host: 'localhost' },
+      });
+    });
+
+    it('replaces null values with later values', function() {
+      const provider = new EnvProvider({
+        coerce: true,
+        env: { APP__X: 'null', APP__x: '1' },
+      });
+
+      assert.deepEqual(provider.load(), { app: { x: 1 } });
+    });
+
+    it('does not coerce values by default', function() {
+      const provider = new EnvProvider({ env: { PORT: '8080' } });
+      assert.strictEqual(provider.load().port, '8080');
+    });
+
+    it('coerces values when coerce is true', function() {
+      const provider = new EnvProvider({
+        coerce: true,
+        env: {
+          INT: '8080',
+          FLOAT: '-1.5',
+          EXP: '1e3',
+          ZIP: '02134',
+          YES: 'true',
+          NO: 'false',
+          NIL: 'null',
+          OBJ: '{"a":1}',
+          ARR: '[1,2]',
+          QUOTED: '"42"',
+          BAD: '{nope',
+          STR: 'hello',
+        },
+      });
+
+      assert.deepEqual(provider.load(), {
+        int: 8080,
+        float: -1.5,
+        exp: 1000,
+        zip: '02134',
+        yes: true,
+        no: false,
+        nil: null,
+        obj: { a: 1 },
+        arr: [1, 2],
+        quoted: '42',
+        bad: '{nope',
+        str: 'hello',
+      });
+    });
+  });
+
+});
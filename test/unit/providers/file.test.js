@@ -0,0 +1,260 @@
+'use strict';
+
+const { assert } = require('chai');
+const path = require('path');
+
+const { ParseError } = require('../../../lib/errors');
+const FileProvider = require('../../../lib/providers/file');
+
+
+const fixtures = path.join(__dirname, '../../fixtures/file');
+
+
+describe('FileProvider', function() {
+
+  describe('#constructor', function() {
+    it('throws if options not an object', function() {
+      assert.throws(() => new FileProvider(42), TypeError);
+    });
+
+    it('throws if name not a non-empty string', function() {
+      assert.throws(() => new FileProvider({ name: '' }), TypeError);
+      assert.throws(() => new FileProvider({ name: 42 }), TypeError);
+    });
+
+    it('defaults name to class name', function() {
+      assert.strictEqual(new FileProvider().name, 'FileProvider');
+      assert.strictEqual(new FileProvider({ name: 'files' }).name, 'files');
+    });
+
+    it('throws if dir not a non-empty string', function() {
+      assert.throws(() => new FileProvider({ dir: '' }), TypeError);
+      assert.throws(() => new FileProvider({ dir: 42 }), TypeError);
+    });
+
+    it('throws if env not a non-empty string', function() {
+      assert.throws(() => new FileProvider({ env: '' }), TypeError);
+      assert.throws(() => new FileProvider({ env: 42 }), TypeError);
+    });
+
+    it('throws if files not an array of strings', function() {
+      assert.throws(() => new FileProvider({ files: 'default' }), TypeError);
+      assert.throws(() => new FileProvider({ files: [''] }), TypeError);
+    });
+
+    it('throws if extensions not supported', function() {
+      assert.throws(() => new FileProvider({ extensions: ['json'] }), TypeError);
+      assert.throws(() => new FileProvider({ extensions: ['.txt'] }), TypeError);
+      assert.throws(() => new FileProvider({ extensions: '.json' }), TypeError);
+    });
+
+    it('accepts extensions of supported formats', function() {
+      const extensions = ['.yaml', '.yml', '.toml', '.ini', '.env'];
+      assert.deepEqual(new FileProvider({ extensions }).extensions, extensions);
+    });
+
+    it('accepts any extension when format given', function() {
+      const provider = new FileProvider({ extensions: ['.conf'], format: 'ini' });
+      assert.strictEqual(provider.format, 'ini');
+    });
+
+    it('throws if format unknown', function() {
+      assert.throws(() => new FileProvider({ format: 'xml' }), TypeError);
+      assert.throws(() => new FileProvider({ format: 42 }), TypeError);
+    });
+
+    it('defaults dir to "config"', function() {
+      const provider = new FileProvider();
+      assert.strictEqual(provider.dir, 'config');
+    });
+
+    it('defaults env to "development"', function() {
+      const provider = new FileProvider({});
+      assert.strictEqual(provider.env, 'development');
+    });
+  });
+
+
+  describe('#paths', function() {
+    it('returns full paths of cascading files', function() {
+      const provider = new FileProvider({ dir: fixtures, env: 'production' });
+      assert.deepEqual(provider.paths, [
+        path.join(fixtures, 'default.json'),
+        path.join(fixtures, 'default.js'),
+        path.join(fixtures, 'production.json'),
+        path.join(fixtures, 'production.js'),
+        path.join(fixtures, 'local.json'),
+        path.join(fixtures, 'local.js'),
+      ]);
+    });
+
+    it('uses given files and extensions', function() {
+      const provider = new FileProvider({
+        dir: fixtures,
+        env: 'qa',
+        files: ['base', 'env-{env}'],
+        extensions: ['.js'],
+      });
+      assert.deepEqual(provider.paths, [
+        path.join(fixtures, 'base.js'),
+        path.join(fixtures, 'env-qa.js'),
+      ]);
+    });
+  });
+
+
+  describe('#load', function() {
+    it('cascades files with later files overriding earlier', async function() {
+      const provider = new FileProvider({
+        dir: path.join(fixtures, 'cascade'),
+        env: 'production',
+      });
+
+      assert.deepEqual(await provider.load(), {
+        name: 'local',
+        db: {
+          host: 'db.example.com',
+          port: 5432,
+        },
+        hosts: ['c'],
+        local: true,
+      });
+    });
+
+    it('replaces arrays of earlier files', async function() {
+      const dir = path.join(fixtures, 'cascade');
+
+      const defaults = await new FileProvider({ dir, env: 'test' }).load();
+      assert.deepEqual(defaults.hosts, ['a', 'b']);
+
+      const production = await new FileProvider({ dir, env: 'production' }).load();
+      assert.deepEqual(production.hosts, ['c']);
+    });
+
+    it('skips files which do not exist', async function() {
+      const provider = new FileProvider({
+        dir: path.join(fixtures, 'cascade'),
+        env: 'staging',
+        files: ['default', '{env}'],
+      });
+
+      const result = await provider.load();
+      assert.strictEqual(result.name, 'default');
+    });
+
+    it('resolves with empty object when dir does not exist', async function() {
+      const provider = new FileProvider({ dir: path.join(fixtures, 'nope') });
+      assert.deepEqual(await provider.load(), {});
+    });
+
+    it('rejects with ParseError naming invalid JSON file', async function() {
+      const dir = path.join(fixtures, 'invalid-json');
+      const provider = new FileProvider({ dir });
+
+      try {
+        await provider.load();
+      } catch (err) {
+        assert.instanceOf(err, ParseError);
+        assert.strictEqual(err.path, path.join(dir, 'default.json'));
+        assert.include(err.message, err.path);
+        assert.instanceOf(err.cause, SyntaxError);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('loads files of each format by extension', async function() {
+      const provider = new FileProvider({
+        dir: path.join(fixtures, 'formats'),
+        files: ['default'],
+        extensions: ['.yaml', '.toml', '.ini', '.env', '.json'],
+      });
+
+      assert.deepEqual(await provider.load(), {
+        db: {
+          host: 'localhost',
+          port: 5433,
+          user: 'toml',
+          name: 'ini',
+        },
+        tags: ['a', 'b'],
+        SECRET: 'dotenv',
+      });
+    });
+
+    it('loads files in the given format', async function() {
+      const provider = new FileProvider({
+        dir: path.join(fixtures, 'formats'),
+        files: ['settings'],
+        extensions: ['.conf'],
+        format: 'ini',
+      });
+
+      assert.deepEqual(await provider.load(), { server: { port: '80' } });
+    });
+
+    it('rejects with ParseError naming invalid YAML file', async function() {
+      const dir = path.join(fixtures, 'invalid-yaml');
+      const provider = new FileProvider({ dir, extensions: ['.yaml'] });
+
+      try {
+        await provider.load();
+      } catch (err) {
+        assert.instanceOf(err, ParseError);
+        assert.strictEqual(err.path, path.join(dir, 'default.yaml'));
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('rejects with ParseError naming invalid JS file', async function() {
+      const dir = path.join(fixtures, 'invalid-js');
+      const provider = new FileProvider({ dir });
+
+      try {
+        await provider.load();
+      } catch (err) {
+        assert.instanceOf(err, ParseError);
+        assert.strictEqual(err.path, path.join(dir, 'default.js'));
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('rejects with ParseError if module not an object', async function() {
+      const provider = new FileProvider({
+        dir: path.join(fixtures, 'not-object'),
+      });
+
+      try {
+        await provider.load();
+      } catch (err) {
+        assert.instanceOf(err, ParseError);
+        return;
+      }
+
+      assert.fail();
+    });
+
+    it('rejects with read errors', async function() {
+      const provider = new FileProvider({
+        dir: fixtures,
+        files: ['directory'],
+        extensions: ['.json'],
+      });
+
+      try {
+        await provider.load();
+      } catch (err) {
+        assert.strictEqual(err.code, 'EISDIR');
+        return;
+      }
+
+      assert.fail();
+    });
+  });
+
+});
@@ -0,0 +1,518 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const {
+  assertSchema,
+  normalize,
+  secretPaths,
+  validate,
+} = require('../../lib/schema');
+
+
+describe('schema', function() {
+
+  describe('#assertSchema', function() {
+    it('accepts valid schemas', function() {
+      assertSchema({
+        type: 'object',
+        required: ['db'],
+        properties: {
+          db: { type: ['object', 'null'] },
+          hosts: { type: 'array', items: { type: 'string' } },
+          level: { enum: ['info', 'debug'] },
+          name: { pattern: '^a' },
+        },
+        additionalProperties: { type: 'string' },
+      });
+    });
+
+    it('throws if schema not an object', function() {
+      assert.throws(() => assertSchema(42), TypeError);
+      assert.throws(() => assertSchema(null), TypeError);
+    });
+
+    it('throws if type unknown', function() {
+      assert.throws(() => assertSchema({ type: 'blah' }), TypeError);
+      assert.throws(() => assertSchema({ type: ['string', 'blah'] }), TypeError);
+    });
+
+    it('throws if properties not an object', function() {
+      assert.throws(() => assertSchema({ properties: 42 }), TypeError);
+    });
+
+    it('throws with path of invalid nested schema', function() {
+      assert.throws(() => {
+        assertSchema({ properties: { db: { properties: { host: 42 } } } });
+      }, TypeError, /db\.host/);
+    });
+
+    it('throws if required not an array of strings', function() {
+      assert.throws(() => assertSchema({ required: 'foo' }), TypeError);
+      assert.throws(() => assertSchema({ required: [42] }), TypeError);
+    });
+
+    it('throws if enum not an array', function() {
+      assert.throws(() => assertSchema({ enum: 'foo' }), TypeError);
+    });
+
+    it('throws if pattern not a string', function() {
+      assert.throws(() => assertSchema({ pattern: /foo/ }), TypeError);
+    });
+
+    it('throws if format not a string', function() {
+      assert.throws(() => assertSchema({ format: 42 }), TypeError);
+    });
+
+    it('throws if secret not a Boolean', function() {
+      assert.throws(() => assertSchema({ secret: 'yes' }), TypeError);
+    });
+
+    it('throws if additionalProperties schema invalid', function() {
+      assert.throws(() => {
+        assertSchema({ additionalProperties: { type: 'blah' } });
+      }, TypeError);
+    });
+
+    it('throws if items schema invalid', function() {
+      assert.throws(() => assertSchema({ items: 42 }), TypeError);
+    });
+  });
+
+
+  describe('#validate', function() {
+    it('returns empty list when valid', function() {
+      const errors = validate({
+        type: 'object',
+        properties: { port: { type: 'integer' } },
+      }, { port: 80 });
+      assert.deepEqual(errors, []);
+    });
+
+    it('checks types', function() {
+      const schema = {
+        properties: {
+          a: { type: 'string' },
+          b: { type: 'number' },
+          c: { type: 'integer' },
+          d: { type: 'boolean' },
+          e: { type: 'null' },
+          f: { type: 'array' },
+          g: { type: 'object' },
+          h: { type: ['string', 'null'] },
+        },
+      };
+
+      const valid = {
+        a: 'x',
+        b: 1.5,
+        c: 1,
+        d: false,
+        e: null,
+        f: [],
+        g: {},
+        h: null,
+      };
+      assert.deepEqual(validate(schema, valid), []);
+
+      const invalid = {
+        a: 1,
+        b: 'x',
+        c: 1.5,
+        d: 'true',
+        e: 0,
+        f: {},
+        g: [],
+        h: 1,
+      };
+      assert.deepEqual(validate(schema, invalid).map(x => x.path), [
+        'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h',
+      ]);
+    });
+
+    it('describes expected and actual types', function() {
+      const errors = validate({ type: 'string' }, null);
+      assert.deepEqual(errors, [{
+        path: '',
+        message: 'must be of type string, but is null',
+      }]);
+    });
+
+    it('names the class of objects other than plain objects', function() {
+      const messages = [new Map(), new Date(0), Object.create({})]
+        .map(x => validate({ type: 'object' }, x)[0].message);
+
+      assert.deepEqual(messages, [
+        'must be of type object, but is Map',
+        'must be of type object, but is Date',
+        'must be of type object, but is Object',
+      ]);
+      assert.deepEqual(
+        validate({ type: 'string' }, Object.create(Object.create(null)))[0].message,
+        'must be of type string, but is object'
+      );
+      assert.deepEqual(validate({ type: 'object' }, Object.create(null)), []);
+    });
+
+    it('checks const and enum', function() {
+      const schema = {
+        properties: {
+          a: { const: { x: 1 } },
+          b: { enum: ['info', 'debug'] },
+        },
+      };
+
+      assert.deepEqual(validate(schema, { a: { x: 1 }, b: 'info' }), []);
+      assert.lengthOf(validate(schema, { a: { x: 2 }, b: 'warn' }), 2);
+    });
+
+    it('checks number ranges', function() {
+      const schema = {
+        properties: {
+          a: { minimum: 1, maximum: 10 },
+          b: { exclusiveMinimum: 1, exclusiveMaximum: 10 },
+        },
+      };
+
+      assert.deepEqual(validate(schema, { a: 1, b: 2 }), []);
+      assert.deepEqual(validate(schema, { a: 10, b: 9 }), []);
+      assert.lengthOf(validate(schema, { a: 0, b: 1 }), 2);
+      assert.lengthOf(validate(schema, { a: 11, b: 10 }), 2);
+    });
+
+    it('checks string lengths and patterns', function() {
+      const schema = { minLength: 2, maxLength: 4, pattern: '^a' };
+
+      assert.deepEqual(validate(schema, 'abc'), []);
+      assert.lengthOf(validate(schema, 'b'), 2);
+      assert.lengthOf(validate(schema, 'abcde'), 1);
+    });
+
+    it('checks array lengths and items', function() {
+      const schema = { minItems: 1, maxItems: 2, items: { type: 'string' } };
+
+      assert.deepEqual(validate(schema, ['a']), []);
+      assert.lengthOf(validate(schema, []), 1);
+      assert.deepEqual(validate(schema, ['a', 1, 'c']).map(x => x.path), [
+        '',
+        '1',
+      ]);
+    });
+
+    it('checks required properties', function() {
+      const schema = {
+        properties: {
+          db: { required: ['host', 'port'] },
+        },
+        required: ['db'],
+      };
+
+      assert.deepEqual(validate(schema, {}), [
+        { path: 'db', message: 'is required' },
+      ]);
+      assert.deepEqual(validate(schema, { db: { host: 'x' } }), [
+        { path: 'db.port', message: 'is required' },
+      ]);
+    });
+
+    it('checks additionalProperties', function() {
+      assert.deepEqual(validate({
+        properties: { a: {} },
+        additionalProperties: false,
+      }, { a: 1, b: 2 }), [{ path: 'b', message: 'is not allowed' }]);
+
+      assert.deepEqual(validate({
+        additionalProperties: { type: 'number' },
+      }, { a: 1, b: 'x' }).map(x => x.path), ['b']);
+
+      assert.deepEqual(validate({
+        additionalProperties: true,
+      }, { a: 1 }), []);
+    });
+
+    it('collects every violation', function() {
+      const schema = {
+        properties: {
+          db: {
+            properties: {
+              host: { type: 'string' },
+              port: { type: 'integer' },
+            },
+          },
+          hosts: { items: { type: 'string' } },
+        },
+      };
+
+      const errors = validate(schema, {
+        db: { host: 42, port: 'x' },
+        hosts: ['a', 1],
+      });
+
+      assert.deepEqual(errors.map(x => x.path), [
+        'db.host',
+        'db.port',
+        'hosts.1',
+      ]);
+    });
+  });
+
+
+  describe('#normalize', function() {
+    it('applies defaults for missing properties', function() {
+      const schema = {
+        properties: {
+          host: { type: 'string', default: 'localhost' },
+          port: { type: 'integer', default: 80 },
+        },
+      };
+
+      assert.deepEqual(normalize(schema, { port: 8080 }), {
+        host: 'localhost',
+        port: 8080,
+      });
+    });
+
+    it('copies default values', function() {
+      const hosts = ['a'];
+      const schema = { properties: { hosts: { default: hosts } } };
+      const result = normalize(schema, {});
+
+      assert.deepEqual(result.hosts, ['a']);
+      assert.notStrictEqual(result.hosts, hosts);
+    });
+
+    it('creates objects holding nested defaults', function() {
+      const schema = {
+        properties: {
+          db: {
+            properties: {
+              host: { default: 'localhost' },
+              pool: { properties: { max: { default: 10 } } },
+            },
+          },
+          name: { type: 'string' },
+        },
+      };
+
+      assert.deepEqual(normalize(schema, {}), {
+        db: { host: 'localhost', pool: { max: 10 } },
+      });
+    });
+
+    it('does not replace null with defaults', function() {
+      const schema = { properties: { db: { default: 'x' } } };
+      assert.deepEqual(normalize(schema, { db: null }), { db: null });
+    });
+
+    it('coerces strings to numbers and integers', function() {
+      const schema = {
+        properties: {
+          a: { type: 'number' },
+          b: { type: 'integer' },
+          c: { type: 'integer' },
+          d: { type: 'number' },
+        },
+      };
+
+      assert.deepEqual(normalize(schema, {
+        a: '1.5',
+        b: '42',
+        c: '1.5',
+        d: ' ',
+      }), {
+        a: 1.5,
+        b: 42,
+        c: '1.5',
+        d: ' ',
+      });
+    });
+
+    it('coerces strings to Booleans and null', function() {
+      const schema = {
+        properties: {
+          a: { type: 'boolean' },
+          b: { type: 'boolean' },
+          c: { type: 'boolean' },
+          d: { type: 'null' },
+          e: { type: 'null' },
+        },
+      };
+
+      assert.deepEqual(normalize(schema, {
+        a: 'true',
+        b: 'false',
+        c: 'yes',
+        d: 'null',
+        e: 'nil',
+      }), {
+        a: true,
+        b: false,
+        c: 'yes',
+        d: null,
+        e: 'nil',
+      });
+    });
+
+    it('coerces JSON strings to objects', function() {
+      const schema = {
+        properties: {
+          a: { type: 'object' },
+          b: { type: 'object' },
+          c: { type: 'object' },
+        },
+      };
+
+      assert.deepEqual(normalize(schema, {
+        a: '{"b":1}',
+        b: '{nope',
+        c: 'nope',
+      }), {
+        a: { b: 1 },
+        b: '{nope',
+        c: 'nope',
+      });
+    });
+
+    it('coerces strings to arrays', function() {
+      const schema = {
+        properties: {
+          a: { type: 'array' },
+          b: { type: 'array', items: { type: 'integer' } },
+          c: { type: 'array' },
+          d: { type: 'array' },
+        },
+      };
+
+      assert.deepEqual(normalize(schema, {
+        a: '[1, "x"]',
+        b: '1, 2,3',
+        c: '',
+        d: '[nope',
+      }), {
+        a: [1, 'x'],
+        b: [1, 2, 3],
+        c: [],
+        d: '[nope',
+      });
+    });
+
+    it('coerces durations to milliseconds', function() {
+      const schema = {
+        properties: {
+          a: { type: 'integer', format: 'duration' },
+          b: { type: 'integer', format: 'duration' },
+          c: { type: 'number', format: 'duration' },
+          d: { type: 'integer', format: 'duration' },
+          e: { type: 'integer', format: 'duration' },
+          f: { type: 'integer', format: 'duration' },
+        },
+      };
+
+      assert.deepEqual(normalize(schema, {
+        a: '500ms',
+        b: '1h30m',
+        c: '1.5s',
+        d: '2d',
+        e: '250',
+        f: '5 minutes',
+      }), {
+        a: 500,
+        b: 5400000,
+        c: 1500,
+        d: 172800000,
+        e: 250,
+        f: '5 minutes',
+      });
+    });
+
+    it('coerces numbers and Booleans to strings', function() {
+      const schema = {
+        properties: {
+          a: { type: 'string' },
+          b: { type: 'string' },
+          c: { type: 'integer' },
+        },
+      };
+
+      assert.deepEqual(normalize(schema, { a: 42, b: true, c: true }), {
+        a: '42',
+        b: 'true',
+        c: true,
+      });
+    });
+
+    it('coerces to the first matching type', function() {
+      const schema = {
+        properties: {
+          a: { type: ['null', 'integer'] },
+          b: { type: ['integer', 'string'] },
+          c: { type: ['boolean', 'integer'] },
+        },
+      };
+
+      assert.deepEqual(normalize(schema, { a: '42', b: 'x', c: 'x' }), {
+        a: 42,
+        b: 'x',
+        c: 'x',
+      });
+    });
+
+    it('leaves values without a type untouched', function() {
+      const schema = { properties: { a: {} } };
+      assert.deepEqual(normalize(schema, { a: '42' }), { a: '42' });
+    });
+
+    it('leaves values of other types untouched', function() {
+      const schema = { properties: { a: { type: 'integer' } } };
+      assert.deepEqual(normalize(schema, { a: [42] }), { a: [42] });
+    });
+
+    it('normalizes array items', function() {
+      const schema = { items: { type: 'number' } };
+      assert.deepEqual(normalize(schema, ['1', 2]), [1, 2]);
+    });
+
+    it('normalizes additional properties', function() {
+      const schema = {
+        properties: { a: { type: 'string' } },
+        additionalProperties: { type: 'boolean' },
+      };
+
+      assert.deepEqual(normalize(schema, { a: 1, b: 'true' }), {
+        a: '1',
+        b: true,
+      });
+    });
+  });
+
+
+  describe('#secretPaths', function() {
+    it('finds secret properties', function() {
+      const schema = {
+        properties: {
+          db: {
+            properties: {
+              host: { type: 'string' },
+              password: { type: 'string', secret: true },
+            },
+          },
+          tokens: { items: { secret: true } },
+          keys: { additionalProperties: { secret: true } },
+          name: { secret: false },
+        },
+      };
+
+      assert.deepEqual(secretPaths(schema), [
+        ['db', 'password'],
+        ['tokens', '*'],
+        ['keys', '*'],
+      ]);
+    });
+
+    it('does not search within secret schemas', function() {
+      const schema = { secret: true, properties: { a: { secret: true } } };
+      assert.deepEqual(secretPaths(schema), [[]]);
+    });
+  });
+
+});
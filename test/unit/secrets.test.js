@@ -0,0 +1,141 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const {
+  compileSecrets,
+  derivedSecrets,
+  mask,
+  redact,
+  within,
+} = require('../../lib/secrets');
+
+
+describe('secrets', function() {
+
+  describe('#compileSecrets', function() {
+    it('matches secret paths and their descendants', function() {
+      const isSecret = compileSecrets(['db.password', 'tokens']);
+      assert.isTrue(isSecret(['db', 'password']));
+      assert.isTrue(isSecret(['tokens', '0']));
+      assert.isFalse(isSecret(['db']));
+      assert.isFalse(isSecret(['db', 'host']));
+    });
+
+    it('matches "*" segments', function() {
+      const isSecret = compileSecrets(['*.password']);
+      assert.isTrue(isSecret(['db', 'password']));
+      assert.isTrue(isSecret(['cache', 'password', 'x']));
+      assert.isFalse(isSecret(['password']));
+    });
+
+    it('matches paths marked secret by a schema', function() {
+      const isSecret = compileSecrets(['a'], {
+        properties: { b: { secret: true } },
+      });
+
+      assert.isTrue(isSecret(['a']));
+      assert.isTrue(isSecret(['b']));
+      assert.isFalse(isSecret(['c']));
+    });
+
+    it('matches nothing by default', function() {
+      assert.isFalse(compileSecrets()(['a']));
+    });
+
+    it('throws if paths invalid', function() {
+      assert.throws(() => compileSecrets('a'), TypeError);
+      assert.throws(() => compileSecrets([42]), TypeError);
+      assert.throws(() => compileSecrets(['a.']), TypeError);
+      assert.throws(() => compileSecrets(['']), TypeError);
+    });
+  });
+
+
+  describe('#redact', function() {
+    it('copies values, replacing secrets', function() {
+      const date = new Date();
+      const value = {
+        db: { host: 'x', password: 'y' },
+        tokens: ['a', 'b'],
+        keys: [{ id: 1, secret: 's' }],
+        date,
+        none: null,
+      };
+      const isSecret = compileSecrets(['db.password', 'tokens', 'keys.*.secret']);
+      const result = redact(value, [], isSecret);
+
+      assert.deepEqual(result, {
+        db: { host: 'x', password: mask },
+        tokens: mask,
+        keys: [{ id: 1, secret: mask }],
+        date,
+        none: null,
+      });
+      assert.strictEqual(mask, '[REDACTED]');
+      assert.strictEqual(value.db.password, 'y');
+      assert.notStrictEqual(result.db, value.db);
+    });
+
+    it('redacts relative to the given path', function() {
+      const isSecret = compileSecrets(['db.password']);
+      assert.deepEqual(redact({ password: 'y' }, ['db'], isSecret), {
+        password: mask,
+      });
+      assert.strictEqual(redact('y', ['db', 'password'], isSecret), mask);
+    });
+
+    it('does not redact undefined values', function() {
+      assert.isUndefined(redact(undefined, ['a'], compileSecrets(['a'])));
+    });
+  });
+
+
+  describe('#derivedSecrets', function() {
+    it('finds values which embed secret values', function() {
+      const value = { a: 's', b: 'x s', c: 'x' };
+      const references = [
+        { keys: ['b'], ref: ['a'], whole: false },
+        { keys: ['c'], ref: ['b'], whole: true },
+      ];
+
+      assert.deepEqual(derivedSecrets(value, references, compileSecrets(['a'])), [
+        ['b'],
+        ['c'],
+      ]);
+    });
+
+    it('finds the secret values within whole referenced objects', function() {
+      const value = { a: { b: 's', c: ['x'] }, d: { b: 's', c: ['x'] } };
+      const references = [{ keys: ['d'], ref: ['a'], whole: true }];
+
+      assert.deepEqual(derivedSecrets(value, references, compileSecrets(['a.b'])), [
+        ['d', 'b'],
+      ]);
+    });
+
+    it('finds values which embed objects containing secret values', function() {
+      const value = { a: { b: 's' }, c: 'x' };
+      const references = [{ keys: ['c'], ref: ['a'], whole: false }];
+      assert.deepEqual(derivedSecrets(value, references, compileSecrets(['a.b'])), [['c']]);
+    });
+
+    it('ignores references to values which are not secret', function() {
+      const value = { a: 'x', b: 'x' };
+      const references = [{ keys: ['b'], ref: ['a'], whole: true }];
+      assert.deepEqual(derivedSecrets(value, references, compileSecrets(['c'])), []);
+    });
+  });
+
+
+  describe('#within', function() {
+    it('matches paths and their descendants', function() {
+      const paths = [['a', 'b'], ['c']];
+      assert.isTrue(within(['a', 'b'], paths));
+      assert.isTrue(within(['c', 'd'], paths));
+      assert.isFalse(within(['a'], paths));
+      assert.isFalse(within(['d'], paths));
+    });
+  });
+
+});
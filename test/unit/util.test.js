@@ -0,0 +1,187 @@
+'use strict';
+
+const { assert } = require('chai');
+
+const {
+  deepEqual,
+  deepFreeze,
+  isBranch,
+  isCollection,
+  isPojo,
+  isSafeKey,
+} = require('../../lib/util');
+
+
+describe('util', function() {
+
+  describe('#deepEqual', function() {
+    it('compares scalars strictly', function() {
+      assert.isTrue(deepEqual(1, 1));
+      assert.isFalse(deepEqual(1, '1'));
+      assert.isFalse(deepEqual(null, {}));
+    });
+
+    it('compares Dates by time', function() {
+      assert.isTrue(deepEqual(new Date(42), new Date(42)));
+      assert.isFalse(deepEqual(new Date(42), new Date(24)));
+      assert.isFalse(deepEqual(new Date(42), {}));
+    });
+
+    it('compares arrays by items', function() {
+      assert.isTrue(deepEqual([1, [2]], [1, [2]]));
+      assert.isFalse(deepEqual([1, [2]], [1, [3]]));
+      assert.isFalse(deepEqual([1], [1, 2]));
+      assert.isFalse(deepEqual([], {}));
+    });
+
+    it('compares objects by keys and values', function() {
+      assert.isTrue(deepEqual({ a: { b: 1 } }, { a: { b: 1 } }));
+      assert.isFalse(deepEqual({ a: 1, b: 2 }, { a: 1, c: 2 }));
+    });
+
+    it('compares RegExps by source and flags', function() {
+      assert.isTrue(deepEqual(/a/g, /a/g));
+      assert.isFalse(deepEqual(/a/g, /a/i));
+      assert.isFalse(deepEqual(/a/, /b/));
+      assert.isFalse(deepEqual(/a/, 'a'));
+    });
+
+    it('compares Buffers by bytes', function() {
+      assert.isTrue(deepEqual(Buffer.from('ab'), Buffer.from('ab')));
+      assert.isFalse(deepEqual(Buffer.from('ab'), Buffer.from('ac')));
+      assert.isFalse(deepEqual(Buffer.from('ab'), [97, 98]));
+    });
+
+    it('compares Maps by keys and values', function() {
+      assert.isTrue(deepEqual(new Map([['a', { b: 1 }]]), new Map([['a', { b: 1 }]])));
+      assert.isFalse(deepEqual(new Map([['a', 1]]), new Map([['a', 2]])));
+      assert.isFalse(deepEqual(new Map([['a', 1]]), new Map([['b', 1]])));
+      assert.isFalse(deepEqual(new Map([['a', 1]]), new Map()));
+      assert.isFalse(deepEqual(new Map(), {}));
+    });
+
+    it('compares Sets by items', function() {
+      assert.isTrue(deepEqual(new Set([1, { a: 1 }]), new Set([{ a: 1 }, 1])));
+      assert.isFalse(deepEqual(new Set([1]), new Set([2])));
+      assert.isFalse(deepEqual(new Set([{ a: 1 }, { a: 1 }]), new Set([{ a: 1 }, { b: 1 }])));
+      assert.isFalse(deepEqual(new Set([1]), new Set()));
+      assert.isFalse(deepEqual(new Set(), []));
+    });
+
+    it('compares instances of custom classes by identity', function() {
+      class Client { constructor() { this.host = 'a'; } }
+      const client = new Client();
+      assert.isTrue(deepEqual(client, client));
+      assert.isFalse(deepEqual(client, new Client()));
+      assert.isFalse(deepEqual({ host: 'a' }, client));
+    });
+  });
+
+
+  describe('#isPojo', function() {
+    it('determines if values are plain objects', function() {
+      class Client {}
+      assert.isTrue(isPojo({}));
+      assert.isTrue(isPojo(Object.create(null)));
+      assert.isFalse(isPojo(null));
+      assert.isFalse(isPojo([]));
+      assert.isFalse(isPojo(new Date()));
+      assert.isFalse(isPojo(new Map()));
+      assert.isFalse(isPojo(new Client()));
+      assert.isFalse(isPojo('a'));
+    });
+  });
+
+
+  describe('#isBranch', function() {
+    it('determines if values are plain objects or arrays', function() {
+      assert.isTrue(isBranch({}));
+      assert.isTrue(isBranch([]));
+      assert.isFalse(isBranch(null));
+      assert.isFalse(isBranch(new Set()));
+    });
+  });
+
+
+  describe('#isCollection', function() {
+    it('determines if values are Maps or Sets', function() {
+      assert.isTrue(isCollection(new Map()));
+      assert.isTrue(isCollection(new Set()));
+      assert.isFalse(isCollection({}));
+      assert.isFalse(isCollection([]));
+    });
+  });
+
+
+  describe('#isSafeKey', function() {
+    it('rejects keys which can pollute prototypes', function() {
+      assert.isFalse(isSafeKey('__proto__'));
+      assert.isFalse(isSafeKey('constructor'));
+      assert.isFalse(isSafeKey('prototype'));
+    });
+
+    it('accepts other keys', function() {
+      assert.isTrue(isSafeKey('host'));
+      assert.isTrue(isSafeKey('proto'));
+      assert.isTrue(isSafeKey(''));
+    });
+  });
+
+
+  describe('#deepFreeze', function() {
+    it('freezes nested objects and arrays', function() {
+      const value = { a: { b: [{ c: 1 }] }, d: null };
+      assert.strictEqual(deepFreeze(value), value);
+      assert.isFrozen(value);
+      assert.isFrozen(value.a);
+      assert.isFrozen(value.a.b);
+      assert.isFrozen(value.a.b[0]);
+    });
+
+    it('freezes Maps and Sets, and their contents', function() {
+      const value = {
+        map: new Map([['a', { b: 1 }]]),
+        set: new Set([{ c: 1 }]),
+      };
+
+      deepFreeze(value);
+      assert.isFrozen(value.map);
+      assert.isFrozen(value.map.get('a'));
+      assert.isFrozen(value.set);
+      assert.isFrozen(Array.from(value.set)[0]);
+      assert.throws(() => value.map.set('x', 1), TypeError);
+      assert.throws(() => value.map.delete('a'), TypeError);
+      assert.throws(() => value.set.add(1), TypeError);
+      assert.throws(() => value.set.clear(), TypeError);
+      assert.strictEqual(value.map.size, 1);
+      assert.strictEqual(deepFreeze(value.map), value.map);
+    });
+
+    it('freezes Dates', function() {
+      const date = deepFreeze(new Date(42));
+
+      assert.isFrozen(date);
+      assert.throws(() => date.setTime(5), TypeError);
+      assert.throws(() => date.setFullYear(2000), TypeError);
+      assert.throws(() => date.setUTCHours(1), TypeError);
+      assert.strictEqual(date.getTime(), 42);
+      assert.strictEqual(date.toISOString(), '1970-01-01T00:00:00.042Z');
+    });
+
+    it('does not freeze RegExps, Buffers, or instances of custom classes', function() {
+      class Client {}
+      const value = { pattern: /a/g, buf: Buffer.from('a'), client: new Client() };
+
+      deepFreeze(value);
+      assert.isNotFrozen(value.pattern);
+      assert.isNotFrozen(value.buf);
+      assert.isNotFrozen(value.client);
+    });
+
+    it('returns scalars as-is', function() {
+      assert.strictEqual(deepFreeze(42), 42);
+      assert.isNull(deepFreeze(null));
+    });
+  });
+
+});